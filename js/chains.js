@@ -0,0 +1,278 @@
+// js/chains.js — Linked balls: necklaces, pendulums and ropes
+'use strict';
+
+import { placeBall } from './softbody.js';
+import { arenaTop } from './walls.js';
+
+const { Bodies, Body, Composite, Constraint } = Matter;
+
+/**
+ * Chain modes offered in the settings panel.  'free' is the plain loose
+ * balls; the others tie the sandbox's balls together with constraints.
+ */
+export const CHAIN_MODES = [
+  { id: 'free',     name: 'Free balls' },
+  { id: 'necklace', name: 'Necklaces' },
+  { id: 'pendulum', name: 'Pendulums' },
+  { id: 'rope',     name: 'Ropes' },
+];
+
+// ── Constants ─────────────────────────────────────────────────────────────────
+
+/** Most beads threaded on one necklace; more balls make more necklaces. */
+const NECKLACE_SIZE = 8;
+
+/** Slack between neighbouring beads, in px. */
+const BEAD_GAP = 6;
+
+/** Pendulum / rope length range, as fractions of the arena box height. */
+const MIN_LENGTH = 0.25;
+const MAX_LENGTH = 0.55;
+
+/** Largest starting swing either side of straight down, in radians. */
+const MAX_SWING = Math.PI / 5;
+
+/** Links in each rope, and their radius in px. */
+const ROPE_LINKS  = 8;
+const LINK_RADIUS = 3;
+
+/** Every chain constraint: a stiff, lightly damped thread. */
+const LINK_STIFFNESS = 0.9;
+const LINK_DAMPING   = 0.02;
+
+/** How threads and rope links are drawn. */
+const THREAD_RENDER = { strokeStyle: 'rgba(255, 255, 255, 0.45)', lineWidth: 2, anchors: false };
+const LINK_COLOUR   = '#8a8a8a';
+
+// ── Public API ────────────────────────────────────────────────────────────────
+
+/**
+ * Tie freshly built `balls` into chains of the given mode and lay them out in
+ * the arena (walls.js) — within its box, hung from its top edge.  The balls
+ * are moved into place; the chains are returned for the caller to add to the
+ * world.
+ *
+ *   necklace — closed loops of up to NECKLACE_SIZE beads, dropped from the
+ *              upper half of the arena;
+ *   pendulum — each ball hung by a thread from the top wall, spaced evenly
+ *              along it and pulled aside so it starts swinging;
+ *   rope     — like a pendulum, but the thread is ROPE_LINKS small bodies
+ *              that drape and collide.
+ *
+ * Each chain is a composite labelled 'chain' holding its balls (bodies or
+ * jelly composites, still labelled 'ball'), any rope links and the
+ * constraints.  Balls get a `chain` back-reference so removeChainBall() can
+ * cut one out cleanly.  Anchors on the top wall remember their position as a
+ * fraction of the box width, and follow it in updateAnchors().
+ *
+ * @param {string} mode       A CHAIN_MODES id other than 'free'.
+ * @param {Array<Matter.Body|Matter.Composite>} balls
+ * @param {Arena} arena
+ * @param {(min: number, max: number) => number} rand  Seeded random in [min, max).
+ * @returns {Matter.Composite[]}
+ */
+export function buildChains(mode, balls, arena, rand) {
+  const { box } = arena;
+  switch (mode) {
+    case 'necklace': {
+      const chains = [];
+      for (let i = 0; i < balls.length; i += NECKLACE_SIZE) {
+        chains.push(_necklace(balls.slice(i, i + NECKLACE_SIZE), box, rand));
+      }
+      return chains;
+    }
+    case 'pendulum':
+    case 'rope':
+      return balls.map((ball, i) => {
+        const x      = box.x + (box.width * (i + 1)) / (balls.length + 1);
+        const anchor = { x, y: arenaTop(arena, x) };
+        const length = rand(MIN_LENGTH, MAX_LENGTH) * box.height;
+        // Never swing so wide that the ball starts outside the side walls.
+        const room   = Math.min(x - box.x, box.x + box.width - x) - _radiusOf(ball);
+        const limit  = Math.asin(Math.min(1, Math.max(0, room / length)));
+        const angle  = rand(-1, 1) * Math.min(MAX_SWING, limit);
+        return mode === 'rope'
+          ? _rope(ball, anchor, length, angle, box)
+          : _pendulum(ball, anchor, length, angle, box);
+      });
+    default:
+      return [];
+  }
+}
+
+/**
+ * The balls threaded on a chain, in order.
+ *
+ * @param {Matter.Composite} chain
+ * @returns {Array<Matter.Body|Matter.Composite>}
+ */
+export function chainBalls(chain) {
+  return chain.chainBalls;
+}
+
+/**
+ * Cut one ball out of its chain, with every constraint attached to it.  The
+ * rest of the chain stays in place (a necklace opens up); a chain left with
+ * no balls is removed from `world` altogether.
+ *
+ * @param {Matter.Composite} world
+ * @param {Matter.Body|Matter.Composite} ball  A ball with a `chain` reference.
+ */
+export function removeChainBall(world, ball) {
+  const chain  = ball.chain;
+  const handle = _handle(ball);
+
+  chain.chainBalls = chain.chainBalls.filter(b => b !== ball);
+  Composite.remove(chain, chain.constraints.filter(c => c.bodyA === handle || c.bodyB === handle));
+  Composite.remove(chain, ball);
+  ball.chain = null;
+
+  if (chain.chainBalls.length === 0) Composite.remove(world, chain);
+}
+
+/**
+ * Move the top-wall anchors of every chain in `world` to their share of the
+ * arena's new width, so pendulums and ropes stay hung from the wall after a
+ * resize or a change of arena.
+ *
+ * @param {Matter.Composite} world
+ * @param {Arena} arena
+ */
+export function updateAnchors(world, arena) {
+  const { box } = arena;
+  for (const c of Composite.allConstraints(world)) {
+    if (c.anchorFraction == null) continue;
+    c.pointA.x = box.x + c.anchorFraction * box.width;
+    c.pointA.y = arenaTop(arena, c.pointA.x);
+  }
+}
+
+/**
+ * Stretch the threads of every chain in `world` after the world is resized
+ * (see refit.js): threads hung from the top wall or along a rope by
+ * `hangScale`, since they were cut to the world height, and threads between
+ * two balls by `ballScale`, as they were cut to the balls' sizes.
+ *
+ * @param {Matter.Composite} world
+ * @param {number} hangScale
+ * @param {number} ballScale
+ */
+export function scaleChains(world, hangScale, ballScale) {
+  for (const chain of world.composites) {
+    if (chain.label !== 'chain') continue;
+    for (const c of chain.constraints) {
+      const betweenBalls = c.bodyA?.label === 'ball' && c.bodyB?.label === 'ball';
+      c.length *= betweenBalls ? ballScale : hangScale;
+    }
+  }
+}
+
+// ── Private helpers ───────────────────────────────────────────────────────────
+
+/** A closed loop of beads around a random point in the upper half of `box`. */
+function _necklace(beads, box, rand) {
+  const radii = beads.map(_radiusOf);
+
+  // Ring just long enough to thread every bead with a little slack.
+  const circumference = radii.reduce((sum, r) => sum + 2 * r + BEAD_GAP, 0);
+  const ring = circumference / (2 * Math.PI);
+  const edge = ring + Math.max(...radii);
+
+  const cx = box.x + (box.width > 2 * edge ? rand(edge, box.width - edge) : box.width / 2);
+  const cy = box.y + (box.height / 2 > 2 * edge ? rand(edge, box.height / 2 - edge) : edge);
+
+  let along = 0;
+  beads.forEach((bead, i) => {
+    along += radii[i] + BEAD_GAP / 2;
+    const a = (along / circumference) * 2 * Math.PI;
+    placeBall(bead, { x: cx + Math.cos(a) * ring, y: cy + Math.sin(a) * ring });
+    along += radii[i] + BEAD_GAP / 2;
+  });
+
+  const constraints = [];
+  if (beads.length > 1) {
+    // A pair of beads is one thread, not two on top of each other.
+    const loop = beads.length > 2 ? beads.length : 1;
+    for (let i = 0; i < loop; i++) {
+      constraints.push(_thread({ bodyA: _handle(beads[i]), bodyB: _handle(beads[(i + 1) % beads.length]) }));
+    }
+  }
+  return _chain(beads, [], constraints);
+}
+
+/** One ball on a thread from `anchor`, pulled `angle` aside. */
+function _pendulum(ball, anchor, length, angle, box) {
+  placeBall(ball, _swing(anchor, length, angle));
+  return _chain([ball], [], [_anchor(anchor, _handle(ball), box)]);
+}
+
+/** One ball on the end of a rope of ROPE_LINKS links from `anchor`. */
+function _rope(ball, anchor, length, angle, box) {
+  const group = Body.nextGroup(true);
+  const reach = length - _radiusOf(ball);
+  const links = [];
+  for (let i = 1; i <= ROPE_LINKS; i++) {
+    links.push(Bodies.circle(0, 0, LINK_RADIUS, {
+      label:           'chain-link',
+      density:         0.002,
+      frictionAir:     0.02,
+      collisionFilter: { group },
+      render:          { fillStyle: LINK_COLOUR },
+    }));
+    Body.setPosition(links[i - 1], _swing(anchor, (reach * i) / (ROPE_LINKS + 1), angle));
+  }
+  placeBall(ball, _swing(anchor, length, angle));
+
+  const constraints = [_anchor(anchor, links[0], box)];
+  for (let i = 1; i < links.length; i++) {
+    constraints.push(_thread({ bodyA: links[i - 1], bodyB: links[i] }));
+  }
+  constraints.push(_thread({ bodyA: links[links.length - 1], bodyB: _handle(ball) }));
+  return _chain([ball], links, constraints);
+}
+
+/** Wrap balls, links and constraints as one composite labelled 'chain'. */
+function _chain(balls, links, constraints) {
+  const chain = Composite.create({ label: 'chain', constraints });
+  for (const ball of balls) {
+    Composite.add(chain, ball);
+    ball.chain = chain;
+  }
+  Composite.add(chain, links);
+  chain.chainBalls = balls;
+  return chain;
+}
+
+/** A thread from a fixed point on the top wall to `body`. */
+function _anchor(anchor, body, box) {
+  const thread = _thread({ pointA: { x: anchor.x, y: anchor.y }, bodyB: body });
+  thread.anchorFraction = (anchor.x - box.x) / box.width;
+  return thread;
+}
+
+/** A constraint between the current positions of its ends. */
+function _thread(ends) {
+  return Constraint.create({
+    ...ends,
+    stiffness: LINK_STIFFNESS,
+    damping:   LINK_DAMPING,
+    render:    { ...THREAD_RENDER },
+  });
+}
+
+/** The point `length` along a line hanging from `anchor`, `angle` from vertical. */
+function _swing(anchor, length, angle) {
+  return { x: anchor.x + Math.sin(angle) * length, y: anchor.y + Math.cos(angle) * length };
+}
+
+/** The body a thread attaches to: a jelly ball is held by its core. */
+function _handle(ball) {
+  return ball.type === 'composite' ? ball.bodies[0] : ball;
+}
+
+/** Distance from a ball's centre to its furthest edge, in px. */
+function _radiusOf(ball) {
+  if (ball.type === 'composite') return ball.softRadius;
+  const { x, y } = ball.position;
+  return Math.max(...ball.vertices.map(v => Math.hypot(v.x - x, v.y - y)));
+}
@@ -0,0 +1,222 @@
+// js/containment.js — Anti-tunnelling: swept checks and an arena guard
+'use strict';
+
+import { insideArena, clampToArena } from './walls.js';
+
+const { Body, Bounds, Composite, Events, Vertices } = Matter;
+
+/**
+ * Keep every ball inside the arena, however fast it goes.
+ *
+ * Part of the DOM-free simulation core (simulation.js), alongside the walls.
+ * Matter.js checks collisions only at the end of each step, so a body that
+ * moves further in one step than an obstacle is thick — a small ball under
+ * full tilt, a hard fling, a blast — can pass straight through it.  The
+ * thick walls (walls.js) make that rare; this makes it harmless.  After every
+ * step:
+ *
+ *   1. Swept check: each ball's path since the last step is tested against
+ *      every static, solid body (walls and level obstacles) it moved further
+ *      than the thinner of the two across — slower than that, Matter's
+ *      collision detection cannot miss.  Its centre can never legitimately
+ *      enter one, so if the path does, the ball is put back where the step
+ *      started with its velocity reflected off the face it crossed.  Paths
+ *      that leave a solid, or start inside one, are left to Matter, so a
+ *      rescue never puts a ball back inside a solid.
+ *   2. Arena guard: any ball whose centre is still more than its radius
+ *      outside the arena's outline (walls.js layoutArena()) — wholly inside
+ *      or beyond a wall — is put back inside, velocity reflected.  Less
+ *      than that is the ordinary overlap of a contact, such as a jelly rim
+ *      squeezed against the floor, which Matter resolves itself.
+ *
+ * Every body labelled 'ball' is guarded, jelly particles included.  Rope
+ * links are not: they hang from anchors on the top wall's face and are held
+ * to their rope anyway.  Both checks only ever touch balls that have already
+ * gone wrong, so normal play is unchanged and replays stay exact.  Each
+ * rescue is counted in getEscapes().
+ *
+ * @param {Matter.Engine} engine
+ * @param {() => Arena} getArena  Current arena (see walls.js).
+ * @returns {{ getEscapes: () => { swept: number, contained: number } }}
+ *   Running totals: balls caught crossing a static body, and balls found
+ *   outside the arena.
+ */
+export function initContainment(engine, getArena) {
+  const escapes = { swept: 0, contained: 0 };
+
+  /** Ball id → centre before the current step. */
+  const start = new Map();
+
+  Events.on(engine, 'beforeUpdate', () => {
+    start.clear();
+    for (const body of Composite.allBodies(engine.world)) {
+      if (_isBall(body)) start.set(body.id, { x: body.position.x, y: body.position.y });
+    }
+  });
+
+  Events.on(engine, 'afterUpdate', () => {
+    const bodies  = Composite.allBodies(engine.world);
+    const solids  = bodies.filter(b => b.isStatic && !b.isSensor);
+    const arena   = getArena();
+
+    for (const body of bodies) {
+      if (!_isBall(body)) continue;
+      const from = start.get(body.id);
+      if (from && _sweep(body, from, solids)) escapes.swept += 1;
+      if (_contain(body, arena)) escapes.contained += 1;
+    }
+  });
+
+  return {
+    getEscapes: () => ({ ...escapes }),
+  };
+}
+
+// ── Private helpers ───────────────────────────────────────────────────────────
+
+/** A moving ball or jelly particle (merge and maze balls are 'ball' too). */
+function _isBall(body) {
+  return body.label === 'ball' && !body.isStatic;
+}
+
+/**
+ * If `body` moved far enough to tunnel through one of `solids` and its
+ * centre's path from `from` enters it through a face, move it back to `from`
+ * and reflect its velocity off that face.
+ *
+ * @returns {boolean}  Whether the body was caught.
+ */
+function _sweep(body, from, solids) {
+  const to = body.position;
+  const dx = to.x - from.x;
+  const dy = to.y - from.y;
+  const travel   = Math.hypot(dx, dy);
+  const diameter = _radiusOf(body) * 2;
+  if (travel === 0) return false;
+
+  const path = {
+    min: { x: Math.min(from.x, to.x), y: Math.min(from.y, to.y) },
+    max: { x: Math.max(from.x, to.x), y: Math.max(from.y, to.y) },
+  };
+
+  let nearest = null; // { t, normal }
+  for (const part of _solidParts(solids)) {
+    if (!Bounds.overlaps(part.bounds, path)) continue;
+    if (travel <= diameter && travel <= _thickness(part.vertices)) continue;
+    const hit = _entry(from, dx, dy, part);
+    if (hit && (!nearest || hit.t < nearest.t)) nearest = hit;
+  }
+  if (!nearest) return false;
+
+  // Never put a ball back inside a solid it had already got into.
+  for (const part of _solidParts(solids)) {
+    if (Bounds.contains(part.bounds, from) && Vertices.contains(part.vertices, from)) return false;
+  }
+
+  const v = Body.getVelocity(body);
+  Body.setPosition(body, from);
+  Body.setVelocity(body, _reflect(v, nearest.normal));
+  return true;
+}
+
+/** The convex parts of `solids` — parts[0] of a compound body is its hull. */
+function* _solidParts(solids) {
+  for (const solid of solids) {
+    for (let i = solid.parts.length > 1 ? 1 : 0; i < solid.parts.length; i++) yield solid.parts[i];
+  }
+}
+
+/**
+ * The first face of a convex `part` that the segment from `from` along
+ * (dx, dy) enters it through, as its distance along the segment (0–1) and
+ * the face's outward unit normal; null when it enters through none.  Faces
+ * crossed on the way out do not count.
+ */
+function _entry(from, dx, dy, part) {
+  const vertices = part.vertices;
+  let best = null;
+  for (let i = 0; i < vertices.length; i++) {
+    const a  = vertices[i];
+    const b  = vertices[(i + 1) % vertices.length];
+    const ex = b.x - a.x;
+    const ey = b.y - a.y;
+
+    const denom = dx * ey - dy * ex;
+    if (denom === 0) continue; // parallel
+    const t = ((a.x - from.x) * ey - (a.y - from.y) * ex) / denom;
+    const u = ((a.x - from.x) * dy - (a.y - from.y) * dx) / denom;
+    if (t < 0 || t > 1 || u < 0 || u > 1) continue;
+
+    // Outward: away from the part's centre, whichever way its vertices wind.
+    const len  = Math.hypot(ex, ey);
+    let normal = { x: -ey / len, y: ex / len };
+    if (normal.x * (a.x - part.position.x) + normal.y * (a.y - part.position.y) < 0) {
+      normal = { x: -normal.x, y: -normal.y };
+    }
+    if (normal.x * dx + normal.y * dy >= 0) continue; // on the way out
+
+    if (!best || t < best.t) best = { t, normal };
+  }
+  return best;
+}
+
+/** How thin a convex polygon is: its smallest width across any of its faces. */
+function _thickness(vertices) {
+  let thinnest = Infinity;
+  for (let i = 0; i < vertices.length; i++) {
+    const a   = vertices[i];
+    const b   = vertices[(i + 1) % vertices.length];
+    const len = Math.hypot(b.x - a.x, b.y - a.y);
+    if (len === 0) continue;
+    let width = 0;
+    for (const p of vertices) {
+      width = Math.max(width, Math.abs((b.x - a.x) * (p.y - a.y) - (b.y - a.y) * (p.x - a.x)) / len);
+    }
+    thinnest = Math.min(thinnest, width);
+  }
+  return thinnest;
+}
+
+/**
+ * If the centre of `body` is more than its radius outside the arena's
+ * outline, move it back in — onto the nearest point of the outline, then a
+ * radius further towards the centre — and turn its velocity back inwards.
+ *
+ * @returns {boolean}  Whether the body was outside.
+ */
+function _contain(body, arena) {
+  const p = body.position;
+  if (insideArena(arena, p)) return false;
+
+  const radius = _radiusOf(body);
+  const edge   = clampToArena(arena, p, 0);
+  if (Math.hypot(p.x - edge.x, p.y - edge.y) <= radius) return false;
+
+  const to = clampToArena(arena, p, radius);
+
+  // Outward normal: from where the body is put back towards where it was.
+  const ox  = p.x - to.x;
+  const oy  = p.y - to.y;
+  const len = Math.hypot(ox, oy);
+  let v = Body.getVelocity(body);
+  if (len > 0) {
+    const n = { x: ox / len, y: oy / len };
+    if (v.x * n.x + v.y * n.y > 0) v = _reflect(v, n);
+  }
+
+  Body.setPosition(body, to);
+  Body.setVelocity(body, v);
+  return true;
+}
+
+/** `v` mirrored in the surface with unit normal `n`. */
+function _reflect(v, n) {
+  const dot = v.x * n.x + v.y * n.y;
+  return { x: v.x - 2 * dot * n.x, y: v.y - 2 * dot * n.y };
+}
+
+/** Half the body's smaller extent — its radius for a circle. */
+function _radiusOf(body) {
+  return body.circleRadius ||
+    Math.min(body.bounds.max.x - body.bounds.min.x, body.bounds.max.y - body.bounds.min.y) / 2;
+}
@@ -0,0 +1,129 @@
+// js/drag.js — Drag-to-tilt input: drag anywhere on a touch screen to tilt
+'use strict';
+
+import { stickToGravity } from './motion.js';
+import { feedTilt } from './tilt.js';
+import { TAP_MAX_MOVE } from './reset.js';
+import { isHoldingBall } from './grab.js';
+import { isToolActive } from './tools.js';
+import { isMergeActive } from './merge.js';
+
+/** Time constant of the spring back to level after a drag, in ms. */
+const RETURN_MS = 120;
+
+/** Tilt this close to level (fraction of full tilt) counts as back. */
+const SETTLED = 0.01;
+
+const canvas = document.getElementById('world');
+const pad    = document.getElementById('drag-pad');
+const knob   = pad.querySelector('.joystick-knob');
+
+// ── Public API ────────────────────────────────────────────────────────────────
+
+/**
+ * Start the drag-to-tilt input.  One of the inputs of input.js; it never
+ * fails.  'Automatic' picks it over the mouse on touch screens without a
+ * gyroscope, or where motion access was denied (TASK-006).
+ *
+ * A drag anywhere on the canvas tilts the table like a joystick that appears
+ * under the finger: the #drag-pad indicator shows up where the drag began,
+ * and the offset from there, up to the pad's rim, tilts towards the finger
+ * by up to MAX_GRAVITY (stickToGravity() in motion.js).  On release the
+ * table springs back to level, and the pad goes once it is there.
+ *
+ * Works with a mouse or pen too.  As with the mouse, gravity is left alone
+ * while a ball is held (grab.js) or a magnet tool is down (tools.js), and in
+ * the merge game (merge.js), where dragging aims the next drop.  Presses
+ * that stay within TAP_MAX_MOVE remain taps and leave the pad hidden.
+ *
+ * @returns {() => void}  Stops the input again.
+ */
+export function startDrag() {
+  /** The dragging pointer: { pointerId, x, y, dragging }, start in client px. */
+  let drag  = null;
+  /** Stick position, each axis -1…+1; eased back to 0 after a drag. */
+  let stick = { x: 0, y: 0 };
+  let frame = 0;
+
+  function _feed() {
+    _place(stick);
+    feedTilt('drag', stickToGravity(stick.x, stick.y));
+  }
+
+  function _onPointerDown(event) {
+    if (drag || isMergeActive()) return;
+    if (event.pointerType === 'mouse' && event.button !== 0) return;
+    drag = { pointerId: event.pointerId, x: event.clientX, y: event.clientY, dragging: false };
+  }
+
+  function _onPointerMove(event) {
+    if (event.pointerId !== drag?.pointerId) return;
+    if (isHoldingBall() || isToolActive() || isMergeActive()) return;
+
+    const dx = event.clientX - drag.x;
+    const dy = event.clientY - drag.y;
+    if (!drag.dragging) {
+      if (Math.hypot(dx, dy) <= TAP_MAX_MOVE) return;
+      drag.dragging = true;
+      cancelAnimationFrame(frame);
+      pad.style.left = `${drag.x}px`;
+      pad.style.top  = `${drag.y}px`;
+      pad.classList.remove('hidden');
+    }
+
+    const range  = pad.clientWidth / 2;
+    const length = Math.hypot(dx, dy) / range;
+    const k      = 1 / range / Math.max(1, length);
+    stick = { x: dx * k, y: dy * k };
+    _feed();
+  }
+
+  function _onPointerUp(event) {
+    if (event.pointerId !== drag?.pointerId) return;
+    const wasDragging = drag.dragging;
+    drag = null;
+    if (wasDragging) _springBack();
+  }
+
+  /** Ease the stick back to the centre, then hide the pad. */
+  function _springBack() {
+    let last = performance.now();
+    frame = requestAnimationFrame(function _step(now) {
+      const k = Math.exp(-(now - last) / RETURN_MS);
+      last = now;
+      stick = { x: stick.x * k, y: stick.y * k };
+      if (Math.hypot(stick.x, stick.y) < SETTLED) {
+        stick = { x: 0, y: 0 };
+        _feed();
+        pad.classList.add('hidden');
+        return;
+      }
+      _feed();
+      frame = requestAnimationFrame(_step);
+    });
+  }
+
+  canvas.addEventListener('pointerdown', _onPointerDown);
+  window.addEventListener('pointermove', _onPointerMove);
+  window.addEventListener('pointerup', _onPointerUp);
+  window.addEventListener('pointercancel', _onPointerUp);
+  _feed();
+  console.log('[drag] Drag-to-tilt active — drag anywhere to tilt.');
+
+  return () => {
+    cancelAnimationFrame(frame);
+    canvas.removeEventListener('pointerdown', _onPointerDown);
+    window.removeEventListener('pointermove', _onPointerMove);
+    window.removeEventListener('pointerup', _onPointerUp);
+    window.removeEventListener('pointercancel', _onPointerUp);
+    pad.classList.add('hidden');
+  };
+}
+
+// ── Private helpers ───────────────────────────────────────────────────────────
+
+/** Move the knob to `stick`, each axis -1…+1 from the centre to the rim. */
+function _place(stick) {
+  const travel = (pad.clientWidth - knob.offsetWidth) / 2;
+  knob.style.transform = `translate(${stick.x * travel}px, ${stick.y * travel}px)`;
+}
@@ -1,5 +1,18 @@
+// js/fullscreen.js — Fullscreen toggle and optional orientation lock
 'use strict';
 
+/** localStorage key for locking the screen orientation in fullscreen ('1' / '0'). */
+const KEY_ORIENTATION_LOCK = 'gyroballs_orientation_lock';
+
+/**
+ * Whether to lock the screen in its current orientation while fullscreen, so
+ * tilting the phone far enough to play does not also rotate the page.  Off
+ * by default; persisted.
+ */
+let _lockEnabled = localStorage.getItem(KEY_ORIENTATION_LOCK) === '1';
+
+// ── Public API ────────────────────────────────────────────────────────────────
+
 export function initFullscreen() {
   const btn = document.getElementById('btn-fullscreen');
   const el  = document.documentElement;
@@ -11,15 +24,12 @@ export function initFullscreen() {
     return;
   }
 
-  function _isFullscreen() {
-    return !!(document.fullscreenElement || document.webkitFullscreenElement);
-  }
-
   function _update() {
     const full = _isFullscreen();
     btn.querySelector('.icon-expand').classList.toggle('hidden', full);
     btn.querySelector('.icon-compress').classList.toggle('hidden', !full);
     btn.setAttribute('aria-label', full ? 'Exit full screen' : 'Enter full screen');
+    _applyLock();
   }
 
   btn.addEventListener('click', () => {
@@ -33,3 +43,53 @@ export function initFullscreen() {
   document.addEventListener('fullscreenchange',       _update);
   document.addEventListener('webkitfullscreenchange', _update);
 }
+
+/**
+ * Whether this browser can lock the screen orientation at all.  Most only
+ * allow it while fullscreen, and iOS Safari not at all.
+ *
+ * @returns {boolean}
+ */
+export function canLockOrientation() {
+  return typeof screen !== 'undefined' &&
+         typeof screen.orientation?.lock === 'function';
+}
+
+/**
+ * Turn the fullscreen orientation lock on or off and persist the choice.
+ * Takes effect at once when already fullscreen.
+ *
+ * @param {boolean} enabled
+ */
+export function setOrientationLock(enabled) {
+  _lockEnabled = !!enabled;
+  localStorage.setItem(KEY_ORIENTATION_LOCK, _lockEnabled ? '1' : '0');
+  _applyLock();
+}
+
+/** @returns {boolean} */
+export function getOrientationLock() {
+  return _lockEnabled;
+}
+
+// ── Private helpers ───────────────────────────────────────────────────────────
+
+function _isFullscreen() {
+  return !!(document.fullscreenElement || document.webkitFullscreenElement);
+}
+
+/**
+ * Lock the screen to the orientation it is in now while fullscreen and the
+ * lock is on; release it otherwise.  Leaving fullscreen releases the lock
+ * anyway.
+ */
+function _applyLock() {
+  if (!canLockOrientation()) return;
+  if (_lockEnabled && _isFullscreen()) {
+    screen.orientation.lock(screen.orientation.type).catch((err) => {
+      console.warn('[fullscreen] Orientation lock refused:', err);
+    });
+  } else {
+    screen.orientation.unlock?.();
+  }
+}
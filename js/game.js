@@ -0,0 +1,341 @@
+/**
+ * game.js — Game modes: tilt maze, and switching to the merge game
+ *
+ * Turns the tilt demo into a game: each maze level (levels/maze-*.json) has a
+ * start point, a goal hole and optional trap holes.  Tilt the device (or move
+ * the mouse) to roll every ball into the goal; a ball that drops into a trap
+ * hole is sent back to the start.  A per-level timer runs from the end of the
+ * 3-2-1 countdown until the last ball is sunk, after which the next level
+ * loads.  Best times are kept in localStorage.
+ *
+ * Gravity is left entirely to gyroscope.js / mouse.js; this module only
+ * watches the same 'collisionStart' events sound.js uses to notice a ball
+ * reaching a hole, and borrows the countdown from reset.js for level starts.
+ *
+ * The merge game lives in merge.js; this module only switches to it and back,
+ * so the three modes ('sandbox', 'maze', 'merge') are chosen in one place.
+ */
+
+'use strict';
+
+import { LEVELS } from './levels.js';
+import { setGrabBlocked } from './grab.js';
+import { getBallCount, setArenaBlocked } from './physics.js';
+import { ballOf, placeBall } from './softbody.js';
+
+const { Composite, Events } = Matter;
+
+// ── Constants ─────────────────────────────────────────────────────────────────
+
+/** Maze level ids in play order. */
+const MAZE_LEVELS = LEVELS.filter(l => l.maze).map(l => l.id);
+
+/** Balls to sink when a level file does not say. */
+const DEFAULT_MAZE_BALLS = 3;
+
+/** Pause after the last ball is sunk before the next level's countdown. */
+const LEVEL_COMPLETE_DELAY_MS = 2000;
+
+/** Every mode setMode() accepts; anything else falls back to the sandbox. */
+const MODES = ['sandbox', 'maze', 'merge'];
+
+// ── localStorage keys ─────────────────────────────────────────────────────────
+const KEY_MODE       = 'gyroballs_mode';
+const KEY_MAZE_LEVEL = 'gyroballs_maze_level';
+const KEY_BEST_TIMES = 'gyroballs_best_times';
+
+// ── DOM references ────────────────────────────────────────────────────────────
+const hud        = document.getElementById('game-hud');
+const hudLevel   = document.getElementById('game-level');
+const hudTimer   = document.getElementById('game-timer');
+const hudBalls   = document.getElementById('game-balls');
+const hudBest    = document.getElementById('game-best');
+const hudMessage = document.getElementById('game-message');
+
+// ── Module state ──────────────────────────────────────────────────────────────
+
+/** Best times (level id → ms), loaded once; the HUD reads it every step. */
+const _bestTimes = _readBestTimes();
+
+// ── Public API ────────────────────────────────────────────────────────────────
+
+/**
+ * Initialise the game-mode controller.
+ *
+ * Starts in whichever mode was last chosen (key: 'gyroballs_mode').  In
+ * 'sandbox' mode this module is dormant; in 'maze' mode it owns the balls and
+ * the current level, and a shake / double-tap restarts the current level
+ * instead of respawning random balls.  In 'merge' mode merge.js owns the
+ * balls on an empty level and a shake / double-tap starts a new game.
+ *
+ * @param {{
+ *   engine:         Matter.Engine,
+ *   createBalls:    (n: number) => void,
+ *   createBallsAt:  (n: number, x: number, y: number) => void,
+ *   removeAllBalls: () => void,
+ * }} physics  Object returned by initPhysics().
+ * @param {object} modules
+ * @param {ReturnType<import('./levels.js').initLevels>} modules.levels
+ * @param {{ startCountdown: Function, setResetAction: Function }} modules.reset
+ * @param {{ playGoalSound: () => void }} modules.sound
+ * @param {ReturnType<import('./merge.js').initMerge>} modules.merge
+ * @returns {{
+ *   getMode: () => 'sandbox'|'maze'|'merge',
+ *   setMode: (mode: 'sandbox'|'maze'|'merge') => Promise<void>,
+ * }}
+ */
+export function initGame(physics, { levels, reset, sound, merge }) {
+  const { engine } = physics;
+
+  let mode           = _validMode(localStorage.getItem(KEY_MODE));
+  let levelIndex     = _storedMazeLevel();
+  let sandboxLevelId = levels.getLevelId();
+
+  let running   = false; // timer is counting and balls can be sunk
+  let startMs   = 0;
+  let sunk      = 0;
+  let total     = 0;
+  let nextTimer = null;  // pending "advance to next level" timeout
+
+  /**
+   * Balls currently overlapping a goal / trap sensor, keyed by ball id.
+   * A ball only drops in once its centre is inside the hole, so overlaps are
+   * tracked here from collisionStart until collisionEnd and tested each step.
+   */
+  const candidates = new Map();
+
+  // ── Collision tracking ────────────────────────────────────────────────────
+  Events.on(engine, 'collisionStart', (event) => {
+    if (mode !== 'maze') return;
+    for (const pair of event.pairs) {
+      // Compound balls (e.g. stars) collide through their parts — track the parent.
+      const bodyA  = pair.bodyA.parent;
+      const bodyB  = pair.bodyB.parent;
+      const ball   = bodyA.label === 'ball' ? bodyA : bodyB.label === 'ball' ? bodyB : null;
+      const sensor = ball === bodyA ? bodyB : bodyA;
+      if (ball && _isHole(sensor)) candidates.set(ball.id, { ball, sensor });
+    }
+  });
+
+  Events.on(engine, 'collisionEnd', (event) => {
+    for (const pair of event.pairs) {
+      const bodyA = pair.bodyA.parent;
+      const bodyB = pair.bodyB.parent;
+      const entry = candidates.get(bodyA.id) ?? candidates.get(bodyB.id);
+      if (entry && (entry.sensor === bodyA || entry.sensor === bodyB)) {
+        candidates.delete(entry.ball.id);
+      }
+    }
+  });
+
+  // ── Per-step hole checks + timer display ──────────────────────────────────
+  // Bodies are moved / removed here rather than inside collisionStart so the
+  // world is never modified in the middle of collision resolution.
+  Events.on(engine, 'afterUpdate', () => {
+    if (mode !== 'maze' || !running) return;
+
+    for (const { ball, sensor } of candidates.values()) {
+      const dx = ball.position.x - sensor.position.x;
+      const dy = ball.position.y - sensor.position.y;
+      if (dx * dx + dy * dy > sensor.circleRadius ** 2) continue;
+
+      candidates.delete(ball.id);
+      // A jelly ball drops in whole once any of its particles does.
+      const whole = ballOf(ball);
+      if (!_inWorld(whole)) continue; // its other particles got there first
+      if (sensor.label === 'goal') {
+        Composite.remove(engine.world, whole);
+        sunk += 1;
+        sound.playGoalSound();
+      } else {
+        placeBall(whole, levels.getStart());
+      }
+    }
+
+    _renderHud();
+    if (sunk >= total) _completeLevel();
+  });
+
+  // ── Level flow ────────────────────────────────────────────────────────────
+
+  /** True while `ball` (a body or a jelly composite) is still in the world. */
+  function _inWorld(ball) {
+    const list = ball.type === 'composite' ? engine.world.composites : engine.world.bodies;
+    return list.includes(ball);
+  }
+
+  /** Place a fresh set of balls on the start point and clear progress. */
+  function _placeBalls() {
+    candidates.clear();
+    physics.removeAllBalls();
+    total = levels.getLevel()?.balls ?? DEFAULT_MAZE_BALLS;
+    sunk  = 0;
+    const start = levels.getStart();
+    physics.createBallsAt(total, start.x, start.y);
+  }
+
+  function _startTimer() {
+    startMs = performance.now();
+    running = true;
+  }
+
+  /** Load maze level `index`, place the balls and count down into play. */
+  async function _startLevel(index) {
+    clearTimeout(nextTimer);
+    running    = false;
+    levelIndex = index % MAZE_LEVELS.length;
+    localStorage.setItem(KEY_MAZE_LEVEL, MAZE_LEVELS[levelIndex]);
+
+    await levels.loadLevel(MAZE_LEVELS[levelIndex]);
+    if (mode !== 'maze') return; // switched to another mode while loading
+
+    _placeBalls();
+    hudMessage.textContent = '';
+    _renderHud();
+    reset.startCountdown(_startTimer);
+  }
+
+  /** Shake / double-tap in maze mode: balls back to the start, timer restarts. */
+  function _restartLevel() {
+    clearTimeout(nextTimer);
+    _placeBalls();
+    hudMessage.textContent = '';
+    _startTimer();
+  }
+
+  function _completeLevel() {
+    running = false;
+    const id      = MAZE_LEVELS[levelIndex];
+    const elapsed = performance.now() - startMs;
+    const best    = _bestTime(id);
+    const isBest  = best == null || elapsed < best;
+    if (isBest) _saveBestTime(id, elapsed);
+
+    _renderHud(elapsed);
+    const last = levelIndex === MAZE_LEVELS.length - 1;
+    hudMessage.textContent =
+      `${isBest ? 'New best! ' : ''}${_formatTime(elapsed)}` +
+      (last ? ' — all levels complete!' : ' — next level…');
+    console.log(`[game] Level "${id}" complete in ${_formatTime(elapsed)}.`);
+
+    nextTimer = setTimeout(() => _startLevel(levelIndex + 1), LEVEL_COMPLETE_DELAY_MS);
+  }
+
+  /**
+   * Refresh the HUD.  While the timer is stopped `elapsed` may be given to
+   * freeze the display at the final time.  Called every physics step, so
+   * only text that changed is written — the timer about ten times a second.
+   */
+  function _renderHud(elapsed) {
+    const id   = MAZE_LEVELS[levelIndex];
+    const best = _bestTime(id);
+    const time = elapsed ?? (running ? performance.now() - startMs : 0);
+
+    _setText(hudLevel, LEVELS.find(l => l.id === id)?.name ?? id);
+    _setText(hudTimer, _formatTime(time));
+    _setText(hudBalls, `${sunk}/${total}`);
+    _setText(hudBest,  best == null ? 'Best —' : `Best ${_formatTime(best)}`);
+  }
+
+  // ── Mode switching ────────────────────────────────────────────────────────
+
+  /**
+   * Switch between the free-play sandbox, the tilt-maze game and the merge
+   * game.  Returning to the sandbox restores its level and ball count.
+   */
+  async function setMode(next) {
+    const prev = mode;
+    mode = _validMode(next);
+    localStorage.setItem(KEY_MODE, mode);
+
+    if (prev === 'sandbox' && mode !== 'sandbox') sandboxLevelId = levels.getLevelId();
+
+    // Tear down whatever the previous mode left running.
+    clearTimeout(nextTimer);
+    running = false;
+    candidates.clear();
+    hud.classList.add('hidden');
+    merge.stop();
+
+    // Carrying balls to the goal (or spawning fruit at will) would make the
+    // games pointless.  Their levels and drop line are laid out for the
+    // whole screen, so the sandbox's arena shape is set aside too.
+    setGrabBlocked('game', mode !== 'sandbox');
+    setArenaBlocked('game', mode !== 'sandbox');
+
+    if (mode === 'maze') {
+      hud.classList.remove('hidden');
+      reset.setResetAction(_restartLevel);
+      await _startLevel(levelIndex);
+    } else if (mode === 'merge') {
+      reset.setResetAction(merge.restart);
+      await levels.loadLevel('empty', { persist: false });
+      if (mode === 'merge') merge.start();
+    } else {
+      reset.setResetAction(null);
+      await levels.loadLevel(sandboxLevelId);
+      physics.removeAllBalls();
+      physics.createBalls(getBallCount());
+    }
+    console.log(`[game] Mode: ${mode}.`);
+  }
+
+  if (mode !== 'sandbox') setMode(mode);
+
+  return {
+    getMode: () => mode,
+    setMode,
+  };
+}
+
+// ── Private helpers ───────────────────────────────────────────────────────────
+
+/** `mode` if it is a known mode, otherwise 'sandbox'. */
+function _validMode(mode) {
+  return MODES.includes(mode) ? mode : 'sandbox';
+}
+
+function _isHole(body) {
+  return body.label === 'goal' || body.label === 'hole';
+}
+
+/** Index of the last maze level played, so progress survives a reload. */
+function _storedMazeLevel() {
+  const index = MAZE_LEVELS.indexOf(localStorage.getItem(KEY_MAZE_LEVEL));
+  return index === -1 ? 0 : index;
+}
+
+/**
+ * Read the best-times map from localStorage (key: 'gyroballs_best_times'),
+ * an object of level id → milliseconds.  Corrupt data is treated as empty.
+ *
+ * @returns {Record<string, number>}
+ */
+function _readBestTimes() {
+  try {
+    return JSON.parse(localStorage.getItem(KEY_BEST_TIMES) || '{}') ?? {};
+  } catch {
+    return {};
+  }
+}
+
+/** @returns {number|null}  Best time for `id` in ms, or null if never finished. */
+function _bestTime(id) {
+  const ms = _bestTimes[id];
+  return typeof ms === 'number' ? ms : null;
+}
+
+function _saveBestTime(id, ms) {
+  _bestTimes[id] = Math.round(ms);
+  localStorage.setItem(KEY_BEST_TIMES, JSON.stringify(_bestTimes));
+}
+
+/** Set `el`'s text, leaving the DOM alone when it already reads `text`. */
+function _setText(el, text) {
+  if (el.textContent !== text) el.textContent = text;
+}
+
+/** Format milliseconds as seconds with one decimal place, e.g. "12.3 s". */
+function _formatTime(ms) {
+  return `${(ms / 1000).toFixed(1)} s`;
+}
@@ -0,0 +1,112 @@
+// js/gamepad.js — Gamepad input: tilt with an analog stick, rumble on impact
+'use strict';
+
+import { stickToGravity } from './motion.js';
+import { feedTilt } from './tilt.js';
+import { setRumble } from './vibration.js';
+
+/**
+ * Stick travel that counts as centred, as a fraction of full deflection.
+ * Enough to hide the drift of a worn stick.
+ */
+const STICK_DEAD_ZONE = 0.15;
+
+/** Standard-mapping button indices of the d-pad, used when the stick rests. */
+const DPAD = { up: 12, down: 13, left: 14, right: 15 };
+
+/**
+ * Shortest rumble in ms.  The motors need a moment to spin up, so the brief
+ * pulses meant for a phone (vibration.js) are stretched to at least this.
+ */
+const MIN_RUMBLE_MS = 60;
+
+// ── Public API ────────────────────────────────────────────────────────────────
+
+/**
+ * Start the gamepad input.  One of the inputs of input.js.
+ *
+ * Polls the first connected gamepad once per frame: the left stick tilts
+ * the table by its deflection, full deflection reaching MAX_GRAVITY like the
+ * mouse at the edge of the screen (stickToGravity() in motion.js); with the
+ * stick at rest the d-pad tilts it the same way.  Browsers only report a
+ * gamepad once a button on it has been pressed, so until then `show` asks
+ * for one.  Impacts rumble the gamepad while it is in use, wherever it has
+ * a vibrationActuator, following the vibration setting (vibration.js).
+ *
+ * @param {(reason: string) => void} fail  Called at once without the Gamepad API.
+ * @param {(label: string) => void}  show  Updates the input indicator.
+ * @returns {() => void}  Stops the input again.
+ */
+export function startGamepad(fail, show) {
+  if (typeof navigator.getGamepads !== 'function') {
+    fail('no Gamepad API');
+    return () => {};
+  }
+
+  let pad   = null;
+  let last  = null;
+  let frame = 0;
+
+  function _poll() {
+    frame = requestAnimationFrame(_poll);
+
+    const found = _firstGamepad();
+    if ((found?.index ?? null) !== (pad?.index ?? null)) {
+      console.log(found ? `[gamepad] Using "${found.id}".` : '[gamepad] Gamepad disconnected.');
+      show(found ? 'Gamepad' : 'Gamepad · press a button');
+    }
+    pad = found;
+
+    const g = pad ? _readGravity(pad) : { x: 0, y: 0 };
+    if (last && g.x === last.x && g.y === last.y) return;
+    last = g;
+    feedTilt('gamepad', g);
+  }
+
+  // A Gamepad object is a snapshot in some browsers, so look the pad up
+  // afresh for every pulse.
+  setRumble((durationMs, strength) => {
+    const actuator = pad && navigator.getGamepads()[pad.index]?.vibrationActuator;
+    if (typeof actuator?.playEffect !== 'function') return;
+    actuator.playEffect('dual-rumble', {
+      duration:        Math.max(MIN_RUMBLE_MS, durationMs),
+      strongMagnitude: strength,
+      weakMagnitude:   0.5 + 0.5 * strength,
+    }).catch(() => {
+      // Silently ignore — the pad may have no rumble motors after all
+    });
+  });
+
+  show('Gamepad · press a button');
+  _poll();
+  console.log('[gamepad] Gamepad gravity active — waiting for a gamepad.');
+
+  return () => {
+    cancelAnimationFrame(frame);
+    setRumble(null);
+  };
+}
+
+// ── Private helpers ───────────────────────────────────────────────────────────
+
+/** @returns {Gamepad|null}  The first connected gamepad, if any. */
+function _firstGamepad() {
+  return [...navigator.getGamepads()].find(p => p?.connected) ?? null;
+}
+
+/**
+ * Gravity from the left stick or, with it at rest, the d-pad.
+ *
+ * @param {Gamepad} pad
+ * @returns {{ x: number, y: number }}
+ */
+function _readGravity(pad) {
+  const g = stickToGravity(pad.axes[0] ?? 0, pad.axes[1] ?? 0, STICK_DEAD_ZONE);
+  if (g.x !== 0 || g.y !== 0 || pad.mapping !== 'standard') return g;
+
+  const pressed = (i) => (pad.buttons[i]?.pressed ? 1 : 0);
+  const x = pressed(DPAD.right) - pressed(DPAD.left);
+  const y = pressed(DPAD.down)  - pressed(DPAD.up);
+  const length = Math.hypot(x, y);
+  return length > 0 ? stickToGravity(x / length, y / length) : g;
+}
@@ -0,0 +1,390 @@
+/**
+ * grab.js — Direct ball gestures: grab and fling, tap to spawn, long-press to delete
+ *
+ * Press on a ball to pick it up, drag it around and let go to fling it.  Each
+ * pointer (finger or mouse) that lands on a ball gets its own spring
+ * constraint from the pointer to the spot that was grabbed, so several balls
+ * can be dragged at once on a multi-touch screen.  On release the ball is
+ * thrown with the pointer's recent velocity.
+ *
+ * Tap empty space in the arena to add a ball right there, in the current
+ * shape and material; press and hold a ball without moving to remove it.
+ * Either way the rest of the scene is left alone and the new ball count is
+ * saved as the sandbox count (physics.js setBallCount), within the same
+ * limits as the settings slider.
+ *
+ * Coexists with the other canvas gestures:
+ *   - mouse.js leaves gravity where it is while a ball is held (isHoldingBall),
+ *     so dragging a ball across the screen does not also tilt the world;
+ *   - reset.js only counts short, still touches as taps, so a drag or fling
+ *     never adds up to a double-tap reset;
+ *   - a tap waits DOUBLE_TAP_MS before spawning, and a second tap in that
+ *     time cancels it, so a double-tap / double-click reset adds no balls.
+ *
+ * These gestures are switched off while they would break something else —
+ * during session recording and playback (they are not part of a recording)
+ * and in the tilt-maze game — via setGrabBlocked().  The force tools in
+ * tools.js obey the same block, and take over the pointer from this module
+ * while one of them is selected (setGrabActive).
+ */
+
+'use strict';
+
+import { getArena, setBallCount } from './physics.js';
+import { DOUBLE_TAP_MS, TAP_MAX_MS, TAP_MAX_MOVE } from './reset.js';
+import { MIN_BALL_COUNT, MAX_BALL_COUNT } from './simulation.js';
+import { ballOf } from './softbody.js';
+import { insideArena } from './walls.js';
+
+const { Body, Composite, Constraint, Events, Query } = Matter;
+
+// ── Constants ─────────────────────────────────────────────────────────────────
+
+/** Spring stiffness / damping of the pointer constraint (Matter.js units). */
+const GRAB_STIFFNESS = 0.2;
+const GRAB_DAMPING   = 0.1;
+
+/** Pointer samples older than this (ms) are ignored for the release velocity. */
+const FLING_WINDOW_MS = 80;
+
+/**
+ * Cap on the fling speed, in px per 60 Hz tick (Body.setVelocity units), so a
+ * wild flick cannot launch a ball through a wall.
+ */
+const MAX_FLING_SPEED = 40;
+
+/** Matter.js velocities are expressed per tick of this many ms. */
+const BASE_TICK_MS = 1000 / 60;
+
+/**
+ * How long (ms) a ball must be held without moving more than TAP_MAX_MOVE px
+ * before it is removed.
+ */
+const LONG_PRESS_MS = 600;
+
+// ── Module state ──────────────────────────────────────────────────────────────
+
+/**
+ * Active grabs keyed by pointerId:
+ * { ball, constraint, samples: [{ x, y, t }], start: { x, y }, pressTimer }
+ * `start` is in client coordinates; `pressTimer` is the pending long-press.
+ */
+const _holds = new Map();
+
+/**
+ * Presses on empty space that may turn into a tap, keyed by pointerId:
+ * { x, y, t } in client coordinates.
+ */
+const _presses = new Map();
+
+/** Reasons the gestures are currently blocked (see setGrabBlocked). */
+const _blockedBy = new Set();
+
+/** False while another pointer tool (tools.js) is selected. */
+let _active = true;
+
+/** Called with the new blocked state whenever it changes (tools.js). */
+let _blockedListener = null;
+
+/** Set by initGrab() so setGrabBlocked() can drop held balls. */
+let _releaseAll = () => {};
+
+// ── Public API ────────────────────────────────────────────────────────────────
+
+/**
+ * Initialise the ball gestures on the #world canvas.
+ *
+ * @param {{
+ *   engine:     Matter.Engine,
+ *   render:     Matter.Render,
+ *   getBalls:   () => Array<Matter.Body|Matter.Composite>,
+ *   addBall:    (x: number, y: number) => Matter.Body,
+ *   removeBall: (ball: Matter.Body|Matter.Composite) => void,
+ * }} physics
+ *   Object returned by initPhysics().
+ */
+export function initGrab(physics) {
+  const { engine, render } = physics;
+  const canvas = document.getElementById('world');
+
+  /** Tap waiting out DOUBLE_TAP_MS before it spawns: { point, timer }. */
+  let pendingTap = null;
+
+  canvas.addEventListener('pointerdown', (e) => {
+    if (!_active || _blockedBy.size > 0) return;
+    if (e.pointerType === 'mouse' && e.button !== 0) return;
+
+    const point = toWorldPoint(render, canvas, e);
+    const hit   = _bodyAt(engine, point);
+
+    if (!hit) {
+      _presses.set(e.pointerId, { x: e.clientX, y: e.clientY, t: e.timeStamp });
+      return;
+    }
+    if (hit.label !== 'ball') return; // walls and obstacles stay put
+
+    const ball = hit;
+    const constraint = Constraint.create({
+      pointA:    { x: point.x, y: point.y },
+      bodyB:     ball,
+      pointB:    { x: point.x - ball.position.x, y: point.y - ball.position.y },
+      length:    0,
+      stiffness: GRAB_STIFFNESS,
+      damping:   GRAB_DAMPING,
+      render:    { strokeStyle: 'rgba(255, 255, 255, 0.35)', lineWidth: 2, anchors: false },
+    });
+    Composite.add(engine.world, constraint);
+
+    _holds.set(e.pointerId, {
+      ball,
+      constraint,
+      samples:    [{ ...point, t: e.timeStamp }],
+      start:      { x: e.clientX, y: e.clientY },
+      pressTimer: setTimeout(() => _removeHeld(e.pointerId), LONG_PRESS_MS),
+    });
+    canvas.setPointerCapture(e.pointerId);
+  });
+
+  canvas.addEventListener('pointermove', (e) => {
+    const hold = _holds.get(e.pointerId);
+    if (!hold) return;
+
+    // Moving the ball means dragging it, not long-pressing it.
+    if (Math.hypot(e.clientX - hold.start.x, e.clientY - hold.start.y) > TAP_MAX_MOVE) {
+      clearTimeout(hold.pressTimer);
+    }
+
+    const point = toWorldPoint(render, canvas, e);
+    hold.constraint.pointA.x = point.x;
+    hold.constraint.pointA.y = point.y;
+
+    hold.samples.push({ ...point, t: e.timeStamp });
+    while (hold.samples.length > 2 && e.timeStamp - hold.samples[0].t > FLING_WINDOW_MS) {
+      hold.samples.shift();
+    }
+  });
+
+  canvas.addEventListener('pointerup', (e) => {
+    _release(e.pointerId, e.timeStamp, true);
+
+    const press = _presses.get(e.pointerId);
+    _presses.delete(e.pointerId);
+    if (press && _isTap(press, e)) _onTap(toWorldPoint(render, canvas, e));
+  });
+
+  canvas.addEventListener('pointercancel', (e) => {
+    _release(e.pointerId, e.timeStamp, false);
+    _presses.delete(e.pointerId);
+  });
+
+  // A slow double-click can outlast DOUBLE_TAP_MS; reset.js resets on it, so
+  // make sure its second click does not add a ball as well.
+  canvas.addEventListener('dblclick', _cancelTap);
+
+  // A held ball can vanish under the pointer (reset, respawn, level change):
+  // drop its constraint rather than leave it pulling at a detached body.
+  Events.on(engine, 'beforeUpdate', () => {
+    for (const [pointerId, hold] of _holds) {
+      if (!Composite.allBodies(engine.world).includes(hold.ball)) _release(pointerId, 0, false);
+    }
+  });
+
+  // ── Tap to spawn ──────────────────────────────────────────────────────────
+
+  /**
+   * A single tap on empty space.  Wait to see whether it is the first half of
+   * a double-tap reset; only a tap that stays single spawns a ball.
+   */
+  function _onTap(point) {
+    if (pendingTap) {
+      _cancelTap();
+      return;
+    }
+    pendingTap = {
+      point,
+      timer: setTimeout(() => {
+        pendingTap = null;
+        _spawnAt(point);
+      }, DOUBLE_TAP_MS),
+    };
+  }
+
+  function _cancelTap() {
+    if (!pendingTap) return;
+    clearTimeout(pendingTap.timer);
+    pendingTap = null;
+  }
+
+  function _spawnAt(point) {
+    if (_blockedBy.size > 0) return;
+    // Not in the dimmed area outside a shaped arena, nor inside a wall or an
+    // obstacle: the ball would start out stuck, or count as an escape.
+    if (!insideArena(getArena(), point) || _staticAt(engine, point)) return;
+    const count = physics.getBalls().length;
+    if (count >= MAX_BALL_COUNT) return;
+    physics.addBall(point.x, point.y);
+    _saveCount();
+  }
+
+  // ── Long-press to delete ──────────────────────────────────────────────────
+
+  function _removeHeld(pointerId) {
+    const hold = _holds.get(pointerId);
+    if (!hold) return;
+    if (physics.getBalls().length <= MIN_BALL_COUNT) return; // keep at least one
+
+    _release(pointerId, 0, false);
+    physics.removeBall(ballOf(hold.ball));
+    _saveCount();
+  }
+
+  /** Persist the live ball count as the sandbox count. */
+  function _saveCount() {
+    setBallCount(physics.getBalls().length);
+  }
+
+  // ── Release / fling ───────────────────────────────────────────────────────
+
+  /**
+   * Let go of the ball held by `pointerId`, throwing it with the pointer's
+   * velocity over the last FLING_WINDOW_MS when `fling` is set.
+   */
+  function _release(pointerId, now, fling) {
+    const hold = _holds.get(pointerId);
+    if (!hold) return;
+    _holds.delete(pointerId);
+    clearTimeout(hold.pressTimer);
+    Composite.remove(engine.world, hold.constraint);
+
+    if (!fling) return;
+    const recent = hold.samples.filter(s => now - s.t <= FLING_WINDOW_MS);
+    if (recent.length < 2) return; // held still before letting go — just drop it
+
+    const first = recent[0];
+    const last  = recent[recent.length - 1];
+    const dt    = last.t - first.t;
+    if (dt <= 0) return;
+
+    let vx = ((last.x - first.x) / dt) * BASE_TICK_MS;
+    let vy = ((last.y - first.y) / dt) * BASE_TICK_MS;
+    const speed = Math.hypot(vx, vy);
+    if (speed > MAX_FLING_SPEED) {
+      vx = (vx / speed) * MAX_FLING_SPEED;
+      vy = (vy / speed) * MAX_FLING_SPEED;
+    }
+    Body.setVelocity(hold.ball, { x: vx, y: vy });
+  }
+
+  _releaseAll = () => {
+    for (const pointerId of [..._holds.keys()]) _release(pointerId, 0, false);
+    _presses.clear();
+    _cancelTap();
+  };
+
+  console.log('[grab] Touch / mouse ball gestures active.');
+}
+
+/**
+ * True while at least one ball is being held.  mouse.js checks this so the
+ * cursor only steers gravity when it is not dragging a ball.
+ *
+ * @returns {boolean}
+ */
+export function isHoldingBall() {
+  return _holds.size > 0;
+}
+
+/**
+ * Block or unblock the ball gestures for a given reason ('replay', 'maze', …).
+ * They are available only while nothing blocks them; blocking drops any ball
+ * currently held and forgets a pending tap.
+ *
+ * @param {string}  reason
+ * @param {boolean} blocked
+ */
+export function setGrabBlocked(reason, blocked) {
+  const wasBlocked = _blockedBy.size > 0;
+  if (blocked) {
+    _blockedBy.add(reason);
+    _releaseAll();
+  } else {
+    _blockedBy.delete(reason);
+  }
+  if (_blockedListener && wasBlocked !== _blockedBy.size > 0) {
+    _blockedListener(_blockedBy.size > 0);
+  }
+}
+
+/** @returns {boolean}  True while anything blocks the pointer gestures. */
+export function isGrabBlocked() {
+  return _blockedBy.size > 0;
+}
+
+/**
+ * Register a callback for changes of the blocked state, e.g. to hide the
+ * tool bar (tools.js).  Pass null to remove it.
+ *
+ * @param {((blocked: boolean) => void)|null} fn
+ */
+export function setGrabBlockedListener(fn) {
+  _blockedListener = fn;
+}
+
+/**
+ * Hand the pointer to grab / tap / long-press (true, the default) or take it
+ * away while another tool is selected (tools.js).  Deactivating drops any
+ * ball currently held.
+ *
+ * @param {boolean} on
+ */
+export function setGrabActive(on) {
+  _active = Boolean(on);
+  if (!_active) _releaseAll();
+}
+
+/**
+ * Convert a pointer event's position on `canvas` to world coordinates.  The
+ * renderer normally shows the world 1:1, but a replay letterboxes a world of
+ * another size, so go through render.bounds.  Shared with tools.js.
+ *
+ * @param {Matter.Render}     render
+ * @param {HTMLCanvasElement} canvas
+ * @param {{ clientX: number, clientY: number }} e
+ * @returns {{ x: number, y: number }}
+ */
+export function toWorldPoint(render, canvas, e) {
+  const rect   = canvas.getBoundingClientRect();
+  const bounds = render.bounds;
+  return {
+    x: bounds.min.x + ((e.clientX - rect.left) / rect.width)  * (bounds.max.x - bounds.min.x),
+    y: bounds.min.y + ((e.clientY - rect.top)  / rect.height) * (bounds.max.y - bounds.min.y),
+  };
+}
+
+// ── Private helpers ───────────────────────────────────────────────────────────
+
+/**
+ * The solid body under `point`, or null for empty space.  Sensors (maze
+ * holes) do not count.  When bodies overlap the last one in the world — the
+ * one drawn on top — wins.  Jelly balls are hit through their particles, so
+ * the one under the pointer is held and the rest of the ball follows.
+ *
+ * @returns {Matter.Body|null}
+ */
+function _bodyAt(engine, point) {
+  const bodies = Composite.allBodies(engine.world).filter(b => !b.isSensor);
+  const hits   = Query.point(bodies, point);
+  return hits.length > 0 ? hits[hits.length - 1] : null;
+}
+
+/** Whether `point` lies inside a wall or a level obstacle.  Sensors do not count. */
+function _staticAt(engine, point) {
+  const solids = Composite.allBodies(engine.world).filter(b => b.isStatic && !b.isSensor);
+  return Query.point(solids, point).length > 0;
+}
+
+/** True if a press that started at `press` and ended with `e` was a tap. */
+function _isTap(press, e) {
+  return e.timeStamp - press.t <= TAP_MAX_MS &&
+    Math.hypot(e.clientX - press.x, e.clientY - press.y) <= TAP_MAX_MOVE;
+}
@@ -1,26 +1,37 @@
 /**
- * gyroscope.js — iOS gyroscope permission prompt + DeviceOrientation API
+ * gyroscope.js — Motion-sensor input: iOS permission prompt + gravity sources
  *
  * TASK-004: iOS Gyroscope Permission Prompt
  *   On iOS 13+, DeviceOrientationEvent requires explicit user permission before
  *   orientation data is available.  This module detects that requirement, shows a
  *   full-screen prompt, and requests permission when the user taps "Enable Motion".
- *   If the user denies access the supplied onDenied callback is invoked so the
- *   caller can activate the mouse-gravity fallback (TASK-006).
+ *   If the user denies access the input gives up, so input.js can hand over
+ *   to the next one (drag-to-tilt or the mouse, TASK-006).
  *   On Android and desktop browsers no prompt is shown.
  *
  * TASK-005: Gyroscope Gravity Control
- *   After permission is confirmed the DeviceOrientation listener maps tilt
- *   angles to the Matter.js gravity vector in real time:
+ *   After permission is confirmed the best available gravity source drives the
+ *   Matter.js gravity vector in real time: the true gravity vector from the
+ *   GravitySensor / Accelerometer (Generic Sensor API) or from DeviceMotion's
+ *   accelerationIncludingGravity, or else the DeviceOrientation angles:
  *     gamma (left/right, -90…+90) → engine.gravity.x
  *     beta  (forward/back, -180…+180) → engine.gravity.y via sin(beta)
- *   The gravity magnitude is clamped to MAX_GRAVITY so balls never fly
- *   uncontrollably fast.  Devices that fire the event with null data are
- *   detected and the mouse-gravity fallback is activated instead.
+ *   The source can be fixed in settings.  Readings go through tilt.js
+ *   (calibration, dead zone, response curve, smoothing), which clamps gravity
+ *   to MAX_GRAVITY so balls never fly uncontrollably fast.  Devices where no
+ *   source delivers real data are detected and the input gives up the same
+ *   way.
+ *
+ *   Readings are measured against the device held in portrait, so the
+ *   vector is turned by the screen's orientation angle before use; the
+ *   angle is tracked live as the phone is rotated.
  */
 
 'use strict';
 
+import { deviceTilt, accelerationToTilt } from './motion.js';
+import { feedTilt } from './tilt.js';
+
 const overlay   = document.getElementById('permission-overlay');
 const btnEnable = document.getElementById('btn-enable-motion');
 
@@ -29,28 +40,97 @@ const btnEnable = document.getElementById('btn-enable-motion');
 // ─────────────────────────────────────────────────────────────────────────────
 
 /**
- * Maximum magnitude of the gravity vector.  Values above this are clamped so
- * balls never fly too fast to follow visually or interact with.
+ * Number of consecutive deviceorientation events with null beta/gamma before
+ * the module concludes the device has no real gyroscope and gives up.
  */
-const MAX_GRAVITY = 2.5;
+const NO_DATA_THRESHOLD = 5;
 
 /**
- * Lateral (gamma) scale factor: how many degrees of left/right tilt equals
- * 1.0 gravity unit.  45° of tilt produces a gravity.x of 1.0.
+ * Milliseconds to wait for a first reading from the sensor or motion source
+ * before trying the next one.  Desktop browsers may never fire the events.
  */
-const TILT_SCALE = 45;
+const NO_DATA_MS = 1000;
+
+/** Readings per second asked of the Generic Sensor API. */
+const SENSOR_FREQUENCY = 60;
+
+/** localStorage key for the chosen gravity source. */
+const KEY_GRAVITY_SOURCE = 'gyroballs_gravity_source';
 
 /**
- * Number of consecutive deviceorientation events with null beta/gamma before
- * the module concludes the device has no real gyroscope and falls back to the
- * mouse-gravity path (TASK-006).
+ * Where gravity comes from — see _startGravityControl().  Offered in the
+ * settings panel; 'auto' picks the best one that works.
  */
-const NO_DATA_THRESHOLD = 5;
+export const GRAVITY_SOURCES = [
+  { id: 'auto',        name: 'Automatic' },
+  { id: 'sensor',      name: 'Gravity sensor' },
+  { id: 'motion',      name: 'Accelerometer' },
+  { id: 'orientation', name: 'Tilt angles' },
+];
+
+/** Order 'auto' tries the sources in, best first. */
+const AUTO_ORDER = ['sensor', 'motion', 'orientation'];
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Module state
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** The GRAVITY_SOURCES id picked in settings. */
+let _chosenSource = _storedSource();
+
+/** The source running now; null before gravity control starts or once all failed. */
+let _activeSource = null;
+
+/** Stops the running source. */
+let _stopSource = null;
+
+/** Counts source chains started, so callbacks from a stopped one are ignored. */
+let _run = 0;
+
+/** Last reading: source id and raw tilt; null until one arrives. */
+let _last = null;
+
+/** Whether gravity control has started (after any iOS permission prompt). */
+let _started = false;
+
+/** Screen orientation angle, kept up to date once gravity control starts. */
+let _angle = 0;
+
+/** Called once when no source works, to give up the input; null once used. */
+let _onNoGyroscope = null;
 
 // ─────────────────────────────────────────────────────────────────────────────
 // Detection helpers
 // ─────────────────────────────────────────────────────────────────────────────
 
+/**
+ * Current screen orientation angle in degrees: 0 in the device's natural
+ * (portrait) orientation, 90 or 270 in landscape, 180 upside down.
+ *
+ * Uses the Screen Orientation API, falling back to window.orientation on
+ * older iOS (which reports -90 rather than 270) and to 0 when neither exists.
+ */
+function _screenAngle() {
+  const angle = screen.orientation?.angle ?? window.orientation ?? 0;
+  return Number.isFinite(angle) ? angle : 0;
+}
+
+/**
+ * Whether DeviceMotionEvent.accelerationIncludingGravity comes with its sign
+ * flipped, as it does in WebKit on iOS — the only engine with
+ * DeviceMotionEvent.requestPermission().
+ */
+function _motionInverted() {
+  return typeof DeviceMotionEvent !== 'undefined' &&
+         typeof DeviceMotionEvent.requestPermission === 'function';
+}
+
+/** Return the gravity source saved in localStorage, defaulting to 'auto'. */
+function _storedSource() {
+  const stored = localStorage.getItem(KEY_GRAVITY_SOURCE);
+  return GRAVITY_SOURCES.some(s => s.id === stored) ? stored : 'auto';
+}
+
 /**
  * Returns true when the browser requires an explicit requestPermission() call
  * before DeviceOrientationEvent data is accessible.
@@ -101,146 +181,343 @@ function _showPermissionPrompt() {
   });
 }
 
+/**
+ * Make sure motion data may be read, showing the prompt on iOS 13+ when
+ * access has not been granted yet.  Elsewhere no permission is needed.
+ *
+ * @returns {Promise<'granted'|'denied'>}
+ */
+async function _requestPermission() {
+  if (!_permissionRequired()) {
+    // ── Android / desktop path ──────────────────────────────────────────────
+    // No permission prompt is required.  The overlay stays hidden.
+    console.log('[gyroscope] No permission prompt required (Android / desktop).');
+    return 'granted';
+  }
+
+  // ── iOS 13+ path ──────────────────────────────────────────────────────────
+  console.log('[gyroscope] iOS 13+ detected — checking DeviceOrientation permission.');
+
+  // Pre-flight: check existing permission state without a user gesture.
+  // If already granted we can skip the overlay entirely.
+  let state;
+  try {
+    state = await DeviceOrientationEvent.requestPermission();
+  } catch {
+    // requestPermission() outside a user gesture throws on some iOS versions —
+    // treat as 'prompt' and fall through to the overlay.
+    state = 'prompt';
+  }
+
+  if (state !== 'granted') {
+    console.log('[gyroscope] Permission not yet granted — showing prompt overlay.');
+    state = await _showPermissionPrompt();
+  } else {
+    console.log('[gyroscope] Permission already granted — skipping overlay.');
+  }
+
+  if (state === 'granted') console.log('[gyroscope] Permission granted — gyroscope is active.');
+  return state === 'granted' ? 'granted' : 'denied';
+}
+
 // ─────────────────────────────────────────────────────────────────────────────
 // TASK-005: Gravity control
 // ─────────────────────────────────────────────────────────────────────────────
 
 /**
- * Attach a deviceorientation listener that maps tilt angles to the Matter.js
+ * Attach the chosen gravity source and map its readings to the Matter.js
  * gravity vector in real time.
  *
- * Angle → gravity mapping
- * ───────────────────────
- * gamma (left/right, -90…+90)
- *   Dividing by TILT_SCALE (45°) gives a gravity.x of ±1 at a 45° lateral
- *   tilt, which feels natural.  Positive gamma = phone tilted right = balls
- *   roll right = positive gravity.x.
- *
- * beta (front/back, -180…+180)
- *   sin(beta) is used so that gravity.y tracks physical reality smoothly:
- *     β = 90°   (portrait upright, facing user) → sin = +1.0  (balls fall down)
- *     β = 0°    (flat, face-up)                 → sin =  0.0  (no y component)
- *     β = 180°  (flat, face-down)               → sin =  0.0
- *     β = -90°  (portrait upright, facing away) → sin = -1.0  (balls fall up)
- *
- * Magnitude clamping
+ * Sources
+ * ───────
+ *   sensor      — GravitySensor (Generic Sensor API): the gravity vector with
+ *                 the device's own movement already filtered out; or, where
+ *                 only that is offered, the raw Accelerometer.
+ *   motion      — DeviceMotionEvent.accelerationIncludingGravity, the same
+ *                 reading reset.js watches for shakes.
+ *   orientation — DeviceOrientation angles: gamma (left/right tilt) drives
+ *                 gravity.x and sin(beta) (front/back tilt) gravity.y.  Works
+ *                 almost everywhere but goes wrong near vertical and upside
+ *                 down, where the angles flip.
+ *
+ * 'auto' tries them in that order and keeps the first that delivers; a
+ * source picked in settings is tried first, then the rest.  The maths lives
+ * in motion.js (accelerationToTilt(), deviceTilt()) so it can be tested
+ * without a browser; the vector is handed to tilt.js, which applies the
+ * calibration and response settings and sets gravity.  Each source has its
+ * own calibration.
+ *
+ * Screen orientation
  * ──────────────────
- * After computing (gx, gy) the vector magnitude is clamped to MAX_GRAVITY by
- * scaling both components proportionally, preserving direction while keeping
- * ball speeds manageable at extreme tilt angles.
+ * The vector is turned by the screen's orientation angle (_screenAngle()),
+ * so "down" stays the bottom of the screen in landscape too.  The angle is
+ * re-read whenever the screen turns, and the last reading is mapped again at
+ * once rather than waiting for the next event.
  *
  * No-gyroscope detection
  * ──────────────────────
- * Desktop browsers and some older devices fire deviceorientation events but
- * provide null for beta and gamma.  After NO_DATA_THRESHOLD consecutive null
- * events the listener removes itself and calls onNoGyroscope() so the caller
- * can activate the mouse-gravity fallback (TASK-006).
+ * A source is given up when it reports an error, sends NO_DATA_THRESHOLD
+ * empty readings in a row (desktop browsers fire the events with null data)
+ * or, for the sensor and motion sources, none at all within NO_DATA_MS.
+ * Once every source has been given up onNoGyroscope() is called so input.js
+ * can move on to the next input (drag-to-tilt or the mouse, TASK-006).
  *
- * @param {Matter.Engine} engine           Active Matter.js engine.
- * @param {Function}      onNoGyroscope    Called when no real gyroscope data arrives.
+ * @param {Function} onNoGyroscope  Called when no real gyroscope data arrives.
+ */
+function _startGravityControl(onNoGyroscope) {
+  _started = true;
+  _onNoGyroscope = onNoGyroscope;
+  _angle = _screenAngle();
+
+  // Older iOS has no screen.orientation, only the orientationchange event.
+  if (screen.orientation) {
+    screen.orientation.addEventListener('change', _onOrientationChange);
+  } else {
+    window.addEventListener('orientationchange', _onOrientationChange);
+  }
+
+  _runSources(_sourceOrder(_chosenSource));
+}
+
+/** Stop the running source and stop following the screen orientation. */
+function _stopGravityControl() {
+  if (!_started) return;
+  _started = false;
+  _onNoGyroscope = null;
+  _runSources([]);
+
+  if (screen.orientation) {
+    screen.orientation.removeEventListener('change', _onOrientationChange);
+  } else {
+    window.removeEventListener('orientationchange', _onOrientationChange);
+  }
+}
+
+/** The chosen source first, then the others in AUTO_ORDER. */
+function _sourceOrder(id) {
+  return AUTO_ORDER.includes(id) ? [id, ...AUTO_ORDER.filter(s => s !== id)] : AUTO_ORDER;
+}
+
+/**
+ * Start the first of `order`, moving on to the next when it fails, and
+ * giving up the input when none is left.  An empty `order` just stops.
  */
-function _startGravityControl(engine, onNoGyroscope) {
+function _runSources(order) {
+  _stopSource?.();
+  _stopSource = null;
+  _last = null;
+  const run = ++_run;
+
+  if (order.length === 0) {
+    _activeSource = null;
+    if (_onNoGyroscope) {
+      console.log('[gyroscope] No real gyroscope data — giving up the motion sensor.');
+      const fallback = _onNoGyroscope;
+      _onNoGyroscope = null; // once is enough
+      fallback();
+    }
+    return;
+  }
+
+  const [id, ...rest] = order;
+  _activeSource = id;
+  const stop = SOURCES[id](
+    (raw) => {
+      if (run !== _run) return;
+      _last = { id, raw };
+      _apply();
+    },
+    (reason) => {
+      if (run !== _run) return;
+      console.log(`[gyroscope] Gravity source "${id}" unavailable (${reason}).`);
+      _runSources(rest);
+    },
+  );
+
+  // A source that fails straight away has already moved on to the next.
+  if (run !== _run) return;
+  _stopSource = stop;
+  console.log(`[gyroscope] Gravity source "${id}" started — gravity control running.`);
+}
+
+/** Map the last reading to gravity (via tilt.js). */
+function _apply() {
+  feedTilt(_last.id, _last.raw, _angle);
+}
+
+function _onOrientationChange() {
+  _angle = _screenAngle();
+  if (_last) _apply();
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Gravity sources
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Each takes `feed(raw)` for readings (raw tilt in the device's axes) and
+// `fail(reason)`, starts listening, and returns a function that stops it.
+
+/** GravitySensor, or the Accelerometer where that is all there is. */
+function _startSensor(feed, fail) {
+  const Sensor = window.GravitySensor ?? window.Accelerometer;
+  if (!Sensor) {
+    fail('no Generic Sensor API');
+    return () => {};
+  }
+
+  let sensor;
+  try {
+    sensor = new Sensor({ frequency: SENSOR_FREQUENCY, referenceFrame: 'device' });
+  } catch (err) {
+    // Blocked by a permissions policy, or the constructor is there but unusable.
+    fail(err.name);
+    return () => {};
+  }
+
+  const timer = setTimeout(() => fail('no readings'), NO_DATA_MS);
+  sensor.addEventListener('reading', () => {
+    clearTimeout(timer);
+    feed(accelerationToTilt(sensor));
+  });
+  sensor.addEventListener('error', (e) => {
+    clearTimeout(timer);
+    fail(e.error?.name ?? 'error');
+  });
+  sensor.start();
+
+  return () => {
+    clearTimeout(timer);
+    sensor.stop();
+  };
+}
+
+/** DeviceMotionEvent.accelerationIncludingGravity. */
+function _startMotion(feed, fail) {
+  if (typeof DeviceMotionEvent === 'undefined') {
+    fail('no DeviceMotionEvent');
+    return () => {};
+  }
+
+  let nullCount = 0;
+  const timer = setTimeout(() => fail('no readings'), NO_DATA_MS);
+
+  function _onDeviceMotion(event) {
+    const a = event.accelerationIncludingGravity;
+    if (a?.x == null && a?.y == null) {
+      nullCount += 1;
+      if (nullCount >= NO_DATA_THRESHOLD) fail('null data');
+      return;
+    }
+    nullCount = 0;
+    clearTimeout(timer);
+    // WebKit on iOS reports this reading with the opposite sign to the spec
+    // (and to Chrome and Firefox); the iOS-only permission call gives it away.
+    const sign = _motionInverted() ? -1 : 1;
+    feed(accelerationToTilt({ x: sign * (a.x ?? 0), y: sign * (a.y ?? 0), z: sign * (a.z ?? 0) }));
+  }
+
+  window.addEventListener('devicemotion', _onDeviceMotion);
+  return () => {
+    clearTimeout(timer);
+    window.removeEventListener('devicemotion', _onDeviceMotion);
+  };
+}
+
+/** DeviceOrientation beta and gamma. */
+function _startOrientation(feed, fail) {
   let nullCount = 0;
 
   function _onDeviceOrientation(event) {
     const { beta, gamma } = event;
 
-    // ── No-gyroscope detection ───────────────────────────────────────────────
     if (beta == null && gamma == null) {
       nullCount += 1;
-      if (nullCount >= NO_DATA_THRESHOLD) {
-        console.log('[gyroscope] No real gyroscope data — activating mouse-gravity fallback.');
-        window.removeEventListener('deviceorientation', _onDeviceOrientation);
-        onNoGyroscope();
-      }
+      if (nullCount >= NO_DATA_THRESHOLD) fail('null data');
       return;
     }
 
     nullCount = 0; // reset counter when real data arrives
-
-    // ── Map tilt to gravity ──────────────────────────────────────────────────
-    // gamma: left/right tilt. Positive = tilted right → positive gravity.x.
-    const gx = (gamma ?? 0) / TILT_SCALE;
-
-    // beta: forward/back tilt. sin(beta) naturally produces:
-    //   • +1 when the phone is upright in portrait (β ≈ 90°)
-    //   • 0  when the phone is flat (β ≈ 0°)
-    //   • −1 when the phone is upside-down upright (β ≈ −90°)
-    const gy = Math.sin(((beta ?? 90) * Math.PI) / 180);
-
-    // ── Clamp vector magnitude ───────────────────────────────────────────────
-    const mag = Math.sqrt(gx * gx + gy * gy);
-    if (mag > MAX_GRAVITY) {
-      engine.gravity.x = (gx / mag) * MAX_GRAVITY;
-      engine.gravity.y = (gy / mag) * MAX_GRAVITY;
-    } else {
-      engine.gravity.x = gx;
-      engine.gravity.y = gy;
-    }
+    feed(deviceTilt(beta, gamma));
   }
 
   window.addEventListener('deviceorientation', _onDeviceOrientation);
-  console.log('[gyroscope] DeviceOrientation listener active — gravity control running.');
+  return () => window.removeEventListener('deviceorientation', _onDeviceOrientation);
 }
 
+/** Source id → start function. */
+const SOURCES = {
+  sensor:      _startSensor,
+  motion:      _startMotion,
+  orientation: _startOrientation,
+};
+
 // ─────────────────────────────────────────────────────────────────────────────
 // Public API
 // ─────────────────────────────────────────────────────────────────────────────
 
 /**
- * Initialise gyroscope permission and the DeviceOrientation gravity listener.
+ * Start the motion-sensor input: ask for permission where needed, then run
+ * gravity control.  One of the inputs of input.js.
  *
  * Behaviour by platform:
- *   iOS 13+   — Shows the permission overlay; on denial calls onDenied() and returns.
+ *   iOS 13+   — Shows the permission overlay unless access was already
+ *               granted; on denial calls fail().
  *   Android   — No prompt; proceeds directly to gravity control.
- *   Desktop   — No prompt; attaches listener but detects null data after
- *               NO_DATA_THRESHOLD events and falls back via onDenied().
- *
- * @param {Matter.Engine} engine      The Matter.js physics engine instance.
- * @param {object}        [options]
- * @param {Function}      [options.onDenied]  Invoked when iOS permission is denied
- *                                            or when no real gyroscope data is found.
- * @returns {Promise<void>}
+ *   Desktop   — No prompt; tries each gravity source, finds no data in any
+ *               and calls fail().
+ *
+ * Gravity itself is set by tilt.js, so initTilt() must have been called.
+ *
+ * @param {(reason: string) => void} fail  Called when permission is denied
+ *                                         or no real gyroscope data is found.
+ * @returns {() => void}  Stops the input again.
  */
-export async function initGyroscope(engine, { onDenied = () => {} } = {}) {
-  if (_permissionRequired()) {
-    // ── iOS 13+ path ──────────────────────────────────────────────────────────
-    console.log('[gyroscope] iOS 13+ detected — checking DeviceOrientation permission.');
-
-    // Pre-flight: check existing permission state without a user gesture.
-    // If already granted we can skip the overlay entirely.
-    let state;
-    try {
-      state = await DeviceOrientationEvent.requestPermission();
-    } catch {
-      // requestPermission() outside a user gesture throws on some iOS versions —
-      // treat as 'prompt' and fall through to the overlay.
-      state = 'prompt';
-    }
+export function startGyroscope(fail) {
+  let stopped = false;
 
-    if (state !== 'granted') {
-      console.log('[gyroscope] Permission not yet granted — showing prompt overlay.');
-      state = await _showPermissionPrompt();
-    } else {
-      console.log('[gyroscope] Permission already granted — skipping overlay.');
-    }
+  (async () => {
+    const state = await _requestPermission();
+    if (stopped) return;
 
     if (state !== 'granted') {
-      console.log('[gyroscope] Permission denied — activating mouse-gravity fallback.');
-      onDenied();
+      console.log('[gyroscope] Permission denied — giving up the motion sensor.');
+      fail('permission denied');
       return;
     }
 
-    console.log('[gyroscope] Permission granted — gyroscope is active.');
-  } else {
-    // ── Android / desktop path ────────────────────────────────────────────────
-    // No permission prompt is required.  The overlay stays hidden.
-    console.log('[gyroscope] No permission prompt required (Android / desktop).');
-  }
+    // ── TASK-005: Start gravity control ────────────────────────────────────
+    // Map the best gravity source to the Matter.js gravity vector in real
+    // time.  On devices without a real gyroscope fail() is called so
+    // input.js can move on to the next input (TASK-006).
+    _startGravityControl(() => fail('no data'));
+  })();
+
+  return () => {
+    stopped = true;
+    _stopGravityControl();
+  };
+}
+
+/**
+ * Choose where gravity comes from and persist it.  Switches at once when
+ * gravity control is running; a source that turns out not to work falls
+ * back to the others in turn.  Called by the settings module.
+ *
+ * @param {string} id  A GRAVITY_SOURCES id.
+ */
+export function setGravitySource(id) {
+  if (!GRAVITY_SOURCES.some(s => s.id === id)) return;
+  _chosenSource = id;
+  localStorage.setItem(KEY_GRAVITY_SOURCE, id);
+  if (_started) _runSources(_sourceOrder(id));
+}
+
+/** @returns {string}  The GRAVITY_SOURCES id picked in settings. */
+export function getGravitySource() {
+  return _chosenSource;
+}
 
-  // ── TASK-005: Start gravity control ──────────────────────────────────────
-  // Map DeviceOrientation angles to the Matter.js gravity vector in real time.
-  // On devices without a real gyroscope onDenied() is called so the caller
-  // can activate the mouse-gravity fallback (TASK-006).
-  _startGravityControl(engine, onDenied);
+/** @returns {string|null}  The source running now, or null (not started, or none works). */
+export function getActiveGravitySource() {
+  return _activeSource;
 }
@@ -0,0 +1,162 @@
+// js/input.js — Input providers: what tilts the table, and switching between them
+'use strict';
+
+import { startGyroscope } from './gyroscope.js';
+import { startMouse }     from './mouse.js';
+import { startDrag }      from './drag.js';
+import { startKeyboard }  from './keyboard.js';
+import { startGamepad }   from './gamepad.js';
+import { startJoystick }  from './joystick.js';
+
+/** localStorage key for the chosen input. */
+const KEY_INPUT = 'gyroballs_input';
+
+/**
+ * The inputs offered in the settings panel; 'auto' picks the first in
+ * AUTO_ORDER that works.  `label` is what the indicator at the top of the
+ * screen reads while the input is in use — none for the motion sensor,
+ * which is what a phone is expected to play with.
+ */
+export const INPUT_PROVIDERS = [
+  { id: 'auto',      name: 'Automatic' },
+  { id: 'gyroscope', name: 'Motion sensor',      label: null },
+  { id: 'mouse',     name: 'Mouse',              label: 'Mouse mode' },
+  { id: 'drag',      name: 'Touch drag',         label: 'Drag to tilt' },
+  { id: 'keyboard',  name: 'Keyboard',           label: 'Keyboard · arrows / WASD' },
+  { id: 'gamepad',   name: 'Gamepad',            label: 'Gamepad' },
+  { id: 'joystick',  name: 'On-screen joystick', label: 'Joystick mode' },
+];
+
+/**
+ * Order 'auto' tries the inputs in, and falls back along after a chosen one:
+ * the motion sensor, then dragging on a touch screen — where the mouse would
+ * never move — or the mouse elsewhere.
+ */
+const AUTO_ORDER = ['gyroscope', _touchScreen() ? 'drag' : 'mouse'];
+
+/**
+ * Input id → start function.  Each starts listening and hands its readings
+ * to tilt.js (feedTilt()), calls `fail(reason)` — straight away or later —
+ * when it turns out not to work, may update the indicator with
+ * `show(label)`, and returns a function that stops it.
+ */
+const PROVIDERS = {
+  gyroscope: startGyroscope,
+  mouse:     startMouse,
+  drag:      startDrag,
+  keyboard:  startKeyboard,
+  gamepad:   startGamepad,
+  joystick:  startJoystick,
+};
+
+// ── Module state ──────────────────────────────────────────────────────────────
+
+/** The INPUT_PROVIDERS id picked in settings. */
+let _chosen = _storedInput();
+
+/** The input running now; null before initInput() or once all failed. */
+let _active = null;
+
+/** Stops the running input. */
+let _stop = null;
+
+/** Counts inputs started, so callbacks from a stopped one are ignored. */
+let _run = 0;
+
+/** The #input-label indicator; null before initInput(). */
+let _label = null;
+
+// ── Public API ────────────────────────────────────────────────────────────────
+
+/**
+ * Start the chosen input (TASK-004 – TASK-006).  On 'auto' that is the
+ * motion sensor, falling back where it is denied or there is no gyroscope
+ * to dragging on touch screens (tablets, Chromebooks) or else the mouse, as
+ * on desktop.  The indicator at the top of the screen names the input in use.
+ *
+ * Gravity itself is set by tilt.js, so initTilt() must have been called.
+ */
+export function initInput() {
+  _label = document.getElementById('input-label');
+  _runInputs(_inputOrder(_chosen));
+}
+
+/**
+ * Choose the input and persist it.  Switches at once; one that does not
+ * work falls back along AUTO_ORDER.  Called by the settings module.
+ *
+ * @param {string} id  An INPUT_PROVIDERS id.
+ */
+export function setInputProvider(id) {
+  if (!INPUT_PROVIDERS.some(p => p.id === id)) return;
+  _chosen = id;
+  localStorage.setItem(KEY_INPUT, id);
+  if (_label) _runInputs(_inputOrder(id));
+}
+
+/** @returns {string}  The INPUT_PROVIDERS id picked in settings. */
+export function getInputProvider() {
+  return _chosen;
+}
+
+/** @returns {string|null}  The input running now, or null (not started, or none works). */
+export function getActiveInput() {
+  return _active;
+}
+
+// ── Private helpers ───────────────────────────────────────────────────────────
+
+/** The chosen input first, then the others in AUTO_ORDER. */
+function _inputOrder(id) {
+  return id in PROVIDERS ? [id, ...AUTO_ORDER.filter(p => p !== id)] : AUTO_ORDER;
+}
+
+/** Start the first of `order`, moving on to the next when it fails. */
+function _runInputs(order) {
+  _stop?.();
+  _stop = null;
+  const run = ++_run;
+
+  if (order.length === 0) {
+    _active = null;
+    _showLabel(null);
+    console.warn('[input] No input works — gravity stays as it is.');
+    return;
+  }
+
+  const [id, ...rest] = order;
+  _active = id;
+  _showLabel(INPUT_PROVIDERS.find(p => p.id === id).label);
+  const stop = PROVIDERS[id](
+    (reason) => {
+      if (run !== _run) return;
+      console.log(`[input] Input "${id}" unavailable (${reason}).`);
+      _runInputs(rest);
+    },
+    (label) => {
+      if (run === _run) _showLabel(label);
+    },
+  );
+
+  // An input that fails straight away has already moved on to the next.
+  if (run !== _run) return;
+  _stop = stop;
+  console.log(`[input] Input "${id}" started.`);
+}
+
+/** Show `text` in the indicator, or hide it for null. */
+function _showLabel(text) {
+  _label.textContent = text ?? '';
+  _label.classList.toggle('hidden', !text);
+}
+
+/** Whether the device has a touch screen. */
+function _touchScreen() {
+  return typeof navigator !== 'undefined' && navigator.maxTouchPoints > 0;
+}
+
+/** Return the input saved in localStorage, defaulting to 'auto'. */
+function _storedInput() {
+  const stored = localStorage.getItem(KEY_INPUT);
+  return INPUT_PROVIDERS.some(p => p.id === stored) ? stored : 'auto';
+}
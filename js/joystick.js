@@ -0,0 +1,90 @@
+// js/joystick.js — On-screen joystick input: drag the knob to tilt
+'use strict';
+
+import { stickToGravity } from './motion.js';
+import { feedTilt } from './tilt.js';
+
+const base = document.getElementById('joystick');
+const knob = base.querySelector('.joystick-knob');
+
+// ── Public API ────────────────────────────────────────────────────────────────
+
+/**
+ * Start the on-screen joystick input.  One of the inputs of input.js; it
+ * never fails, so it also serves where there is neither a gyroscope nor a
+ * keyboard or mouse.
+ *
+ * Reveals the #joystick pad.  Dragging its knob tilts the table like a
+ * gamepad's stick — full deflection at the rim reaches MAX_GRAVITY
+ * (stickToGravity() in motion.js) — and letting go springs it back to the
+ * centre, level.  The pad takes its own pointer, so the other fingers can
+ * still grab balls and use the tools on the canvas.
+ *
+ * @returns {() => void}  Stops the input again.
+ */
+export function startJoystick() {
+  let pointerId = null;
+
+  function _move(event) {
+    const rect  = base.getBoundingClientRect();
+    const range = rect.width / 2;
+    let x = (event.clientX - rect.left) / range - 1;
+    let y = (event.clientY - rect.top)  / range - 1;
+    const length = Math.hypot(x, y);
+    if (length > 1) {
+      x /= length;
+      y /= length;
+    }
+    _place(x, y);
+    feedTilt('joystick', stickToGravity(x, y));
+  }
+
+  function _release() {
+    pointerId = null;
+    base.classList.remove('held');
+    _place(0, 0);
+    feedTilt('joystick', { x: 0, y: 0 });
+  }
+
+  function _onPointerDown(event) {
+    if (pointerId !== null) return;
+    pointerId = event.pointerId;
+    base.setPointerCapture(pointerId);
+    base.classList.add('held'); // no easing while the knob follows the finger
+    _move(event);
+  }
+
+  function _onPointerMove(event) {
+    if (event.pointerId === pointerId) _move(event);
+  }
+
+  function _onPointerUp(event) {
+    if (event.pointerId === pointerId) _release();
+  }
+
+  base.addEventListener('pointerdown', _onPointerDown);
+  base.addEventListener('pointermove', _onPointerMove);
+  base.addEventListener('pointerup', _onPointerUp);
+  base.addEventListener('pointercancel', _onPointerUp);
+  base.classList.remove('hidden');
+  _release();
+  console.log('[joystick] On-screen joystick active.');
+
+  return () => {
+    base.removeEventListener('pointerdown', _onPointerDown);
+    base.removeEventListener('pointermove', _onPointerMove);
+    base.removeEventListener('pointerup', _onPointerUp);
+    base.removeEventListener('pointercancel', _onPointerUp);
+    base.classList.add('hidden');
+    base.classList.remove('held');
+    _place(0, 0);
+  };
+}
+
+// ── Private helpers ───────────────────────────────────────────────────────────
+
+/** Move the knob to stick position (x, y), each -1…+1 from the centre to the rim. */
+function _place(x, y) {
+  const travel = (base.clientWidth - knob.offsetWidth) / 2;
+  knob.style.transform = `translate(${x * travel}px, ${y * travel}px)`;
+}
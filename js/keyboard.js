@@ -0,0 +1,99 @@
+// js/keyboard.js — Keyboard input: tilt with the arrow keys or WASD
+'use strict';
+
+import { MAX_GRAVITY } from './motion.js';
+import { feedTilt } from './tilt.js';
+
+/**
+ * Direction each key tilts towards, by KeyboardEvent.code — the key's place
+ * on the keyboard, so WASD sits under the same fingers on any layout.
+ */
+const KEY_DIRECTIONS = {
+  ArrowLeft:  { x: -1, y:  0 },
+  ArrowRight: { x:  1, y:  0 },
+  ArrowUp:    { x:  0, y: -1 },
+  ArrowDown:  { x:  0, y:  1 },
+  KeyA:       { x: -1, y:  0 },
+  KeyD:       { x:  1, y:  0 },
+  KeyW:       { x:  0, y: -1 },
+  KeyS:       { x:  0, y:  1 },
+};
+
+/** Tilt while keys are held, in gravity units: as if the screen stood upright. */
+const KEY_TILT = 1;
+
+/** Tilt while Shift is held too: as far as gravity goes. */
+const SHIFT_TILT = MAX_GRAVITY;
+
+// ── Public API ────────────────────────────────────────────────────────────────
+
+/**
+ * Start the keyboard input.  One of the inputs of input.js; it never fails.
+ *
+ * The held keys tilt the table towards their combined direction, by
+ * KEY_TILT or, with Shift, SHIFT_TILT — diagonals no more than straight
+ * ones.  With no key held it lies level.  Readings go through tilt.js, so
+ * the smoothing setting can soften the steps.
+ *
+ * Keys typed into the settings panel's fields are left alone, as are
+ * shortcuts with Ctrl, Alt or Meta.
+ *
+ * @returns {() => void}  Stops the input again.
+ */
+export function startKeyboard() {
+  const held = new Set();
+
+  function _feed(shift) {
+    let x = 0;
+    let y = 0;
+    for (const code of held) {
+      x += KEY_DIRECTIONS[code].x;
+      y += KEY_DIRECTIONS[code].y;
+    }
+    const length = Math.hypot(x, y);
+    const tilt   = length > 0 ? (shift ? SHIFT_TILT : KEY_TILT) / length : 0;
+    feedTilt('keyboard', { x: x * tilt, y: y * tilt });
+  }
+
+  function _onKeyDown(event) {
+    if (event.ctrlKey || event.altKey || event.metaKey || _isTyping(event.target)) return;
+    if (event.code in KEY_DIRECTIONS) {
+      event.preventDefault(); // arrow keys would scroll the page
+      held.add(event.code);
+    } else if (event.key !== 'Shift') {
+      return;
+    }
+    _feed(event.shiftKey);
+  }
+
+  function _onKeyUp(event) {
+    if (!held.delete(event.code) && event.key !== 'Shift') return;
+    _feed(event.shiftKey);
+  }
+
+  // Keys released while the window is in the background never report back.
+  function _onBlur() {
+    held.clear();
+    _feed(false);
+  }
+
+  window.addEventListener('keydown', _onKeyDown);
+  window.addEventListener('keyup', _onKeyUp);
+  window.addEventListener('blur', _onBlur);
+  _feed(false);
+  console.log('[keyboard] Keyboard gravity active — arrow keys / WASD.');
+
+  return () => {
+    window.removeEventListener('keydown', _onKeyDown);
+    window.removeEventListener('keyup', _onKeyUp);
+    window.removeEventListener('blur', _onBlur);
+  };
+}
+
+// ── Private helpers ───────────────────────────────────────────────────────────
+
+/** Whether `target` takes typing itself — a text field, a picker and the like. */
+function _isTyping(target) {
+  return target instanceof HTMLElement &&
+         (target.isContentEditable || ['INPUT', 'SELECT', 'TEXTAREA'].includes(target.tagName));
+}
@@ -0,0 +1,346 @@
+// js/levels.js — JSON level loader + static obstacles
+'use strict';
+
+import { getArena } from './physics.js';
+
+const { Bodies, Body, Composite, Events, Vertices } = Matter;
+
+/**
+ * Bundled levels shipped in the levels/ directory.  The id doubles as the
+ * file name (levels/<id>.json) and the value accepted by `?level=` in the URL.
+ * 'empty' has no file — it is the plain walled box.  Levels flagged `maze`
+ * are played in order by the tilt-maze game mode (game.js) rather than being
+ * offered in the sandbox level picker.
+ */
+export const LEVELS = [
+  { id: 'empty',    name: 'Empty box' },
+  { id: 'pegboard', name: 'Pegboard' },
+  { id: 'zigzag',   name: 'Zig-zag ramps' },
+  { id: 'funnel',   name: 'Funnel' },
+  { id: 'bumpers',  name: 'Bumpers' },
+  { id: 'maze-1',   name: 'Maze 1 — First roll', maze: true },
+  { id: 'maze-2',   name: 'Maze 2 — Switchbacks', maze: true },
+  { id: 'maze-3',   name: 'Maze 3 — Minefield',   maze: true },
+];
+
+const DEFAULT_LEVEL = 'empty';
+
+/** localStorage key for the last selected level. */
+const KEY_LEVEL = 'gyroballs_level';
+
+/** Default ramp / funnel-arm thickness as a fraction of the shorter viewport side. */
+const DEFAULT_THICKNESS = 0.02;
+
+/** Parsed level files, keyed by id, so switching back to a level skips the fetch. */
+const _cache = new Map();
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Public API
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Load the starting level and keep its obstacles sized to the viewport.
+ *
+ * Level file format
+ * ─────────────────
+ * A level is a JSON object with a `name` and an `obstacles` array.  Positions
+ * are fractions of the viewport (x of innerWidth, y of innerHeight) and sizes
+ * are fractions of the shorter viewport side, so a level keeps its layout and
+ * its pegs stay round on any screen and across resizes.  Within a shaped or
+ * inset arena "the viewport" is the arena's inner box (see walls.js):
+ *
+ *   { "type": "peg",     "x", "y", "r" }
+ *   { "type": "ramp",    "x", "y", "length", "angle", ["thickness"] }
+ *       length is a fraction of innerWidth; angle in degrees, clockwise.
+ *   { "type": "funnel",  "x", "y", "width", "gap", "depth", ["thickness"] }
+ *       two arms sloping from the rim (width wide, at y) down to a central
+ *       opening (gap wide, depth lower); width/gap are fractions of innerWidth,
+ *       depth a fraction of innerHeight.
+ *   { "type": "bumper",  "x", "y", "r" }             — bouncy round bumper
+ *   { "type": "bumper",  "x", "y", "w", "h", "radius" } — bouncy rounded rectangle
+ *   { "type": "polygon", "points": [[x, y], …] }     — convex outline, each
+ *       point a viewport fraction like x/y above.
+ *   { "type": "wall",    "x1", "y1", "x2", "y2", ["thickness"] }
+ *       straight wall between two viewport-fraction points (maze walls).
+ *
+ * Game levels (played by the tilt-maze mode in game.js) add:
+ *
+ *   "start": { "x", "y" }        — where balls are placed and sent back to
+ *   "goal":  { "x", "y", "r" }   — target hole; a static sensor labelled 'goal'
+ *   "holes": [{ "x", "y", "r" }] — trap holes; static sensors labelled 'hole'
+ *   "balls": n                   — number of balls to sink (default 3)
+ *
+ * The starting level comes from `?level=<id>` when present, otherwise the
+ * last level chosen in settings (key: "gyroballs_level"), otherwise 'empty'.
+ *
+ * @param {Matter.Engine} engine  The active Matter.js engine.
+ * @returns {{
+ *   loadLevel:  (id: string) => Promise<void>,
+ *   getLevelId: () => string,
+ *   getLevel:   () => object|null,
+ *   getStart:   () => { x: number, y: number },
+ *   update:     () => void,
+ * }}
+ */
+export function initLevels(engine) {
+  let levelId   = _initialLevelId();
+  let level     = null;
+  let obstacles = [];
+  let loadToken = 0; // guards against an older fetch finishing after a newer one
+
+  /** Remove the current obstacles and rebuild them for the current viewport. */
+  function _refresh() {
+    Composite.remove(engine.world, obstacles);
+    obstacles = level ? [..._buildObstacles(level), ..._buildSensors(level)] : [];
+    Composite.add(engine.world, obstacles);
+  }
+
+  /**
+   * Switch to the level with the given id.  Unknown ids or files that fail
+   * to load fall back to the empty box.  Sandbox choices are persisted;
+   * maze levels are not, since the game mode tracks its own progress, and
+   * other game modes pass `persist: false` for the level they play on.
+   *
+   * @param {string} id
+   * @param {{ persist?: boolean }} [options]
+   */
+  async function loadLevel(id, { persist = true } = {}) {
+    levelId = _isKnownLevel(id) ? id : DEFAULT_LEVEL;
+    if (persist && !_isMazeLevel(levelId)) localStorage.setItem(KEY_LEVEL, levelId);
+
+    const token = ++loadToken;
+    const data  = await _fetchLevel(levelId);
+    if (token !== loadToken) return;
+
+    level = data;
+    _refresh();
+    console.log(`[levels] Loaded level "${levelId}" (${obstacles.length} obstacles).`);
+  }
+
+  // Obstacles are laid out in viewport fractions, so rebuild them alongside
+  // the walls whenever the arena changes — on resize (once the window has
+  // settled; see physics.js) and when another shape is picked.
+  Events.on(engine, 'arenaChange', _refresh);
+
+  loadLevel(levelId);
+
+  return {
+    loadLevel,
+    getLevelId: () => levelId,
+    getLevel:   () => level,
+    getStart:   () => _startPoint(level),
+    update:     _refresh,
+  };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Private helpers
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Resolve the starting level: URL parameter first, then the stored choice.
+ * Maze levels belong to the tilt-maze game (game.js), not the sandbox.
+ */
+function _initialLevelId() {
+  const fromUrl = new URLSearchParams(window.location.search).get('level');
+  if (_isSandboxLevel(fromUrl)) return fromUrl;
+
+  const stored = localStorage.getItem(KEY_LEVEL);
+  return _isSandboxLevel(stored) ? stored : DEFAULT_LEVEL;
+}
+
+function _isSandboxLevel(id) {
+  return _isKnownLevel(id) && !_isMazeLevel(id);
+}
+
+function _isKnownLevel(id) {
+  return LEVELS.some(l => l.id === id);
+}
+
+function _isMazeLevel(id) {
+  return LEVELS.some(l => l.id === id && l.maze);
+}
+
+/**
+ * Convert a level's start point to pixels.  Levels without one start from
+ * the top-centre, matching where sandbox balls are dropped.
+ *
+ * @param {{ start?: { x: number, y: number } }|null} level
+ * @returns {{ x: number, y: number }}
+ */
+function _startPoint(level) {
+  const start = level?.start ?? { x: 0.5, y: 0.15 };
+  const { x, y, width, height } = getArena().box;
+  return { x: x + start.x * width, y: y + start.y * height };
+}
+
+/**
+ * Fetch and parse levels/<id>.json.  Returns null for the empty box or when
+ * the file cannot be loaded, so the caller simply ends up with no obstacles.
+ *
+ * @param {string} id
+ * @returns {Promise<object|null>}
+ */
+async function _fetchLevel(id) {
+  if (id === DEFAULT_LEVEL) return null;
+  if (_cache.has(id)) return _cache.get(id);
+
+  try {
+    const res = await fetch(`levels/${id}.json`);
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const data = await res.json();
+    _cache.set(id, data);
+    return data;
+  } catch (err) {
+    console.warn(`[levels] Could not load level "${id}":`, err);
+    return null;
+  }
+}
+
+/**
+ * Convert a parsed level into static Matter.js bodies sized to the current
+ * viewport.  Unknown obstacle types are skipped with a warning.
+ *
+ * @param {{ obstacles?: object[] }} level
+ * @returns {Matter.Body[]}
+ */
+function _buildObstacles(level) {
+  const { w, h, m, px, py } = _frame();
+  const bodies = [];
+
+  for (const o of level.obstacles ?? []) {
+    switch (o.type) {
+      case 'peg':
+        bodies.push(Bodies.circle(px(o.x), py(o.y), o.r * m, _opts('obstacle-peg')));
+        break;
+
+      case 'ramp': {
+        const thickness = (o.thickness ?? DEFAULT_THICKNESS) * m;
+        bodies.push(Bodies.rectangle(px(o.x), py(o.y), o.length * w, thickness, {
+          ..._opts('obstacle-ramp'),
+          angle: ((o.angle ?? 0) * Math.PI) / 180,
+        }));
+        break;
+      }
+
+      case 'funnel': {
+        const thickness = (o.thickness ?? DEFAULT_THICKNESS) * m;
+        const top    = py(o.y);
+        const bottom = py(o.y + o.depth);
+        const rimL   = px(o.x - o.width / 2);
+        const rimR   = px(o.x + o.width / 2);
+        const gapL   = px(o.x - o.gap / 2);
+        const gapR   = px(o.x + o.gap / 2);
+        bodies.push(
+          _segment(rimL, top, gapL, bottom, thickness, 'obstacle-funnel'),
+          _segment(rimR, top, gapR, bottom, thickness, 'obstacle-funnel'),
+        );
+        break;
+      }
+
+      case 'bumper':
+        if (o.r != null) {
+          bodies.push(Bodies.circle(px(o.x), py(o.y), o.r * m, _bumperOpts()));
+        } else {
+          bodies.push(Bodies.rectangle(px(o.x), py(o.y), o.w * m, o.h * m, {
+            ..._bumperOpts(),
+            chamfer: { radius: (o.radius ?? 0) * m },
+          }));
+        }
+        break;
+
+      case 'polygon': {
+        const verts  = o.points.map(([fx, fy]) => ({ x: px(fx), y: py(fy) }));
+        const centre = Vertices.centre(verts);
+        bodies.push(Bodies.fromVertices(centre.x, centre.y, [verts], _opts('obstacle-polygon')));
+        break;
+      }
+
+      case 'wall': {
+        const thickness = (o.thickness ?? DEFAULT_THICKNESS) * m;
+        // Square ends reaching past each point, so joined walls meet without a gap.
+        bodies.push(_segment(px(o.x1), py(o.y1), px(o.x2), py(o.y2), thickness, 'obstacle-wall', true));
+        break;
+      }
+
+      default:
+        console.warn(`[levels] Unknown obstacle type "${o.type}" — skipped.`);
+    }
+  }
+
+  return bodies;
+}
+
+/**
+ * Build the goal and trap-hole sensors of a game level.  Sensors report
+ * collisions but never push balls, so balls roll over them until game.js
+ * decides they have dropped in.
+ *
+ * @param {{ goal?: object, holes?: object[] }} level
+ * @returns {Matter.Body[]}
+ */
+function _buildSensors(level) {
+  const { m, px, py } = _frame();
+  const bodies = [];
+
+  if (level.goal) {
+    const g = level.goal;
+    bodies.push(Bodies.circle(px(g.x), py(g.y), g.r * m, _sensorOpts('goal', '#0be881')));
+  }
+  for (const hole of level.holes ?? []) {
+    bodies.push(Bodies.circle(px(hole.x), py(hole.y), hole.r * m, _sensorOpts('hole', '#555555')));
+  }
+
+  return bodies;
+}
+
+/**
+ * The area levels are laid out in — the arena's inner box — as its size `w` ×
+ * `h`, shorter side `m` and functions mapping x / y fractions to pixels.
+ */
+function _frame() {
+  const { x, y, width: w, height: h } = getArena().box;
+  return { w, h, m: Math.min(w, h), px: (f) => x + f * w, py: (f) => y + f * h };
+}
+
+/**
+ * Build a thin static rectangle spanning the two points (x1, y1) → (x2, y2).
+ * Used for the sloping arms of a funnel and for maze walls.  With `capped`
+ * set, each end reaches half the thickness past its point.
+ */
+function _segment(x1, y1, x2, y2, thickness, label, capped = false) {
+  const length = Math.hypot(x2 - x1, y2 - y1) + (capped ? thickness : 0);
+  const body = Bodies.rectangle((x1 + x2) / 2, (y1 + y2) / 2, length, thickness, _opts(label));
+  Body.setAngle(body, Math.atan2(y2 - y1, x2 - x1));
+  return body;
+}
+
+/** Shared options applied to every obstacle body. */
+function _opts(label) {
+  return {
+    label,
+    isStatic:    true,
+    friction:    0.1,
+    restitution: 0.3,
+    render: { fillStyle: '#2a2a2a', strokeStyle: '#444444', lineWidth: 2 },
+  };
+}
+
+/** Options for goal / trap-hole sensors: a black hole with a coloured rim. */
+function _sensorOpts(label, rim) {
+  return {
+    label,
+    isStatic: true,
+    isSensor: true,
+    render: { fillStyle: '#000000', strokeStyle: rim, lineWidth: 3 },
+  };
+}
+
+/** Bumpers kick balls back harder than they arrive, like a pinball bumper. */
+function _bumperOpts() {
+  return {
+    ..._opts('obstacle-bumper'),
+    restitution: 1.2,
+    render: { fillStyle: '#3a2f4f', strokeStyle: '#c56ef2', lineWidth: 2 },
+  };
+}
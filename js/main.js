@@ -5,10 +5,36 @@
  * desktop) to control gravity for a set of bouncing balls.
  *
  * Module responsibilities:
- *   physics.js    — Matter.js engine, renderer, and ball creation  (TASK-002) ✓
- *   walls.js      — Screen-boundary static bodies                  (TASK-003)
- *   gyroscope.js  — iOS permission prompt + DeviceOrientation API  (TASK-004, TASK-005)
+ *   simulation.js — DOM-free core: engine, walls, seeded ball factory
+ *   motion.js     — DOM-free tilt → gravity mapping + shake detection math
+ *   tilt.js       — Tilt response: calibration, dead zone, curves, smoothing
+ *   physics.js    — Browser shell: canvas renderer, runner, persistence (TASK-002) ✓
+ *   runner.js     — Fixed-timestep loop with render interpolation
+ *   worker.js     — Worker mode: simulation and drawing in a Web Worker (?worker)
+ *   remote.js     — Worker mode, page side: gravity, collisions, commands
+ *   renderer.js   — Batched canvas drawing: ball sprites, one path per colour
+ *   shapes.js     — Body shape palette used by the ball factory
+ *   softbody.js   — Jelly balls: particle rings held by springs
+ *   chains.js     — Necklaces, pendulums and ropes of linked balls
+ *   materials.js  — Material presets (physics, look) for the ball factory
+ *   random.js     — Seedable PRNG so scenes can be reproduced (?seed=)
+ *   containment.js — Anti-tunnelling: swept checks + arena guard (part of the core)
+ *   walls.js      — Arena shapes and their wall bodies (part of the core) (TASK-003)
+ *   refit.js      — Carries the balls into a resized arena (part of the core)
+ *   table.js      — Flat-table rolling friction from gravity.z (part of the core)
+ *   levels.js     — JSON level loader + static obstacles
+ *   game.js       — Game modes: tilt maze (goal holes, timer, progression)
+ *   merge.js      — Merge game mode: drop, merge equal tiers, score
+ *   replay.js     — Session recording, deterministic playback, JSON export
+ *   grab.js       — Ball gestures: grab / fling, tap to spawn, long-press to delete
+ *   tools.js      — Tool bar: blast, attractor and repulsor forces
+ *   input.js      — Input providers: picks and switches what steers gravity
+ *   gyroscope.js  — iOS permission prompt + gravity sources        (TASK-004, TASK-005)
  *   mouse.js      — Mouse-gravity fallback for desktop             (TASK-006) ✓
+ *   drag.js       — Drag-to-tilt fallback for touch screens        (TASK-006)
+ *   keyboard.js   — Keyboard input: arrow keys / WASD
+ *   gamepad.js    — Gamepad input: analog stick, rumble on impact
+ *   joystick.js   — On-screen joystick input
  *   sound.js      — Web Audio API collision & countdown sounds     (TASK-007)
  *   vibration.js  — Vibration API haptic feedback                  (TASK-008) ✓
  *   settings.js   — Settings panel + localStorage persistence      (TASK-009)
@@ -18,14 +44,19 @@
 'use strict';
 
 import { initPhysics }    from './physics.js';
-import { initWalls }      from './walls.js';       // TASK-003
-import { initGyroscope }  from './gyroscope.js';   // TASK-004, TASK-005
-import { initMouse }      from './mouse.js';       // TASK-006
+import { initLevels }     from './levels.js';
+import { initTilt }       from './tilt.js';
+import { initInput }      from './input.js';      // TASK-004 – TASK-006
 import { initSound }      from './sound.js';       // TASK-007
 import { initVibration }  from './vibration.js';   // TASK-008
 import { initSettings }   from './settings.js';    // TASK-009
 import { initReset }      from './reset.js';       // TASK-010
 import { initFullscreen } from './fullscreen.js';
+import { initGame }       from './game.js';
+import { initMerge }      from './merge.js';
+import { initReplay }     from './replay.js';
+import { initGrab }       from './grab.js';
+import { initTools }      from './tools.js';
 
 // Verify Matter.js loaded via CDN before anything else runs.
 if (typeof Matter === 'undefined') {
@@ -38,10 +69,20 @@ if (typeof Matter === 'undefined') {
 console.log(`Gyro Balls — Matter.js ${Matter.version} ready`);
 
 // ── TASK-002: Physics engine + balls ────────────────────────────────────────
+// With ?worker the engine runs in a Web Worker (physics.js) and only gravity,
+// collisions and respawns cross over to it.  Levels, the game modes, replay
+// and the pointer gestures and tools all work on bodies directly, so worker
+// mode is the plain sandbox without them.
 const physics = initPhysics();
+const sandboxOnly = physics.worker;
 
 // ── TASK-003: Screen boundary walls ─────────────────────────────────────────
-const walls = initWalls(physics.engine);
+// Built by the simulation core and rebuilt by physics.js on resize.
+const { walls } = physics;
+
+// ── Levels: static obstacles loaded from levels/<id>.json ────────────────────
+// The starting level comes from ?level=<id> or the last choice in settings.
+const levels = sandboxOnly ? null : initLevels(physics.engine);
 
 // ── TASK-007: Web Audio collision & countdown sounds ─────────────────────────
 // sound is exported so future modules (settings, reset) can control it:
@@ -55,25 +96,51 @@ const sound = initSound(physics.engine);
 // Silently does nothing on browsers that do not support navigator.vibrate.
 const vibration = initVibration(physics.engine);
 
-// ── TASK-004 / TASK-005: iOS gyroscope permission prompt + gravity control ───
-// ── TASK-006: Mouse-gravity fallback ────────────────────────────────────────
-(async () => {
-  await initGyroscope(physics.engine, {
-    onDenied() {
-      // Gyroscope unavailable (iOS denied or no real gyroscope) — fall back to
-      // mouse-controlled gravity so the demo remains usable on desktop.
-      initMouse(physics.engine);
-    },
-  });
-})();
+// ── Tilt response: calibration, dead zone, curves, smoothing ─────────────────
+// Sits between the inputs below and engine.gravity.  Registered before
+// reset.js and replay.js so their gravity overrides still come last.
+initTilt(physics.engine);
 
-// ── TASK-009: Settings panel + localStorage persistence ───────────────────────
-initSettings(physics);
+// ── TASK-004 – TASK-006: Inputs: gyroscope, mouse fallback, keyboard… ────────
+// The input picked in settings steers gravity.  'Automatic' asks for the
+// gyroscope (with the iOS permission prompt) and, where it is denied or
+// there is none, falls back to drag-to-tilt on touch screens and to
+// mouse-controlled gravity elsewhere, so the demo remains usable on tablets
+// and desktop.
+initInput();
 
 // ── TASK-010: Shake to Reset with 3-2-1 countdown ─────────────────────────────
 // On mobile: shake the device to trigger a reset countdown.
 // On desktop: double-click (or double-tap) anywhere on the canvas.
-initReset(physics, sound);
+const reset = initReset(physics, sound);
+
+// ── Game modes: tilt maze and merge ───────────────────────────────────────────
+// Reuses the reset countdown for level starts and swaps the shake action for
+// "restart level" / "new game" while a game is being played.
+const merge = sandboxOnly ? null : initMerge(physics);
+const game  = sandboxOnly ? null : initGame(physics, { levels, reset, sound, merge });
+
+// ── Session record & replay ───────────────────────────────────────────────────
+// Registered after reset.js so its beforeUpdate hook records the gravity that
+// is actually applied, including the countdown freeze.
+const replay = sandboxOnly ? null : initReplay(physics, { walls, levels, reset });
+
+// ── Ball gestures: grab / fling, tap to spawn, long-press to delete ───────────
+// One spring per finger / mouse button held on a ball.  Blocked by replay.js
+// while recording or playing and by game.js in the game modes.
+//
+// ── Pointer tools: blast, attractor, repulsor ─────────────────────────────────
+// Picking a tool other than grab takes the pointer over from grab.js.  Worker
+// mode has neither, so the tool bar is hidden.
+if (sandboxOnly) {
+  document.getElementById('tool-bar').classList.add('hidden');
+} else {
+  initGrab(physics);
+  initTools(physics);
+}
+
+// ── TASK-009: Settings panel + localStorage persistence ───────────────────────
+initSettings(physics, { levels, game, replay });
 
 // ── Fullscreen toggle ─────────────────────────────────────────────────────────
 initFullscreen();
@@ -0,0 +1,93 @@
+// js/materials.js — Named material presets for the ball factory
+'use strict';
+
+/**
+ * Physical and visual presets, so a "steel" ball always behaves like steel
+ * rather than drawing its properties from random ranges.
+ *
+ * Physical parameters (Matter.js units):
+ *   restitution  bounciness, 0 = dead stop, 1 = perfectly elastic
+ *   friction     surface friction when rolling/sliding against other bodies
+ *   frictionAir  air drag; higher values bring bodies to rest sooner
+ *   density      mass = density × area, so heavy materials shove light ones aside
+ *
+ * Visual style: each body takes a random colour from `colours`, drawn with the
+ * given stroke and opacity.  sound.js keys its collision timbres off the same
+ * ids, so every material also sounds distinct.
+ */
+export const MATERIALS = {
+  rubber: {
+    name: 'Rubber',
+    restitution: 0.85, friction: 0.08,  frictionAir: 0.012, density: 0.0012,
+    colours: ['#ff6b6b', '#ff9f43', '#ff6b81', '#feca57'],
+    stroke: null, opacity: 1,
+  },
+  steel: {
+    name: 'Steel',
+    restitution: 0.35, friction: 0.02,  frictionAir: 0.008, density: 0.0045,
+    colours: ['#a4b0be', '#ced6e0', '#747d8c'],
+    stroke: '#f1f2f6', opacity: 1,
+  },
+  wood: {
+    name: 'Wood',
+    restitution: 0.50, friction: 0.06,  frictionAir: 0.015, density: 0.0018,
+    colours: ['#b5835a', '#a0522d', '#cd9b6b'],
+    stroke: '#6d4c2f', opacity: 1,
+  },
+  ice: {
+    name: 'Ice',
+    restitution: 0.30, friction: 0.001, frictionAir: 0.005, density: 0.0014,
+    colours: ['#c7ecee', '#7ed6df', '#dff9fb'],
+    stroke: '#ffffff', opacity: 0.8,
+  },
+  foam: {
+    name: 'Foam',
+    restitution: 0.20, friction: 0.09,  frictionAir: 0.050, density: 0.0005,
+    colours: ['#ffd1dc', '#fdf5a6', '#c9f7c9'],
+    stroke: null, opacity: 0.9,
+  },
+  glass: {
+    name: 'Glass',
+    restitution: 0.60, friction: 0.01,  frictionAir: 0.008, density: 0.0025,
+    colours: ['#48dbfb', '#c56ef2', '#1dd1a1'],
+    stroke: '#e0f7ff', opacity: 0.45,
+  },
+};
+
+/** Material ids that 'mixed' draws from. */
+export const MATERIAL_IDS = Object.keys(MATERIALS);
+
+/**
+ * Choices offered in the settings panel: 'mixed' gives each body a random
+ * material, any other id makes every body that material.
+ */
+export const MATERIAL_CHOICES = [
+  { id: 'mixed', name: 'Mixed' },
+  ...MATERIAL_IDS.map(id => ({ id, name: MATERIALS[id].name })),
+];
+
+/**
+ * Matter.js body options for one body of the given material: its physical
+ * parameters plus a render style in one of the material's colours.  The id is
+ * stored on the body as `material` so sound.js can pick a matching timbre.
+ *
+ * @param {string}   id      A MATERIALS key.
+ * @param {() => number} random  Returns a float in [0, 1) — picks the colour.
+ * @returns {object}
+ */
+export function materialOptions(id, random) {
+  const m = MATERIALS[id] ?? MATERIALS.rubber;
+  return {
+    material:    id in MATERIALS ? id : 'rubber',
+    restitution: m.restitution,
+    friction:    m.friction,
+    frictionAir: m.frictionAir,
+    density:     m.density,
+    render: {
+      fillStyle:   m.colours[Math.floor(random() * m.colours.length)],
+      strokeStyle: m.stroke ?? 'transparent',
+      lineWidth:   m.stroke ? 2 : 0,
+      opacity:     m.opacity,
+    },
+  };
+}
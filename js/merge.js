@@ -0,0 +1,403 @@
+/**
+ * merge.js — Merge game mode ("fruit merge")
+ *
+ * Balls are dropped one at a time from a cursor at the top of the screen.
+ * When two balls of the same tier touch they merge into one ball of the next
+ * tier, scoring points; two balls of the top tier merge into nothing for a
+ * bonus.  The game is over once the pile stays above the line under the
+ * cursor for a moment.  The best score is kept in localStorage.
+ *
+ * Merges are spotted from the same 'collisionStart' events sound.js and
+ * vibration.js listen to, and carried out in 'afterUpdate' so the world is
+ * never changed in the middle of collision resolution (as game.js does for
+ * the maze holes).  Gravity is left to gyroscope.js, so tilting the device
+ * shakes the pile around; mouse.js holds gravity still in this mode, since
+ * the mouse is busy aiming.
+ *
+ * game.js switches the mode on and off (start / stop) and hands shake /
+ * double-tap to restart().  Dropping is a tap, so double-tap reset is
+ * blocked while the mode is active.
+ */
+
+'use strict';
+
+import { getWorldSize } from './physics.js';
+import { createRng, randomSeed } from './random.js';
+import { playMergeSound } from './sound.js';
+import { pulseVibration } from './vibration.js';
+import { setDoubleTapBlocked } from './reset.js';
+
+const { Bodies, Body, Composite, Events } = Matter;
+
+// ── Constants ─────────────────────────────────────────────────────────────────
+
+/**
+ * Ball tiers, smallest first.  `r` is the radius as a fraction of the play
+ * area's size unit (see _unit()), so the game scales with the screen.
+ */
+const TIERS = [
+  { name: 'Cherry',     r: 0.035, color: '#ff3f5a' },
+  { name: 'Strawberry', r: 0.046, color: '#ff6b81' },
+  { name: 'Grape',      r: 0.060, color: '#a55eea' },
+  { name: 'Orange',     r: 0.072, color: '#ffa502' },
+  { name: 'Persimmon',  r: 0.086, color: '#ff7f50' },
+  { name: 'Apple',      r: 0.102, color: '#ff4757' },
+  { name: 'Pear',       r: 0.118, color: '#eccc68' },
+  { name: 'Peach',      r: 0.136, color: '#ffb8b8' },
+  { name: 'Pineapple',  r: 0.156, color: '#ffd32a' },
+  { name: 'Melon',      r: 0.178, color: '#7bed9f' },
+  { name: 'Watermelon', r: 0.204, color: '#2ed573' },
+];
+
+/** Only the smallest tiers are ever dropped. */
+const DROP_TIERS = 5;
+
+/** Cursor height and game-over line, as fractions of the world height. */
+const DROP_Y = 0.13;
+const LINE_Y = 0.20;
+
+/** Minimum time between drops, in ms. */
+const DROP_COOLDOWN_MS = 500;
+
+/**
+ * A freshly dropped ball is ignored by the game-over check for this long (ms
+ * of physics time) while it falls through the line.
+ */
+const DROP_GRACE_MS = 1500;
+
+/** How long (ms of physics time) a ball may stay above the line. */
+const OVER_LINE_MS = 1000;
+
+/** Physics of every merge ball — soft and a little grippy so piles settle. */
+const BALL_OPTIONS = {
+  restitution: 0.15,
+  friction:    0.2,
+  frictionAir: 0.01,
+  density:     0.001,
+  material:    'rubber', // collision timbre in sound.js
+};
+
+/** Haptic pulse on a merge, in ms. */
+const MERGE_PULSE_MS = 25;
+
+/** localStorage key for the best score. */
+const KEY_BEST = 'gyroballs_merge_best';
+
+// ── DOM references ────────────────────────────────────────────────────────────
+const hud        = document.getElementById('merge-hud');
+const hudScore   = document.getElementById('merge-score');
+const hudNext    = document.getElementById('merge-next');
+const hudBest    = document.getElementById('merge-best');
+const hudMessage = document.getElementById('merge-message');
+
+// ── Module state ──────────────────────────────────────────────────────────────
+
+/** True while the merge mode is being played (mouse.js checks this). */
+let _active = false;
+
+// ── Public API ────────────────────────────────────────────────────────────────
+
+/**
+ * Initialise the merge game.  Dormant until start() is called.
+ *
+ * @param {{ engine: Matter.Engine, render: Matter.Render, removeAllBalls: () => void }} physics
+ *   Object returned by initPhysics().
+ * @returns {{ start: () => void, stop: () => void, restart: () => void }}
+ */
+export function initMerge(physics) {
+  const { engine, render } = physics;
+  const canvas = document.getElementById('world');
+
+  let random    = createRng(randomSeed());
+  let score     = 0;
+  let best      = _storedBest();
+  let tier      = 0;       // tier on the cursor
+  let nextTier  = 0;
+  let aimX      = 0;       // cursor position, world px
+  let lastDrop  = -Infinity;
+  let gameOver  = false;
+
+  /** Pairs of equal-tier balls that touched this step: [[a, b]]. */
+  let merges = [];
+
+  /** Physics time each ball was dropped / created, by ball id. */
+  const droppedAt = new Map();
+
+  /** Physics time each ball was first seen above the line, by ball id. */
+  const overSince = new Map();
+
+  // ── Merge detection ───────────────────────────────────────────────────────
+  Events.on(engine, 'collisionStart', (event) => {
+    if (!_active || gameOver) return;
+    for (const pair of event.pairs) {
+      const a = pair.bodyA;
+      const b = pair.bodyB;
+      if (a.mergeTier === undefined || a.mergeTier !== b.mergeTier) continue;
+      merges.push([a, b]);
+    }
+  });
+
+  Events.on(engine, 'afterUpdate', () => {
+    if (!_active || gameOver) return;
+
+    // Each ball merges at most once per step, even if it touched several.
+    const used = new Set();
+    for (const [a, b] of merges) {
+      if (used.has(a) || used.has(b)) continue;
+      if (!engine.world.bodies.includes(a) || !engine.world.bodies.includes(b)) continue;
+      used.add(a);
+      used.add(b);
+      _merge(a, b);
+    }
+    merges = [];
+
+    _checkLine();
+  });
+
+  /** Replace two touching balls of one tier with one of the next tier. */
+  function _merge(a, b) {
+    const t = a.mergeTier + 1;
+    Composite.remove(engine.world, [a, b]);
+    droppedAt.delete(a.id);
+    droppedAt.delete(b.id);
+    overSince.delete(a.id);
+    overSince.delete(b.id);
+
+    if (t < TIERS.length) {
+      const x = (a.position.x + b.position.x) / 2;
+      const y = (a.position.y + b.position.y) / 2;
+      const ball = _makeBall(t, x, y);
+      const va = Body.getVelocity(a);
+      const vb = Body.getVelocity(b);
+      Body.setVelocity(ball, { x: (va.x + vb.x) / 2, y: (va.y + vb.y) / 2 });
+      Composite.add(engine.world, ball);
+      playMergeSound(_radius(t));
+    } else {
+      playMergeSound(_radius(t - 1));
+    }
+
+    // Triangular points: 1, 3, 6, 10 … for tiers 1, 2, 3, 4 …; the top-tier
+    // pair scores one step further.
+    score += (t * (t + 1)) / 2;
+    pulseVibration(MERGE_PULSE_MS);
+    _renderHud();
+  }
+
+  /** End the game once any settled ball has stayed above the line too long. */
+  function _checkLine() {
+    const now   = engine.timing.timestamp;
+    const lineY = LINE_Y * getWorldSize().height;
+
+    for (const ball of engine.world.bodies) {
+      if (ball.mergeTier === undefined) continue;
+      const settled = now - (droppedAt.get(ball.id) ?? -Infinity) > DROP_GRACE_MS;
+      if (!settled || ball.position.y - ball.circleRadius > lineY) {
+        overSince.delete(ball.id);
+        continue;
+      }
+      if (!overSince.has(ball.id)) overSince.set(ball.id, now);
+      if (now - overSince.get(ball.id) > OVER_LINE_MS) {
+        _endGame();
+        return;
+      }
+    }
+  }
+
+  function _endGame() {
+    gameOver = true;
+    const isBest = score > best;
+    if (isBest) {
+      best = score;
+      localStorage.setItem(KEY_BEST, String(best));
+    }
+    _renderHud();
+    hudMessage.textContent =
+      `${isBest ? 'New best! ' : ''}Game over — tap or shake to play again`;
+    console.log(`[merge] Game over, score ${score}.`);
+  }
+
+  // ── Dropping ──────────────────────────────────────────────────────────────
+  canvas.addEventListener('pointerdown', (e) => {
+    if (_active) _aim(e);
+  });
+
+  canvas.addEventListener('pointermove', (e) => {
+    // A mouse aims by hovering; a finger only while it is down.
+    if (_active && (e.pointerType === 'mouse' || e.buttons > 0)) _aim(e);
+  });
+
+  canvas.addEventListener('pointerup', (e) => {
+    if (!_active) return;
+    if (e.pointerType === 'mouse' && e.button !== 0) return;
+    if (gameOver) {
+      restart();
+      return;
+    }
+    _aim(e);
+    _drop();
+  });
+
+  function _aim(e) {
+    const rect   = canvas.getBoundingClientRect();
+    const bounds = render.bounds;
+    aimX = bounds.min.x + ((e.clientX - rect.left) / rect.width) * (bounds.max.x - bounds.min.x);
+  }
+
+  function _drop() {
+    const now = performance.now();
+    if (now - lastDrop < DROP_COOLDOWN_MS) return;
+    lastDrop = now;
+
+    const { width, height } = getWorldSize();
+    const r = _radius(tier);
+    const x = Math.min(width - r, Math.max(r, aimX));
+    const ball = _makeBall(tier, x, DROP_Y * height);
+    Composite.add(engine.world, ball);
+
+    tier     = nextTier;
+    nextTier = Math.floor(random() * DROP_TIERS);
+    _renderHud();
+  }
+
+  /** Build a merge ball of tier `t` centred on (x, y). */
+  function _makeBall(t, x, y) {
+    const { color } = TIERS[t];
+    const ball = Bodies.circle(x, y, _radius(t), {
+      ...BALL_OPTIONS,
+      label:  'ball',
+      render: { fillStyle: color, strokeStyle: 'rgba(0, 0, 0, 0.25)', lineWidth: 2 },
+    });
+    ball.mergeTier = t;
+    droppedAt.set(ball.id, engine.timing.timestamp);
+    return ball;
+  }
+
+  // ── Cursor + line drawing ─────────────────────────────────────────────────
+  Events.on(render, 'afterRender', () => {
+    if (!_active) return;
+    const ctx = render.context;
+    const { width, height } = getWorldSize();
+    const scale = render.options.width / (render.bounds.max.x - render.bounds.min.x);
+    const sx = (x) => (x - render.bounds.min.x) * scale;
+    const sy = (y) => (y - render.bounds.min.y) * scale;
+
+    ctx.save();
+
+    // Game-over line
+    ctx.setLineDash([8, 6]);
+    ctx.strokeStyle = 'rgba(255, 94, 87, 0.6)';
+    ctx.lineWidth   = 2;
+    ctx.beginPath();
+    ctx.moveTo(sx(0), sy(LINE_Y * height));
+    ctx.lineTo(sx(width), sy(LINE_Y * height));
+    ctx.stroke();
+
+    if (!gameOver) {
+      const r = _radius(tier);
+      const x = Math.min(width - r, Math.max(r, aimX));
+      const y = DROP_Y * height;
+
+      // Drop guide
+      ctx.setLineDash([2, 6]);
+      ctx.strokeStyle = 'rgba(255, 255, 255, 0.2)';
+      ctx.beginPath();
+      ctx.moveTo(sx(x), sy(y));
+      ctx.lineTo(sx(x), sy(height));
+      ctx.stroke();
+
+      // Ball waiting on the cursor, dimmed while dropping is cooling down
+      ctx.setLineDash([]);
+      ctx.globalAlpha = performance.now() - lastDrop < DROP_COOLDOWN_MS ? 0.4 : 0.9;
+      ctx.fillStyle   = TIERS[tier].color;
+      ctx.beginPath();
+      ctx.arc(sx(x), sy(y), r * scale, 0, Math.PI * 2);
+      ctx.fill();
+    }
+
+    ctx.restore();
+  });
+
+  // ── Game flow ─────────────────────────────────────────────────────────────
+
+  /** Clear the world and begin a new game. */
+  function start() {
+    _active = true;
+    setDoubleTapBlocked('merge', true);
+
+    physics.removeAllBalls();
+    merges = [];
+    droppedAt.clear();
+    overSince.clear();
+
+    random   = createRng(randomSeed());
+    score    = 0;
+    gameOver = false;
+    tier     = Math.floor(random() * DROP_TIERS);
+    nextTier = Math.floor(random() * DROP_TIERS);
+    aimX     = getWorldSize().width / 2;
+    lastDrop = -Infinity;
+
+    // Gravity starts straight down; gyroscope.js takes over when it updates.
+    engine.gravity.x = 0;
+    engine.gravity.y = 1;
+
+    hudMessage.textContent = '';
+    hud.classList.remove('hidden');
+    _renderHud();
+    console.log('[merge] New game.');
+  }
+
+  /** Leave the mode; the caller restores the world it wants. */
+  function stop() {
+    if (!_active) return;
+    _active = false;
+    setDoubleTapBlocked('merge', false);
+    merges = [];
+    hud.classList.add('hidden');
+  }
+
+  /** Shake / double-tap / tap after game over: a fresh game. */
+  function restart() {
+    if (_active) start();
+  }
+
+  function _renderHud() {
+    hudScore.textContent = String(score);
+    hudNext.textContent  = `Next: ${TIERS[nextTier].name}`;
+    hudBest.textContent  = best > 0 ? `Best ${best}` : 'Best —';
+  }
+
+  /** Radius of tier `t` in px for the current world size. */
+  function _radius(t) {
+    return TIERS[t].r * _unit();
+  }
+
+  return { start, stop, restart };
+}
+
+/**
+ * True while the merge mode is being played.  mouse.js checks this so the
+ * cursor aims the next drop instead of steering gravity.
+ *
+ * @returns {boolean}
+ */
+export function isMergeActive() {
+  return _active;
+}
+
+// ── Private helpers ───────────────────────────────────────────────────────────
+
+/**
+ * Size unit for ball radii: the world width, but no more than 60 % of the
+ * height so wide desktop windows do not get enormous balls.
+ */
+function _unit() {
+  const { width, height } = getWorldSize();
+  return Math.min(width, height * 0.6);
+}
+
+/** Best score saved in localStorage, or 0. */
+function _storedBest() {
+  const n = parseInt(localStorage.getItem(KEY_BEST) || '', 10);
+  return isNaN(n) ? 0 : n;
+}
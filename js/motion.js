@@ -0,0 +1,319 @@
+// js/motion.js — Tilt → gravity mapping and shake detection math (DOM-free)
+'use strict';
+
+/**
+ * Maximum magnitude of the gravity vector.  Values above this are clamped so
+ * balls never fly too fast to follow visually or interact with.  Shared by
+ * every input mode so they all feel consistent.
+ */
+export const MAX_GRAVITY = 2.5;
+
+/**
+ * Lateral (gamma) scale factor: how many degrees of left/right tilt equals
+ * 1.0 gravity unit.  45° of tilt produces a gravity.x of 1.0.
+ */
+export const TILT_SCALE = 45;
+
+/**
+ * Minimum acceleration magnitude (m/s²) to treat as a deliberate shake.
+ * A stationary phone has ~9.8 m/s² from gravity alone.  A firm shake peaks
+ * at 20–40 m/s².  22 m/s² is high enough to avoid false positives from
+ * normal handling while still triggering reliably on a purposeful shake.
+ */
+export const SHAKE_THRESHOLD = 22;
+
+/** Milliseconds to suppress further shake triggers after one fires. */
+export const SHAKE_COOLDOWN_MS = 4500;
+
+/** Standard gravity in m/s², the length of an accelerometer reading at rest. */
+export const STANDARD_GRAVITY = 9.80665;
+
+/**
+ * How tilt turns into gravity once past the dead zone (see shapeTilt()).
+ * Offered in the settings panel.
+ *
+ *   linear      — gravity grows in step with the tilt;
+ *   ease-in     — gentle near level for fine control, steeper further out;
+ *   exponential — barely anything until well tilted, then fast.
+ */
+export const RESPONSE_CURVES = [
+  { id: 'linear',      name: 'Linear' },
+  { id: 'ease-in',     name: 'Ease in' },
+  { id: 'exponential', name: 'Exponential' },
+];
+
+/** Steepness of the exponential response curve. */
+const EXP_CURVE = 4;
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Public API
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Scale (gx, gy) down proportionally so its magnitude is at most `max`,
+ * preserving direction.
+ *
+ * @param {number} gx
+ * @param {number} gy
+ * @param {number} [max=MAX_GRAVITY]
+ * @returns {{ x: number, y: number }}
+ */
+export function clampGravity(gx, gy, max = MAX_GRAVITY) {
+  const mag = Math.sqrt(gx * gx + gy * gy);
+  if (mag > max) return { x: (gx / mag) * max, y: (gy / mag) * max };
+  return { x: gx, y: gy };
+}
+
+/**
+ * Map DeviceOrientation angles to a gravity vector.
+ *
+ * gamma (left/right, -90…+90)
+ *   Dividing by TILT_SCALE (45°) gives a gravity.x of ±1 at a 45° lateral
+ *   tilt, which feels natural.  Positive gamma = phone tilted right = balls
+ *   roll right = positive gravity.x.
+ *
+ * beta (front/back, -180…+180)
+ *   sin(beta) is used so that gravity.y tracks physical reality smoothly:
+ *     β = 90°   (portrait upright, facing user) → sin = +1.0  (balls fall down)
+ *     β = 0°    (flat, face-up)                 → sin =  0.0  (no y component)
+ *     β = 180°  (flat, face-down)               → sin =  0.0
+ *     β = -90°  (portrait upright, facing away) → sin = -1.0  (balls fall up)
+ *
+ * beta and gamma are measured against the device, whose natural orientation
+ * is portrait.  When the screen has been turned (`angle`, see
+ * toScreenFrame()) the vector is turned with it, so balls still fall towards
+ * the bottom of what is on screen.
+ *
+ * The result is clamped to MAX_GRAVITY.  A missing gamma counts as level and
+ * a missing beta as upright.
+ *
+ * @param {number|null} beta   Degrees.
+ * @param {number|null} gamma  Degrees.
+ * @param {number} [angle=0]   Screen orientation angle in degrees.
+ * @returns {{ x: number, y: number }}
+ */
+export function tiltToGravity(beta, gamma, angle = 0) {
+  const g = toScreenFrame(deviceTilt(beta, gamma), angle);
+  return clampGravity(g.x, g.y);
+}
+
+/**
+ * The unclamped vector tiltToGravity() starts from, in the device's own axes
+ * (before the screen's orientation is applied): gamma / TILT_SCALE and
+ * sin(beta).
+ *
+ * `z` is the part of gravity through the screen, cos(beta)·cos(gamma): 1
+ * lying flat face up, 0 upright, -1 face down (see table.js).
+ *
+ * @param {number|null} beta   Degrees.
+ * @param {number|null} gamma  Degrees.
+ * @returns {{ x: number, y: number, z: number }}
+ */
+export function deviceTilt(beta, gamma) {
+  const b = ((beta ?? 90) * Math.PI) / 180;
+  const g = ((gamma ?? 0) * Math.PI) / 180;
+  return {
+    x: (gamma ?? 0) / TILT_SCALE,
+    y: Math.sin(b),
+    z: Math.cos(b) * Math.cos(g),
+  };
+}
+
+/**
+ * Turn a vector given in the device's own axes (x to the right and y down
+ * the screen, held in its natural portrait orientation) into screen axes,
+ * for a screen turned by `angle` degrees anticlockwise — the convention of
+ * screen.orientation.angle (0, 90, 180, 270) and of iOS's
+ * window.orientation (0, 90, 180, -90).
+ *
+ *   0    x →  x,  y →  y
+ *   90   x → -y,  y →  x   (landscape, device top to the left)
+ *   180  x → -x,  y → -y
+ *   270  x →  y,  y → -x   (landscape, device top to the right)
+ *
+ * @param {{ x: number, y: number }} v
+ * @param {number} angle  Degrees.
+ * @returns {{ x: number, y: number }}
+ */
+export function toScreenFrame(v, angle) {
+  switch (((Math.round(angle / 90) % 4) + 4) % 4) {
+    case 1:  return { x:  v.y, y: -v.x };
+    case 2:  return { x: -v.x, y: -v.y };
+    case 3:  return { x: -v.y, y:  v.x };
+    default: return { x:  v.x, y:  v.y };
+  }
+}
+
+/**
+ * Map a pointer position to a gravity vector, as if the screen were tilted
+ * towards it: (0, 0) at the centre of a `width` × `height` area, reaching
+ * MAX_GRAVITY at the edges (and clamped there on the diagonals).
+ *
+ * @param {number} x
+ * @param {number} y
+ * @param {number} width
+ * @param {number} height
+ * @returns {{ x: number, y: number }}
+ */
+export function pointerToGravity(x, y, width, height) {
+  const cx = width  / 2;
+  const cy = height / 2;
+
+  // Normalise the offset to ±1 (0 at centre, ±1 at the edge) and scale to
+  // gravity units.
+  const gx = ((x - cx) / cx) * MAX_GRAVITY;
+  const gy = ((y - cy) / cy) * MAX_GRAVITY;
+  return clampGravity(gx, gy);
+}
+
+/**
+ * Map a stick position — a gamepad's analog stick or the on-screen joystick,
+ * each axis -1…+1 with y down — to a gravity vector that reaches MAX_GRAVITY
+ * at full deflection in any direction.  Travel under `deadZone` counts as
+ * centred, since worn sticks seldom rest at exactly 0, and the rest is
+ * stretched back to the full range.
+ *
+ * @param {number} x
+ * @param {number} y
+ * @param {number} [deadZone=0]  Fraction of full deflection, 0–1.
+ * @returns {{ x: number, y: number }}
+ */
+export function stickToGravity(x, y, deadZone = 0) {
+  const r = Math.hypot(x, y);
+  if (!(r > deadZone)) return { x: 0, y: 0 };
+  const k = Math.min(1, (r - deadZone) / (1 - deadZone)) * MAX_GRAVITY / r;
+  return { x: x * k, y: y * k };
+}
+
+/**
+ * Map an accelerometer reading that includes gravity — a GravitySensor or
+ * Accelerometer reading, or DeviceMotionEvent.accelerationIncludingGravity —
+ * to the same raw tilt vector as deviceTilt(), in the device's own axes.
+ *
+ * At rest the reading points up, away from the earth, with the device's y
+ * axis running up the screen; so a phone standing upright reads y ≈ +9.8,
+ * which becomes a tilt of 1 down the screen, and tipping its right edge down
+ * makes x negative, which becomes a tilt to the right.  Both axes go by the
+ * sine of the tilt, which unlike beta and gamma stays well-behaved near
+ * vertical and upside down.  `z` is the part through the screen, as for
+ * deviceTilt(): 1 lying flat face up.  Missing axes count as 0.
+ *
+ * @param {{ x?: number|null, y?: number|null, z?: number|null }} a  m/s².
+ * @returns {{ x: number, y: number, z: number }}
+ */
+export function accelerationToTilt(a) {
+  return {
+    x: -(a.x ?? 0) / STANDARD_GRAVITY,
+    y:  (a.y ?? 0) / STANDARD_GRAVITY,
+    z:  (a.z ?? 0) / STANDARD_GRAVITY,
+  };
+}
+
+/**
+ * Shape a raw tilt vector into gravity, keeping its direction.
+ *
+ * Its length, times `sensitivity`, is the tilt in gravity units, where 1 is
+ * the phone standing upright (or tipped 45° sideways).  Anything under
+ * `deadZone` counts as level and the rest is stretched back so upright is
+ * still 1, with no jump at the edge of the dead zone.  Between level and
+ * upright the `curve` (a RESPONSE_CURVES id) reshapes the response; every
+ * curve gives 1 at upright and carries on linearly beyond it.  The result
+ * is clamped to MAX_GRAVITY.
+ *
+ * With the defaults this is just clampGravity().
+ *
+ * @param {{ x: number, y: number }} v
+ * @param {{ deadZone?: number, curve?: string, sensitivity?: number }} [response]
+ *   `deadZone` 0–1 (of upright), `sensitivity` a multiplier.
+ * @returns {{ x: number, y: number }}
+ */
+export function shapeTilt(v, { deadZone = 0, curve = 'linear', sensitivity = 1 } = {}) {
+  const mag = Math.hypot(v.x, v.y);
+  if (mag === 0) return { x: 0, y: 0 };
+
+  const tilt = mag * sensitivity;
+  const past = deadZone < 1 ? Math.max(0, (tilt - deadZone) / (1 - deadZone)) : 0;
+  const out  = Math.min(MAX_GRAVITY, past < 1 ? _curve(curve, past) : past);
+  return { x: (v.x / mag) * out, y: (v.y / mag) * out };
+}
+
+/**
+ * One step of a low-pass filter: move `current` towards `target` as if
+ * easing in with time constant `tauMs` for `dtMs` milliseconds.  Readings
+ * arrive at uneven rates, so the filter goes by elapsed time rather than by
+ * count.  A `tauMs` of 0 (no smoothing) returns `target`.  A missing `z`
+ * counts as 0.
+ *
+ * @param {{ x: number, y: number, z?: number }} current
+ * @param {{ x: number, y: number, z?: number }} target
+ * @param {number} dtMs
+ * @param {number} tauMs
+ * @returns {{ x: number, y: number, z: number }}
+ */
+export function smoothTilt(current, target, dtMs, tauMs) {
+  const z0 = current.z ?? 0;
+  const z1 = target.z ?? 0;
+  if (!(tauMs > 0)) return { x: target.x, y: target.y, z: z1 };
+  const a = 1 - Math.exp(-Math.max(0, dtMs) / tauMs);
+  return {
+    x: current.x + (target.x - current.x) * a,
+    y: current.y + (target.y - current.y) * a,
+    z: z0 + (z1 - z0) * a,
+  };
+}
+
+/**
+ * Magnitude of an acceleration reading such as
+ * DeviceMotionEvent.accelerationIncludingGravity; missing axes count as 0.
+ *
+ * @param {{ x?: number|null, y?: number|null, z?: number|null }} a
+ * @returns {number}  m/s²
+ */
+export function accelerationMagnitude(a) {
+  return Math.sqrt((a.x ?? 0) ** 2 + (a.y ?? 0) ** 2 + (a.z ?? 0) ** 2);
+}
+
+/**
+ * Create a shake detector.  Feed it acceleration readings with their
+ * timestamps; it reports a shake when the magnitude exceeds `threshold`, then
+ * ignores readings for `cooldownMs`.
+ *
+ * @param {{ threshold?: number, cooldownMs?: number }} [options]
+ * @returns {{
+ *   update: (a: { x?: number, y?: number, z?: number }, nowMs: number) => boolean,
+ *   trigger: (nowMs: number) => void,
+ * }}
+ *   update() returns true when the reading is a shake; trigger() starts the
+ *   cooldown as if one had been detected (e.g. after a double-tap reset).
+ */
+export function createShakeDetector({
+  threshold  = SHAKE_THRESHOLD,
+  cooldownMs = SHAKE_COOLDOWN_MS,
+} = {}) {
+  let lastMs = -Infinity; // allow the first shake immediately
+
+  return {
+    update(a, nowMs) {
+      if (nowMs - lastMs < cooldownMs) return false;
+      if (accelerationMagnitude(a) <= threshold) return false;
+      lastMs = nowMs;
+      return true;
+    },
+    trigger(nowMs) {
+      lastMs = nowMs;
+    },
+  };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Private helpers
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** A RESPONSE_CURVES curve at `t` (0–1); unknown ids are linear. */
+function _curve(id, t) {
+  switch (id) {
+    case 'ease-in':     return t * t;
+    case 'exponential': return (Math.exp(EXP_CURVE * t) - 1) / (Math.exp(EXP_CURVE) - 1);
+    default:            return t;
+  }
+}
@@ -1,73 +1,59 @@
 /**
- * mouse.js — Desktop mouse-gravity fallback
+ * mouse.js — Mouse input: gravity from the cursor position
  *
  * TASK-006: Desktop Mouse Gravity Fallback
- *   When no gyroscope is available (desktop browsers or iOS permission denied),
- *   tracks the mouse position relative to the screen centre and uses its offset
- *   to set the Matter.js gravity vector, simulating the effect of tilting the
- *   device.  Moving the cursor right causes balls to roll right; moving it down
- *   increases downward gravity; etc.
+ *   Tracks the mouse position relative to the screen centre and uses its
+ *   offset to set the Matter.js gravity vector, simulating the effect of
+ *   tilting the device.  Moving the cursor right causes balls to roll right;
+ *   moving it down increases downward gravity; etc.
  *
- *   A small pill-shaped label is revealed at the top of the screen to indicate
- *   that mouse-control mode is active.
+ *   Used when picked in settings (input.js), or when no gyroscope is
+ *   available (desktop browsers, or iOS permission denied) on a device
+ *   without a touch screen; touch screens get drag-to-tilt (drag.js).
+ *
+ *   The input indicator at the top of the screen (input.js) reads "Mouse
+ *   mode" meanwhile.
+ *
+ *   While a ball is being dragged (grab.js) or a magnet tool is held down
+ *   (tools.js) the cursor moves that instead, and gravity stays where it was
+ *   until the button is released.  In the merge game (merge.js) the cursor
+ *   aims the next drop, so gravity stays straight down.
  */
 
 'use strict';
 
-/**
- * Maximum gravity magnitude — kept in sync with gyroscope.js so the two
- * input modes feel consistent.  At the screen edge the gravity vector reaches
- * this value; in the centre it is (0, 0).
- */
-const MAX_GRAVITY = 2.5;
+import { pointerToGravity } from './motion.js';
+import { feedTilt } from './tilt.js';
+import { isHoldingBall } from './grab.js';
+import { isToolActive } from './tools.js';
+import { isMergeActive } from './merge.js';
 
 // ─────────────────────────────────────────────────────────────────────────────
 // Public API
 // ─────────────────────────────────────────────────────────────────────────────
 
 /**
- * Activate mouse-gravity fallback mode.
- *
- * Attaches a 'mousemove' listener that normalises the cursor's offset from the
- * screen centre to a ±1 range and scales it to the gravity magnitude.  The
- * vector magnitude is clamped to MAX_GRAVITY so diagonal positions near the
- * corners don't exceed the same maximum used by the gyroscope path.
+ * Start the mouse input.  One of the inputs of input.js; it never fails.
  *
- * Also reveals the #mouse-mode-label indicator so the user knows which input
- * method is active.
+ * Attaches a 'mousemove' listener that maps the cursor's offset from the
+ * screen centre to gravity: (0, 0) in the centre, MAX_GRAVITY at the edges,
+ * clamped so diagonal corners don't exceed the same maximum used by the
+ * gyroscope path (see pointerToGravity() in motion.js).  Like the gyroscope
+ * it goes through tilt.js, so calibration, dead zone, response curve and
+ * smoothing apply here too; initTilt() must have been called.
  *
- * @param {Matter.Engine} engine  The Matter.js physics engine instance.
+ * @returns {() => void}  Stops the input again.
  */
-export function initMouse(engine) {
-  // Reveal the mouse-mode indicator label.
-  const label = document.getElementById('mouse-mode-label');
-  if (label) {
-    label.classList.remove('hidden');
-  }
-
+export function startMouse() {
   function _onMouseMove(event) {
-    const cx = window.innerWidth  / 2;
-    const cy = window.innerHeight / 2;
-
-    // Normalise cursor offset to ±1 (0 at centre, ±1 at the screen edge).
-    const nx = (event.clientX - cx) / cx;
-    const ny = (event.clientY - cy) / cy;
-
-    // Scale to gravity units — ±MAX_GRAVITY at the screen edges.
-    let gx = nx * MAX_GRAVITY;
-    let gy = ny * MAX_GRAVITY;
-
-    // Clamp vector magnitude so diagonal corners don't exceed MAX_GRAVITY.
-    const mag = Math.sqrt(gx * gx + gy * gy);
-    if (mag > MAX_GRAVITY) {
-      gx = (gx / mag) * MAX_GRAVITY;
-      gy = (gy / mag) * MAX_GRAVITY;
-    }
+    if (isHoldingBall() || isToolActive() || isMergeActive()) return;
 
-    engine.gravity.x = gx;
-    engine.gravity.y = gy;
+    feedTilt('mouse', pointerToGravity(
+      event.clientX, event.clientY, window.innerWidth, window.innerHeight,
+    ));
   }
 
   window.addEventListener('mousemove', _onMouseMove);
-  console.log('[mouse] Mouse-gravity fallback active — tracking cursor position.');
+  console.log('[mouse] Mouse gravity active — tracking cursor position.');
+  return () => window.removeEventListener('mousemove', _onMouseMove);
 }
@@ -1,41 +1,156 @@
-// js/physics.js — Matter.js engine, renderer, and ball creation (TASK-002)
+// js/physics.js — Browser shell: renderer, runner and persistence around the simulation core (TASK-002)
 'use strict';
 
-const { Engine, Render, Runner, Bodies, Composite } = Matter;
+import { BALL_SHAPES } from './shapes.js';
+import { MATERIAL_CHOICES } from './materials.js';
+import { CHAIN_MODES } from './chains.js';
+import { parseSeed } from './random.js';
+import {
+  createSimulation, DEFAULT_BALL_COUNT, MIN_BALL_COUNT, MAX_BALL_COUNT,
+} from './simulation.js';
+import { createRunner } from './runner.js';
+import { createRemoteSimulation, isWorkerSupported } from './remote.js';
+import { drawSoftBalls } from './softbody.js';
+import { ARENA_SHAPES, NO_INSET, drawArena } from './walls.js';
+import { REFIT_MODES } from './refit.js';
 
-/** Vibrant colours that pop against the dark (#111111) background. */
-const BALL_COLOURS = [
-  '#ff6b6b', '#ff9f43', '#ffd32a', '#0be881',
-  '#48dbfb', '#54a0ff', '#c56ef2', '#ff9ff3',
-  '#ff6b81', '#1dd1a1', '#00d2d3', '#feca57',
-];
+const { Events, Render } = Matter;
 
-const DEFAULT_BALL_COUNT = 10;
+/** Canvas background colour. */
+const BACKGROUND = '#111111';
+
+/**
+ * Quiet time after the last 'resize' event before the world is resized, so
+ * dragging a window edge rebuilds the walls and refits the balls once rather
+ * than dozens of times.  The canvas itself follows every event.
+ */
+const RESIZE_SETTLE_MS = 150;
+
+/** Physics rates accepted from `?hz=`; anything outside keeps the default. */
+const MIN_HZ = 30;
+const MAX_HZ = 480;
+
+/** localStorage key for the sandbox ball count. */
+const KEY_COUNT = 'gyroballs_count';
+
+/** localStorage key for the chosen ball shape (see shapes.js). */
+const KEY_SHAPE = 'gyroballs_shape';
+
+/** localStorage key for the chosen ball material (see materials.js). */
+const KEY_MATERIAL = 'gyroballs_material';
+
+/** localStorage key for the chosen chain mode (see chains.js). */
+const KEY_CHAIN = 'gyroballs_chain';
+
+/** localStorage key for the chosen arena shape (see walls.js). */
+const KEY_ARENA = 'gyroballs_arena';
+
+/** localStorage key for fitting the arena inside the safe area ('1' / '0'). */
+const KEY_SAFE_AREA = 'gyroballs_safe_area';
+
+/** localStorage key for what happens to the balls on resize (see refit.js). */
+const KEY_REFIT = 'gyroballs_refit';
+
+/** localStorage key for scaling ball radii with the arena on resize ('1' / '0'). */
+const KEY_REFIT_RADII = 'gyroballs_refit_radii';
+
+/** The plain full-world arena the game modes and old recordings use. */
+const FULL_ARENA = { shape: 'rect', inset: NO_INSET };
+
+// ── Module state ──────────────────────────────────────────────────────────────
+
+/**
+ * The DOM-free simulation (simulation.js) this module wraps with a canvas,
+ * a runner and localStorage persistence.  Created by initPhysics().  In
+ * worker mode it is the stand-in from remote.js, which has the same setters
+ * and getters.
+ */
+let _sim = null;
+
+/**
+ * Fixed world size used instead of the viewport while a recorded session is
+ * replayed (replay.js), so a recording made on a phone plays back at its
+ * original dimensions on any screen — with the recorded arena, if any, in
+ * place of the chosen one.  Null means "follow the viewport".
+ */
+let _worldSize = null;
+
+/**
+ * Reasons the chosen arena is set aside for the plain full-world rectangle,
+ * e.g. 'game' while a game mode lays out its own levels.
+ */
+const _arenaBlocked = new Set();
+
+/** Pending settled-resize timeout (see RESIZE_SETTLE_MS). */
+let _resizeTimer = 0;
 
 /**
  * Initialise the Matter.js physics engine and renderer.
  *
- * Reads a saved ball count from localStorage (key: "gyroballs_count") so the
- * settings module (TASK-009) can persist the preference across reloads.
- * Falls back to DEFAULT_BALL_COUNT when no value is stored.
+ * The simulation itself (engine, walls, ball factory) is the DOM-free core in
+ * simulation.js; this is the browser shell around it.  It sizes the world to
+ * the viewport and keeps it in sync on resize, draws it on the #world canvas
+ * through the fixed-step runner, and restores the user's choices:
+ *
+ *   - ball count from localStorage (key: "gyroballs_count"), falling back to
+ *     DEFAULT_BALL_COUNT, so the settings module (TASK-009) can persist it
+ *     (see getBallCount / setBallCount);
+ *   - shape, material, chain mode, arena and resize behaviour from localStorage;
+ *   - a pinned seed from `?seed=` in the URL.
+ *
+ * With `?worker` in the URL the simulation, runner and drawing move to a Web
+ * Worker instead (see _initWorker()), where the browser supports it; the
+ * sandbox is then all there is, and the returned object is cut down to
+ * { engine, worker: true, createBalls, resetBalls, removeAllBalls }.
  *
  * @returns {{
- *   engine:         Matter.Engine,
- *   runner:         Matter.Runner,
- *   render:         Matter.Render,
- *   createBalls:    (count: number) => Matter.Body[],
- *   removeAllBalls: () => void,
+ *   worker:           boolean,
+ *   engine:           Matter.Engine,
+ *   runner:           { enabled: boolean, step: number, maxSubsteps: number },
+ *   render:           Matter.Render,
+ *   walls:            { update: () => void },
+ *   createBalls:      (count: number, scene?: SceneOptions) => Array<Matter.Body|Matter.Composite>,
+ *   createBallsAt:    (count: number, x: number, y: number, scene?: SceneOptions) => Matter.Body[],
+ *   removeAllBalls:   () => void,
+ *   resetBalls:       (count: number, scene?: SceneOptions) => Array<Matter.Body|Matter.Composite>,
+ *   getBalls:         () => Array<Matter.Body|Matter.Composite>,
+ *   addBall:          (x: number, y: number) => Matter.Body,
+ *   removeBall:       (ball: Matter.Body|Matter.Composite) => void,
+ *   setWorldSize:     (size: { width: number, height: number, arena?: ArenaSpec }|null) => void,
+ *   setSpawnListener: (fn: ((event: SpawnEvent) => void)|null) => void,
  * }}
+ *
+ * The spawn functions take an optional `scene` of { seed, shape, material,
+ * chain } overriding the pinned/rolled seed and the chosen shape, material
+ * and chain mode for that one spawn — replay.js uses it to rebuild a recorded
+ * scene exactly.
  */
 export function initPhysics() {
-  const canvas = document.getElementById('world');
+  const canvas  = document.getElementById('world');
+  const params  = new URLSearchParams(window.location.search);
+  const arena   = _arena();
+  const options = {
+    width:     window.innerWidth,
+    height:    window.innerHeight,
+    ballCount: getBallCount(),
+    seed:      parseSeed(params.get('seed')),
+    shape:     _storedShape(),
+    material:  _storedMaterial(),
+    chain:     _storedChainMode(),
+    arena:     arena.shape,
+    inset:     arena.inset,
+    refit:     { mode: getRefitMode(), radii: getRefitRadii() },
+    step:      _urlStep(),
+  };
+
+  if (params.has('worker')) {
+    if (isWorkerSupported(canvas)) return _initWorker(canvas, options);
+    console.log('[physics] OffscreenCanvas unsupported — running on the main thread.');
+  }
 
-  // ── Engine ──────────────────────────────────────────────────────────────
-  const engine = Engine.create();
-  // Default downward gravity; the gyroscope/mouse modules (TASK-005, TASK-006)
-  // will override these values in real time.
-  engine.gravity.x = 0;
-  engine.gravity.y = 1;
+  // ── Simulation core ──────────────────────────────────────────────────────
+  _sim = createSimulation(options);
+  const { engine } = _sim;
 
   // ── Renderer ─────────────────────────────────────────────────────────────
   // pixelRatio: 'auto' tells Matter.js to read window.devicePixelRatio and
@@ -43,6 +158,8 @@ export function initPhysics() {
   // on Retina / high-DPI screens (iPhones, modern Android, MacBook Retina).
   // The CSS dimensions remain at the logical pixel size (width/height below);
   // only the internal canvas resolution is multiplied by the device ratio.
+  // Matter's Render still owns the canvas, bounds and pixel ratio, but frames
+  // are drawn by renderer.js (called from the runner), not Render.world.
   const render = Render.create({
     canvas,
     engine,
@@ -50,148 +167,403 @@ export function initPhysics() {
       width:      window.innerWidth,
       height:     window.innerHeight,
       pixelRatio: 'auto',
-      background: '#111111',
+      background: BACKGROUND,
       wireframes: false,
     },
   });
 
   // ── Runner ────────────────────────────────────────────────────────────────
-  const runner = Runner.create();
-  Runner.run(runner, engine);
-  Render.run(render);
+  // Fixed-timestep loop with render interpolation (runner.js), so physics
+  // behaves the same at any display refresh rate.  `?hz=<n>` changes the
+  // physics rate from the default 120 Hz.
+  const runner = createRunner(engine, render, { step: _sim.stepMs });
 
-  // ── Initial balls ─────────────────────────────────────────────────────────
-  _addBalls(engine, _storedBallCount());
+  // Jelly balls hide their particles; draw each as one smooth blob instead.
+  // A shaped arena is outlined over the dimmed area outside it.
+  Events.on(render, 'afterRender', () => {
+    drawSoftBalls(render, engine.world);
+    drawArena(render, _sim.getArena());
+  });
 
   // ── Viewport resize ───────────────────────────────────────────────────────
-  window.addEventListener('resize', () => _onResize(render, canvas));
+  // Covers both window resize and device orientation changes, which emit a
+  // 'resize' event after layout.  The canvas follows straight away; the world
+  // (walls, level, balls) once the size has settled.
+  window.addEventListener('resize', () => {
+    _fitCanvas(render);
+    _afterSettling(() => _onResize(render));
+  });
 
   return {
+    worker:         false,
     engine,
     runner,
     render,
-    createBalls:    (count) => _addBalls(engine, count),
-    removeAllBalls: ()      => _removeAllBalls(engine),
-    resetBalls:     (count) => _resetBalls(engine, count),
+    walls:          _sim.walls,
+    createBalls:    _sim.createBalls,
+    createBallsAt:  _sim.createBallsAt,
+    removeAllBalls: _sim.removeAllBalls,
+    resetBalls:     _sim.resetBalls,
+    getBalls:       _sim.getBalls,
+    addBall:        _sim.addBall,
+    removeBall:     _sim.removeBall,
+    setWorldSize(size) {
+      _worldSize = size ? { width: size.width, height: size.height, arena: size.arena ?? null } : null;
+      _onResize(render);
+    },
+    setSpawnListener: _sim.setSpawnListener,
   };
 }
 
+/**
+ * Size of the simulated world: the viewport, unless a replay has fixed it to
+ * the recorded size.  levels.js and replay.js lay everything out from this
+ * rather than reading innerWidth/innerHeight directly.
+ *
+ * @returns {{ width: number, height: number }}
+ */
+export function getWorldSize() {
+  return _sim ? _sim.getSize() : { width: window.innerWidth, height: window.innerHeight };
+}
+
+/**
+ * The arena as currently laid out in the world (see walls.js layoutArena()):
+ * its shape and inset, outline, and the inner `box` that levels.js lays
+ * obstacles out in.
+ *
+ * @returns {Arena}
+ */
+export function getArena() {
+  return _sim.getArena();
+}
+
+/**
+ * Return the sandbox ball count saved in localStorage, clamped to
+ * [MIN_BALL_COUNT, MAX_BALL_COUNT].  Falls back to DEFAULT_BALL_COUNT if
+ * nothing is stored or the value is invalid.  Every module that respawns the
+ * sandbox reads the count from here.
+ *
+ * @returns {number}
+ */
+export function getBallCount() {
+  const stored = parseInt(localStorage.getItem(KEY_COUNT) || '', 10);
+  if (isNaN(stored)) return DEFAULT_BALL_COUNT;
+  return _clampBallCount(stored);
+}
+
+/**
+ * Persist the sandbox ball count, clamped to [MIN_BALL_COUNT, MAX_BALL_COUNT].
+ * Called by the settings slider and by tap-to-spawn / long-press-to-delete
+ * (grab.js), which change the count without respawning the world.
+ *
+ * @param {number} count
+ * @returns {number}  The count actually stored.
+ */
+export function setBallCount(count) {
+  const clamped = _clampBallCount(count);
+  localStorage.setItem(KEY_COUNT, String(clamped));
+  return clamped;
+}
+
+/**
+ * Choose the shape for balls created from now on and persist it to
+ * localStorage.  Existing balls keep their shape until they are respawned.
+ * Called by the settings module when the user picks a shape.
+ *
+ * @param {string} shape  A BALL_SHAPES id ('circle', 'mixed', 'star', …).
+ */
+export function setBallShape(shape) {
+  _sim.setShape(shape);
+  localStorage.setItem(KEY_SHAPE, _sim.getShape());
+}
+
+/** @returns {string}  The current ball shape id. */
+export function getBallShape() {
+  return _sim ? _sim.getShape() : _storedShape();
+}
+
+/**
+ * Choose the material for balls created from now on and persist it to
+ * localStorage.  Called by the settings module when the user picks a material.
+ *
+ * @param {string} material  A MATERIAL_CHOICES id ('mixed', 'steel', …).
+ */
+export function setBallMaterial(material) {
+  _sim.setMaterial(material);
+  localStorage.setItem(KEY_MATERIAL, _sim.getMaterial());
+}
+
+/** @returns {string}  The current ball material id. */
+export function getBallMaterial() {
+  return _sim ? _sim.getMaterial() : _storedMaterial();
+}
+
+/**
+ * Choose how sandbox balls are linked from now on — loose, or threaded into
+ * necklaces, pendulums or ropes — and persist it to localStorage.  Called by
+ * the settings module, which respawns the balls to apply it.
+ *
+ * @param {string} mode  A CHAIN_MODES id ('free', 'necklace', …).
+ */
+export function setChainMode(mode) {
+  _sim.setChainMode(mode);
+  localStorage.setItem(KEY_CHAIN, _sim.getChainMode());
+}
+
+/** @returns {string}  The current chain mode id. */
+export function getChainMode() {
+  return _sim ? _sim.getChainMode() : _storedChainMode();
+}
+
+/**
+ * Choose the arena shape and persist it to localStorage.  The walls move at
+ * once; the caller rebuilds the level and respawns the balls to fit.
+ * Called by the settings module when the user picks an arena.
+ *
+ * @param {string} shape  An ARENA_SHAPES id ('rect', 'circle', …).
+ */
+export function setArenaShape(shape) {
+  localStorage.setItem(KEY_ARENA, ARENA_SHAPES.some(s => s.id === shape) ? shape : 'rect');
+  _applyArena();
+}
+
+/** @returns {string}  The chosen arena shape id. */
+export function getArenaShape() {
+  return _storedArenaShape();
+}
+
+/**
+ * Keep the arena inside the safe area — clear of notches, rounded screen
+ * corners and the home indicator — or let it fill the whole viewport, and
+ * persist the choice.  As with setArenaShape(), the caller rebuilds the level
+ * and respawns.
+ *
+ * @param {boolean} enabled
+ */
+export function setSafeAreaFit(enabled) {
+  localStorage.setItem(KEY_SAFE_AREA, enabled ? '1' : '0');
+  _applyArena();
+}
+
+/** @returns {boolean}  Whether the arena is kept inside the safe area. */
+export function getSafeAreaFit() {
+  return localStorage.getItem(KEY_SAFE_AREA) === '1';
+}
+
+/**
+ * Choose what happens to the balls when the world is resized — stretched
+ * with it, or kept in place and clamped into the new arena — and persist it.
+ * Called by the settings module.
+ *
+ * @param {string} mode  A REFIT_MODES id ('stretch', 'clamp').
+ */
+export function setRefitMode(mode) {
+  _sim.setRefit({ mode });
+  localStorage.setItem(KEY_REFIT, _sim.getRefit().mode);
+}
+
+/** @returns {string}  The chosen REFIT_MODES id. */
+export function getRefitMode() {
+  const stored = localStorage.getItem(KEY_REFIT);
+  return REFIT_MODES.some(m => m.id === stored) ? stored : 'stretch';
+}
+
+/**
+ * Choose whether ball radii grow and shrink with the arena on resize, so the
+ * balls keep covering the same share of the screen, and persist it.
+ *
+ * @param {boolean} enabled
+ */
+export function setRefitRadii(enabled) {
+  _sim.setRefit({ radii: enabled });
+  localStorage.setItem(KEY_REFIT_RADII, enabled ? '1' : '0');
+}
+
+/** @returns {boolean}  Whether ball radii follow the arena on resize. */
+export function getRefitRadii() {
+  return localStorage.getItem(KEY_REFIT_RADII) === '1';
+}
+
+/**
+ * Set the chosen arena aside for the full-world rectangle while `reason`
+ * holds (game.js does so in the game modes, whose levels fill the screen).
+ *
+ * @param {string}  reason
+ * @param {boolean} blocked
+ */
+export function setArenaBlocked(reason, blocked) {
+  if (blocked) _arenaBlocked.add(reason);
+  else _arenaBlocked.delete(reason);
+  _applyArena();
+}
+
+/**
+ * Pin the scene seed so every spawn from now on reproduces the same world,
+ * or pass null to go back to a fresh random seed per scene.  Called by the
+ * settings module; the caller respawns the balls to apply it.
+ *
+ * @param {number|null} seed  Unsigned 32-bit integer (see random.js parseSeed).
+ */
+export function setSeed(seed) {
+  _sim.setSeed(seed);
+}
+
+/**
+ * @returns {{ seed: number, pinned: boolean }}  Seed of the current scene and
+ *   whether it is pinned.
+ */
+export function getSeed() {
+  return _sim.getSeed();
+}
+
+/**
+ * How many times a body has tunnelled through a wall or obstacle, or ended a
+ * step outside the world, and been put back (see containment.js).  Both stay
+ * at zero unless something got through the walls.
+ *
+ * @returns {{ swept: number, contained: number }}
+ */
+export function getEscapes() {
+  return _sim.getEscapes();
+}
+
 // ─────────────────────────────────────────────────────────────────────────────
 // Private helpers
 // ─────────────────────────────────────────────────────────────────────────────
 
+/** Clamp a ball count to [MIN_BALL_COUNT, MAX_BALL_COUNT]. */
+function _clampBallCount(count) {
+  return Math.min(MAX_BALL_COUNT, Math.max(MIN_BALL_COUNT, Math.round(count)));
+}
+
 /**
- * Return the ball count saved in localStorage, clamped to [1, 30].
- * Falls back to DEFAULT_BALL_COUNT if nothing is stored or the value is invalid.
+ * The arena to lay out now: the recorded one during a replay, the full world
+ * while blocked, otherwise the chosen shape, inset by the safe area if asked.
+ *
+ * @returns {ArenaSpec}  { shape, inset }
  */
-function _storedBallCount() {
-  const stored = parseInt(localStorage.getItem('gyroballs_count') || '', 10);
-  if (isNaN(stored)) return DEFAULT_BALL_COUNT;
-  return Math.min(30, Math.max(1, stored));
-}
-
-/**
- * Create `count` balls with randomised physical properties and add them to the
- * engine world.  Balls are seeded near the top-centre of the viewport so they
- * have room to fall and bounce once the boundary walls are added (TASK-003).
- *
- * Property ranges chosen so balls behave noticeably differently from one another:
- *   radius      15–40 px     — visual variety and different rolling dynamics
- *   density     0.001–0.004  — mass = density × area, heavier balls resist gravity less
- *   restitution 0.40–0.85    — all < 1 so kinetic energy is lost on every bounce
- *   friction    0.005–0.08   — surface friction when rolling/sliding
- *   frictionAir 0.008–0.030  — air drag; balls gradually slow and come to rest
- */
-function _addBalls(engine, count) {
-  const w = window.innerWidth;
-  const h = window.innerHeight;
-  const bodies = [];
-
-  for (let i = 0; i < count; i++) {
-    const radius      = _rand(15, 40);
-    const colour      = BALL_COLOURS[Math.floor(Math.random() * BALL_COLOURS.length)];
-    const restitution = _rand(0.40, 0.85);
-    const friction    = _rand(0.005, 0.08);
-    const frictionAir = _rand(0.008, 0.030);
-    const density     = _rand(0.001, 0.004);
-
-    // Scatter balls across the centre-60 % horizontally and top-40 % vertically
-    // so they drop naturally into the play area without bunching at one edge.
-    const x = _rand(w * 0.20, w * 0.80);
-    const y = _rand(h * 0.05, h * 0.40);
-
-    bodies.push(
-      Bodies.circle(x, y, radius, {
-        label: 'ball',
-        restitution,
-        friction,
-        frictionAir,
-        density,
-        render: { fillStyle: colour, lineWidth: 0 },
-      }),
-    );
-  }
+function _arena() {
+  if (_worldSize) return _worldSize.arena ?? FULL_ARENA;
+  if (_arenaBlocked.size > 0) return FULL_ARENA;
+  return { shape: _storedArenaShape(), inset: getSafeAreaFit() ? _safeAreaInset() : NO_INSET };
+}
 
-  Composite.add(engine.world, bodies);
-  return bodies;
-}
-
-/** Remove every body labelled "ball" from the world. */
-function _removeAllBalls(engine) {
-  const balls = engine.world.bodies.filter(b => b.label === 'ball');
-  Composite.remove(engine.world, balls);
-}
-
-/**
- * Create `count` balls clustered near the viewport centre.
- * Used by the shake-to-reset feature (TASK-010) so balls reappear at the
- * midpoint regardless of device orientation, giving the user a clean start.
- *
- * @param {Matter.Engine} engine
- * @param {number}        count
- * @returns {Matter.Body[]}
- */
-function _resetBalls(engine, count) {
-  const w = window.innerWidth;
-  const h = window.innerHeight;
-  const bodies = [];
-
-  for (let i = 0; i < count; i++) {
-    const radius      = _rand(15, 40);
-    const colour      = BALL_COLOURS[Math.floor(Math.random() * BALL_COLOURS.length)];
-    const restitution = _rand(0.40, 0.85);
-    const friction    = _rand(0.005, 0.08);
-    const frictionAir = _rand(0.008, 0.030);
-    const density     = _rand(0.001, 0.004);
-
-    // Cluster balls within the central 30 % of the screen width/height
-    // so they all appear near the midpoint after a reset.
-    const x = _rand(w * 0.35, w * 0.65);
-    const y = _rand(h * 0.35, h * 0.65);
-
-    bodies.push(
-      Bodies.circle(x, y, radius, {
-        label: 'ball',
-        restitution,
-        friction,
-        frictionAir,
-        density,
-        render: { fillStyle: colour, lineWidth: 0 },
-      }),
-    );
-  }
+/** Lay the arena out afresh in the simulation (see _arena()). */
+function _applyArena() {
+  if (!_sim) return;
+  const { shape, inset } = _arena();
+  _sim.setArena(shape, inset);
+}
+
+/**
+ * The browser's safe-area insets in px, read off #safe-area-probe, whose
+ * padding is env(safe-area-inset-*).  All zero where there is no notch or
+ * the browser does not support env().
+ */
+function _safeAreaInset() {
+  const probe = document.getElementById('safe-area-probe');
+  if (!probe) return NO_INSET;
+  const style = getComputedStyle(probe);
+  return {
+    top:    parseFloat(style.paddingTop)    || 0,
+    right:  parseFloat(style.paddingRight)  || 0,
+    bottom: parseFloat(style.paddingBottom) || 0,
+    left:   parseFloat(style.paddingLeft)   || 0,
+  };
+}
+
+/**
+ * Physics step from `?hz=<n>` in the URL, in ms.
+ *
+ * @returns {number|undefined}  Undefined (simulation default) when absent or out of range.
+ */
+function _urlStep() {
+  const hz = Number(new URLSearchParams(window.location.search).get('hz'));
+  return hz >= MIN_HZ && hz <= MAX_HZ ? 1000 / hz : undefined;
+}
+
+/** Return the ball shape saved in localStorage, defaulting to 'circle'. */
+function _storedShape() {
+  const stored = localStorage.getItem(KEY_SHAPE);
+  return BALL_SHAPES.some(s => s.id === stored) ? stored : 'circle';
+}
+
+/** Return the ball material saved in localStorage, defaulting to 'mixed'. */
+function _storedMaterial() {
+  const stored = localStorage.getItem(KEY_MATERIAL);
+  return MATERIAL_CHOICES.some(m => m.id === stored) ? stored : 'mixed';
+}
+
+/** Return the chain mode saved in localStorage, defaulting to 'free'. */
+function _storedChainMode() {
+  const stored = localStorage.getItem(KEY_CHAIN);
+  return CHAIN_MODES.some(c => c.id === stored) ? stored : 'free';
+}
 
-  Composite.add(engine.world, bodies);
-  return bodies;
+/** Return the arena shape saved in localStorage, defaulting to 'rect'. */
+function _storedArenaShape() {
+  const stored = localStorage.getItem(KEY_ARENA);
+  return ARENA_SHAPES.some(a => a.id === stored) ? stored : 'rect';
 }
 
-/** Keep the renderer and canvas dimensions in sync with the viewport. */
-function _onResize(render, canvas) {
-  const w = window.innerWidth;
-  const h = window.innerHeight;
+/**
+ * Worker mode: run the simulation in worker.js, drawing onto `canvas` as an
+ * OffscreenCanvas, so physics and drawing never wait on the main thread.
+ * The world always fills the viewport.
+ */
+function _initWorker(canvas, options) {
+  _sim = createRemoteSimulation(canvas, {
+    ...options,
+    pixelRatio: window.devicePixelRatio || 1,
+    background: BACKGROUND,
+  });
 
-  render.options.width  = w;
-  render.options.height = h;
+  window.addEventListener('resize', () => _afterSettling(() => {
+    const { shape, inset } = _arena(); // the safe area turns with the screen
+    _sim.resize(window.innerWidth, window.innerHeight, shape, inset);
+  }));
+
+  console.log('[physics] Worker mode — simulation and drawing run off the main thread.');
+
+  return {
+    worker:         true,
+    engine:         _sim.engine,
+    createBalls:    _sim.createBalls,
+    resetBalls:     _sim.resetBalls,
+    removeAllBalls: _sim.removeAllBalls,
+  };
+}
+
+/** Run `fn` once 'resize' events have stopped for RESIZE_SETTLE_MS. */
+function _afterSettling(fn) {
+  clearTimeout(_resizeTimer);
+  _resizeTimer = setTimeout(fn, RESIZE_SETTLE_MS);
+}
+
+/**
+ * Keep the renderer, canvas and world dimensions in sync with the viewport.
+ * While a replay has pinned the world size only the canvas follows.
+ */
+function _onResize(render) {
+  clearTimeout(_resizeTimer); // nothing left for a pending resize to do
+
+  // The safe area turns with the screen; a replay pins its own arena.  Size
+  // and arena go in one relayout, which leaves an unchanged world alone.
+  const world = _worldSize ?? { width: window.innerWidth, height: window.innerHeight };
+  const { shape, inset } = _arena();
+  _sim.resize(world.width, world.height, shape, inset);
+  _fitCanvas(render);
+}
+
+/**
+ * Size the canvas to the viewport and frame the world in it — the world as
+ * it is now, which lags the viewport until a resize settles.
+ */
+function _fitCanvas(render) {
+  const world = _sim.getSize();
+
+  render.options.width  = window.innerWidth;
+  render.options.height = window.innerHeight;
 
   // Render.setPixelRatio updates the canvas backing-store dimensions to
   // options.width × pixelRatio and options.height × pixelRatio, and resets
@@ -201,10 +573,8 @@ function _onResize(render, canvas) {
   // 1× display).
   Render.setPixelRatio(render, 'auto');
 
-  Render.lookAt(render, { min: { x: 0, y: 0 }, max: { x: w, y: h } });
-}
-
-/** Return a random float in [min, max). */
-function _rand(min, max) {
-  return Math.random() * (max - min) + min;
+  // Frame the world.  Normally that is exactly the viewport; during a replay
+  // the recorded world is letterboxed (centred, aspect ratio kept) instead,
+  // as is the old world while a resize settles.
+  Render.lookAt(render, { min: { x: 0, y: 0 }, max: { x: world.width, y: world.height } }, undefined, true);
 }
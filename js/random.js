@@ -0,0 +1,54 @@
+// js/random.js — Seedable pseudo-random number generator
+'use strict';
+
+/**
+ * Create a deterministic random number generator from a 32-bit seed.
+ *
+ * Uses mulberry32: tiny, fast and statistically good enough for scattering
+ * balls.  The same seed always yields the same sequence, which is what makes
+ * a scene reproducible from its seed.
+ *
+ * @param {number} seed  Unsigned 32-bit integer.
+ * @returns {() => number}  Returns floats in [0, 1), like Math.random.
+ */
+export function createRng(seed) {
+  let a = seed >>> 0;
+  return function rng() {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Pick a fresh seed.  This is the one place the app still uses Math.random —
+ * everything downstream of a seed is deterministic.
+ *
+ * @returns {number}  Unsigned 32-bit integer.
+ */
+export function randomSeed() {
+  return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+/**
+ * Turn user input (a `?seed=` value or the settings field) into a seed.
+ * Plain non-negative integers are used as-is so seeds round-trip through the
+ * UI; any other text is hashed (FNV-1a), so `?seed=party` works too.
+ *
+ * @param {string|number|null|undefined} value
+ * @returns {number|null}  Seed, or null for empty input.
+ */
+export function parseSeed(value) {
+  const text = String(value ?? '').trim();
+  if (text === '') return null;
+  if (/^\d+$/.test(text)) return Number(text) >>> 0;
+
+  let hash = 0x811C9DC5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
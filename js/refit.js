@@ -0,0 +1,113 @@
+// js/refit.js — Carry the balls over into a resized or reshaped arena
+'use strict';
+
+import { clampToArena } from './walls.js';
+import { scaleBall } from './softbody.js';
+import { chainBalls, scaleChains } from './chains.js';
+
+const { Body, Composite } = Matter;
+
+/**
+ * What happens to the balls when the world is resized — a window drag, or a
+ * phone turned from portrait to landscape.  Offered in the settings panel.
+ *
+ *   stretch — each ball keeps its place relative to the arena, so the scene
+ *             looks the same, only stretched;
+ *   clamp   — balls stay where they are on screen, and any left outside the
+ *             new arena are pulled back just inside it.
+ */
+export const REFIT_MODES = [
+  { id: 'stretch', name: 'Stretch with screen' },
+  { id: 'clamp',   name: 'Keep in place' },
+];
+
+// ── Public API ────────────────────────────────────────────────────────────────
+
+/**
+ * Move every ball in `world` from arena `from` into arena `to` (see walls.js
+ * layoutArena()), as `mode` says.  Part of the DOM-free simulation core:
+ * simulation.js calls it whenever the arena is laid out afresh.
+ *
+ * Each ball is moved as a whole — a jelly ball keeps its shape, and a chain
+ * ball or rope link is moved on its own, with the chain's threads stretched
+ * to match (chains.js scaleChains()).  Either way no ball is left outside
+ * `to`.  Speeds are kept.
+ *
+ * With `radii` set, balls are also grown or shrunk with the arena's area so
+ * they cover the same share of it as before; otherwise they keep their size.
+ *
+ * Nothing moves at all when the arena is unchanged.
+ *
+ * @param {Matter.Composite} world
+ * @param {Arena} from
+ * @param {Arena} to
+ * @param {{ mode?: string, radii?: boolean }} [options]
+ *   `mode` a REFIT_MODES id (default 'stretch').
+ */
+export function refitScene(world, from, to, { mode = 'stretch', radii = false } = {}) {
+  const a = from.box;
+  const b = to.box;
+  if (from.shape === to.shape &&
+      a.x === b.x && a.y === b.y && a.width === b.width && a.height === b.height) return;
+  if (!(a.width > 0 && a.height > 0 && b.width > 0 && b.height > 0)) return;
+
+  const sx = b.width / a.width;
+  const sy = b.height / a.height;
+  const stretch = mode !== 'clamp';
+  const k = radii ? Math.sqrt(sx * sy) : 1;
+
+  /** Where a point at `p` belongs in the new arena. */
+  const target = (p) => stretch
+    ? { x: b.x + (p.x - a.x) * sx, y: b.y + (p.y - a.y) * sy }
+    : p;
+
+  for (const piece of _pieces(world)) {
+    if (k !== 1 && piece.label === 'ball') scaleBall(piece, k);
+    const centre = _centreOf(piece);
+    const spot   = clampToArena(to, target(centre), _radiusOf(piece));
+    _move(piece, spot.x - centre.x, spot.y - centre.y);
+  }
+
+  scaleChains(world, stretch ? sy : 1, k);
+}
+
+// ── Private helpers ───────────────────────────────────────────────────────────
+
+/**
+ * Everything that moves as one: loose balls (bodies or jelly composites),
+ * and the balls and rope links of every chain.  Rope links are not scaled.
+ */
+function* _pieces(world) {
+  for (const body of world.bodies) {
+    if (body.label === 'ball' && !body.isStatic) yield body;
+  }
+  for (const c of world.composites) {
+    if (c.label === 'ball') yield c;
+    if (c.label !== 'chain') continue;
+    yield* chainBalls(c);
+    yield* c.bodies.filter(b => b.label === 'chain-link');
+  }
+}
+
+/** Centre of a piece: a body's position, or a jelly ball's core. */
+function _centreOf(piece) {
+  const body = piece.type === 'composite' ? piece.bodies[0] : piece;
+  return { x: body.position.x, y: body.position.y };
+}
+
+/** Half a piece's smaller extent — its radius for a round ball. */
+function _radiusOf(piece) {
+  if (piece.type === 'composite') return piece.softRadius;
+  return piece.circleRadius ||
+    Math.min(piece.bounds.max.x - piece.bounds.min.x, piece.bounds.max.y - piece.bounds.min.y) / 2;
+}
+
+/** Shift a piece by (dx, dy) without touching its speed. */
+function _move(piece, dx, dy) {
+  if (dx === 0 && dy === 0) return;
+  if (piece.type === 'composite') {
+    Composite.translate(piece, { x: dx, y: dy });
+    return;
+  }
+  Body.setPosition(piece, { x: piece.position.x + dx, y: piece.position.y + dy });
+}
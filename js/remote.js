@@ -0,0 +1,267 @@
+// js/remote.js — Worker mode, page side: a simulation running in worker.js
+'use strict';
+
+import { BALL_SHAPES } from './shapes.js';
+import { MATERIAL_CHOICES } from './materials.js';
+import { CHAIN_MODES } from './chains.js';
+import { randomSeed } from './random.js';
+import { layoutArena, NO_INSET } from './walls.js';
+import { REFIT_MODES } from './refit.js';
+
+const { Events } = Matter;
+
+// ── Public API ────────────────────────────────────────────────────────────────
+
+/**
+ * Whether this browser can run the simulation in a worker: it needs Web
+ * Workers and a canvas that can hand its drawing over to one.
+ *
+ * @param {HTMLCanvasElement} canvas
+ * @returns {boolean}
+ */
+export function isWorkerSupported(canvas) {
+  return typeof Worker !== 'undefined' && typeof canvas.transferControlToOffscreen === 'function';
+}
+
+/**
+ * Start worker.js in a Web Worker, hand it `canvas` as an OffscreenCanvas and
+ * return a stand-in for the simulation (simulation.js) it runs, so physics.js
+ * can drive either one.  Stepping and drawing happen entirely in the worker,
+ * so layout work or a busy page never make the balls stutter.
+ *
+ * Everything crosses over postMessage:
+ *
+ *   - `engine` is a stand-in with the real engine's `gravity`.  tilt.js
+ *     writes to it as usual, and once per frame it fires
+ *     'beforeUpdate' (so reset.js can freeze gravity for its countdown) and
+ *     then sends the worker any change;
+ *   - the worker's collisions are fired as 'collisionStart' on `engine`, with
+ *     snapshots of the bodies that sound.js and vibration.js read in the
+ *     usual way (Body.getVelocity(), ballOf()…);
+ *   - spawning and removing balls, and resizing, are sent as commands.
+ *
+ * Shape, material, chain mode and seeds are kept here and sent with every
+ * spawn, so the getters answer straight away.  The arena is laid out here as
+ * well as in the worker, so getArena() does too.  There is no access to bodies,
+ * hence no getBalls(), addBall() or removeBall().
+ *
+ * @param {HTMLCanvasElement} canvas
+ * @param {object} options  createSimulation() options, plus `pixelRatio` and
+ *   the canvas `background`.
+ * @returns {{
+ *   engine:         { gravity: { x: number, y: number, z: number, scale: number } },
+ *   getSize:        () => { width: number, height: number },
+ *   resize:         (width: number, height: number, shape?: string, inset?: { top: number, right: number, bottom: number, left: number }) => void,
+ *   getArena:       () => Arena,
+ *   setArena:       (shape: string, inset?: { top: number, right: number, bottom: number, left: number }) => void,
+ *   setRefit:       (refit: { mode?: string, radii?: boolean }) => void,
+ *   getRefit:       () => { mode: string, radii: boolean },
+ *   createBalls:    (count: number, scene?: SceneOptions) => void,
+ *   resetBalls:     (count: number, scene?: SceneOptions) => void,
+ *   removeAllBalls: () => void,
+ *   setShape:       (shape: string) => void,
+ *   getShape:       () => string,
+ *   setMaterial:    (material: string) => void,
+ *   getMaterial:    () => string,
+ *   setChainMode:   (mode: string) => void,
+ *   getChainMode:   () => string,
+ *   setSeed:        (seed: number|null) => void,
+ *   getSeed:        () => { seed: number, pinned: boolean },
+ *   getEscapes:     () => { swept: number, contained: number },
+ * }}
+ */
+export function createRemoteSimulation(canvas, options) {
+  const { ballCount, pixelRatio, background, ...simOptions } = options;
+
+  let size     = { width: options.width, height: options.height };
+  let arena    = layoutArena(options.arena, size, options.inset);
+  let refit    = { mode: 'stretch', radii: false, ...options.refit };
+  let shape    = _choice(BALL_SHAPES, options.shape, 'circle');
+  let material = _choice(MATERIAL_CHOICES, options.material, 'mixed');
+  let chain    = _choice(CHAIN_MODES, options.chain, 'free');
+
+  let seedPinned = options.seed != null;
+  let sceneSeed  = seedPinned ? options.seed >>> 0 : randomSeed();
+
+  const engine = { gravity: { x: 0, y: 1, z: 0, scale: 0.001 } };
+  let escapes  = { swept: 0, contained: 0 }; // as last reported
+  const sent   = { x: engine.gravity.x, y: engine.gravity.y, z: engine.gravity.z };
+
+  // ── Worker ──────────────────────────────────────────────────────────────
+  // Messages wait here until worker.js has loaded and is listening.
+  const worker = _startWorker();
+  let outbox   = [];
+
+  function _send(message, transfer = []) {
+    if (outbox) outbox.push([message, transfer]);
+    else worker.postMessage(message, transfer);
+  }
+
+  worker.addEventListener('message', ({ data }) => {
+    switch (data.type) {
+      case 'ready':
+        for (const [message, transfer] of outbox) worker.postMessage(message, transfer);
+        outbox = null;
+        break;
+      case 'collisions':
+        Events.trigger(engine, 'collisionStart', { pairs: _pairs(data.pairs) });
+        break;
+      case 'escapes':
+        escapes = data.escapes;
+        break;
+    }
+  });
+  worker.addEventListener('error', (e) => {
+    console.error('[remote] Physics worker failed:', e.message);
+  });
+
+  canvas.style.background = background;
+  _styleSize(canvas, size);
+  const offscreen = canvas.transferControlToOffscreen();
+  _send({ type: 'init', canvas: offscreen, options: { ...simOptions, pixelRatio, background } }, [offscreen]);
+
+  // ── Gravity ─────────────────────────────────────────────────────────────
+  function _frame(now) {
+    requestAnimationFrame(_frame);
+    Events.trigger(engine, 'beforeUpdate', { timestamp: now });
+    const { x, y, z } = engine.gravity;
+    if (x === sent.x && y === sent.y && z === sent.z) return;
+    sent.x = x;
+    sent.y = y;
+    sent.z = z;
+    _send({ type: 'gravity', x, y, z });
+  }
+  requestAnimationFrame(_frame);
+
+  // ── Balls ───────────────────────────────────────────────────────────────
+  /**
+   * Roll the scene here, as simulation.js would, and send it along so the
+   * worker spawns exactly this scene.
+   */
+  function _spawn(name, count, overrides = {}) {
+    if (overrides.seed != null) {
+      sceneSeed = overrides.seed >>> 0;
+    } else if (!seedPinned) {
+      sceneSeed = randomSeed();
+    }
+    const scene = {
+      seed:     sceneSeed,
+      shape:    overrides.shape    ?? shape,
+      material: overrides.material ?? material,
+      chain:    overrides.chain    ?? chain,
+    };
+    _send({ type: 'call', name, args: [count, scene] });
+  }
+
+  if (ballCount > 0) _spawn('createBalls', ballCount);
+
+  return {
+    engine,
+
+    getSize: () => ({ width: size.width, height: size.height }),
+
+    resize(width, height, id = arena.shape, inset = arena.inset) {
+      size  = { width, height };
+      arena = layoutArena(id, size, inset);
+      _styleSize(canvas, size);
+      _send({
+        type: 'resize', width, height, pixelRatio: window.devicePixelRatio || 1,
+        shape: arena.shape, inset: arena.inset,
+      });
+    },
+
+    getArena: () => arena,
+    setArena(id, inset = NO_INSET) {
+      arena = layoutArena(id, size, inset);
+      _send({ type: 'call', name: 'setArena', args: [arena.shape, arena.inset] });
+    },
+
+    setRefit({ mode = refit.mode, radii = refit.radii } = {}) {
+      refit = { mode: _choice(REFIT_MODES, mode, 'stretch'), radii: Boolean(radii) };
+      _send({ type: 'call', name: 'setRefit', args: [refit] });
+    },
+    getRefit: () => ({ ...refit }),
+
+    createBalls:    (count, scene) => _spawn('createBalls', count, scene),
+    resetBalls:     (count, scene) => _spawn('resetBalls', count, scene),
+    removeAllBalls: () => _send({ type: 'call', name: 'removeAllBalls', args: [] }),
+
+    setShape(id)    { shape = _choice(BALL_SHAPES, id, 'circle'); },
+    getShape:       () => shape,
+    setMaterial(id) { material = _choice(MATERIAL_CHOICES, id, 'mixed'); },
+    getMaterial:    () => material,
+    setChainMode(id) { chain = _choice(CHAIN_MODES, id, 'free'); },
+    getChainMode:   () => chain,
+
+    setSeed(value) {
+      seedPinned = value !== null;
+      if (seedPinned) sceneSeed = value >>> 0;
+    },
+    getSeed: () => ({ seed: sceneSeed, pinned: seedPinned }),
+
+    getEscapes: () => ({ ...escapes }),
+  };
+}
+
+// ── Private helpers ───────────────────────────────────────────────────────────
+
+/**
+ * Start worker.js.  It runs as a classic worker so that Matter.js — a plain
+ * script, not a module — can be loaded with importScripts() before worker.js,
+ * which expects the `Matter` global, is imported.
+ *
+ * Matter.js comes from the CDN, so the worker fetches it with the page's
+ * own `integrity` hash: the browser rejects a file that does not match, just
+ * as it would for the page's <script>.  Only the checked text is run, from
+ * a blob URL.  A failure is rethrown outside the promise, where it reaches
+ * the page as the worker's 'error' event.
+ */
+function _startWorker() {
+  const script = document.querySelector('script[src*="matter"]');
+  const entry  = new URL('./worker.js', import.meta.url).href;
+  const boot   = `
+    fetch(${JSON.stringify(script.src)}, {
+      integrity: ${JSON.stringify(script.integrity)},
+      mode: 'cors',
+      credentials: 'omit',
+      referrerPolicy: 'no-referrer',
+    })
+      .then((res) => res.ok ? res.text() : Promise.reject(new Error('Matter.js: HTTP ' + res.status)))
+      .then((code) => {
+        importScripts(URL.createObjectURL(new Blob([code], { type: 'text/javascript' })));
+        return import(${JSON.stringify(entry)});
+      })
+      .catch((err) => setTimeout(() => { throw err; }));
+  `;
+  return new Worker(URL.createObjectURL(new Blob([boot], { type: 'text/javascript' })));
+}
+
+/** `id` if it is one of `choices`, otherwise `fallback` — as simulation.js does. */
+function _choice(choices, id, fallback) {
+  return choices.some(c => c.id === id) ? id : fallback;
+}
+
+/** Size the placeholder canvas on the page; the worker sizes its backing store. */
+function _styleSize(canvas, { width, height }) {
+  canvas.style.width  = `${width}px`;
+  canvas.style.height = `${height}px`;
+}
+
+/**
+ * Turn collision snapshots from worker.js back into pairs of body-like
+ * objects.  Each is its own parent, and particles of one jelly ball share one
+ * `softBody`, so ballOf() and Body.getVelocity() work on them unchanged.
+ */
+function _pairs(snapshots) {
+  const softBodies = new Map();
+  const body = ({ soft, ...fields }) => {
+    const b = { ...fields };
+    b.parent = b;
+    if (soft) {
+      if (!softBodies.has(soft.id)) softBodies.set(soft.id, { ...soft });
+      b.softBody = softBodies.get(soft.id);
+    }
+    return b;
+  };
+  return snapshots.map(([a, b]) => ({ bodyA: body(a), bodyB: body(b) }));
+}
@@ -0,0 +1,238 @@
+// js/renderer.js — Batched canvas drawing of the world, in place of Render.world
+'use strict';
+
+const { Bounds, Composite, Events, Render } = Matter;
+
+// ── Constants ─────────────────────────────────────────────────────────────────
+
+/** Transparent margin around each ball sprite, in sprite px, so strokes are not clipped. */
+const SPRITE_MARGIN = 2;
+
+/**
+ * Sprite resolution steps per px of radius.  Radii are rounded to this
+ * before a sprite is looked up, so a few hundred random sizes share a
+ * handful of sprites per colour.
+ */
+const SPRITE_STEPS = 1;
+
+/** Most sprites kept at once; the cache starts over beyond this. */
+const MAX_SPRITES = 1024;
+
+// ── Module state ──────────────────────────────────────────────────────────────
+
+/**
+ * Pre-rendered ball sprites, keyed by style, radius and resolution.  Each is
+ * a canvas (an OffscreenCanvas inside worker.js) holding one filled and
+ * stroked circle at device resolution.
+ */
+const _sprites = new Map();
+
+// ── Public API ────────────────────────────────────────────────────────────────
+
+/**
+ * Draw `render.engine`'s world onto `render.canvas`.  A drop-in replacement
+ * for Matter's Render.world() — same view transform (render.bounds), same
+ * 'beforeRender' / 'afterRender' events — built for hundreds of balls:
+ *
+ *   - plain circles (every circle ball, maze hole and round peg) are stamped
+ *     from pre-rendered sprites with drawImage(), grouped by sprite;
+ *   - other shapes are batched by style into one path per colour, so each
+ *     colour costs a single fill() and stroke();
+ *   - constraints drawn as plain lines are batched the same way;
+ *   - invisible bodies (the walls, jelly particles) and anything outside the
+ *     view are skipped before any drawing work.
+ *
+ * Only the options this app uses are honoured (background, pixelRatio,
+ * hasBounds); Matter's debug overlays (wireframes, showAxes…) are not drawn.
+ *
+ * @param {Matter.Render} render
+ */
+export function renderWorld(render) {
+  const { engine, canvas, context: ctx, options } = render;
+  const world = engine.world;
+
+  Events.trigger(render, 'beforeRender', { timestamp: engine.timing.timestamp });
+
+  // An OffscreenCanvas (worker.js) has no style; the page colours its placeholder.
+  if (canvas.style && render.currentBackground !== options.background) {
+    canvas.style.background = options.background;
+    render.currentBackground = options.background;
+  }
+  ctx.setTransform(1, 0, 0, 1, 0, 0);
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+  // Device px per world px, for sprite resolution.
+  let scale = options.pixelRatio;
+  if (options.hasBounds) {
+    scale *= options.width / (render.bounds.max.x - render.bounds.min.x);
+    Render.startViewTransform(render);
+  } else {
+    ctx.setTransform(options.pixelRatio, 0, 0, options.pixelRatio, 0, 0);
+  }
+
+  // Static bodies (level obstacles, maze holes) go underneath the balls.
+  const layers = [_batch(), _batch()];
+  for (const body of Composite.allBodies(world)) {
+    if (!body.render.visible) continue;
+    if (options.hasBounds && !Bounds.overlaps(body.bounds, render.bounds)) continue;
+    _add(layers[body.isStatic ? 0 : 1], body, scale);
+  }
+
+  for (const { polygons, circles } of layers) {
+    for (const { style, parts } of polygons.values()) _drawPolygons(ctx, style, parts);
+    for (const [key, bodies] of circles) _drawCircles(ctx, key, bodies, scale);
+  }
+  _drawConstraints(ctx, Composite.allConstraints(world));
+
+  if (options.hasBounds) Render.endViewTransform(render);
+
+  Events.trigger(render, 'afterRender', { timestamp: engine.timing.timestamp });
+}
+
+// ── Private helpers ───────────────────────────────────────────────────────────
+
+/**
+ * An empty draw batch: circles grouped by sprite key, every other shape's
+ * parts grouped by style key.
+ */
+function _batch() {
+  return { circles: new Map(), polygons: new Map() };
+}
+
+/** Put `body` in the right group of `batch`. */
+function _add(batch, body, scale) {
+  if (body.parts.length === 1 && body.circleRadius) {
+    const key = _spriteKey(body.render, body.circleRadius, scale);
+    if (!batch.circles.has(key)) batch.circles.set(key, []);
+    batch.circles.get(key).push(body);
+    return;
+  }
+
+  const key = _styleKey(body.render);
+  if (!batch.polygons.has(key)) batch.polygons.set(key, { style: body.render, parts: [] });
+  // parts[0] is the body itself; compound bodies draw their other parts.
+  const parts = batch.polygons.get(key).parts;
+  for (let i = body.parts.length > 1 ? 1 : 0; i < body.parts.length; i++) parts.push(body.parts[i]);
+}
+
+/** Fill and stroke every part in one path per style. */
+function _drawPolygons(ctx, style, parts) {
+  ctx.beginPath();
+  for (const part of parts) {
+    const v = part.vertices;
+    ctx.moveTo(v[0].x, v[0].y);
+    for (let i = 1; i < v.length; i++) ctx.lineTo(v[i].x, v[i].y);
+    ctx.closePath();
+  }
+
+  ctx.globalAlpha = style.opacity ?? 1;
+  ctx.fillStyle   = style.fillStyle;
+  ctx.fill();
+  if (style.lineWidth) {
+    ctx.lineWidth   = style.lineWidth;
+    ctx.strokeStyle = style.strokeStyle;
+    ctx.stroke();
+  }
+  ctx.globalAlpha = 1;
+}
+
+/** Stamp each circle from the sprite for `key`, scaled to its exact radius. */
+function _drawCircles(ctx, key, bodies, scale) {
+  const first  = bodies[0];
+  const sprite = _sprite(key, first.render, first.circleRadius, scale);
+
+  ctx.globalAlpha = first.render.opacity ?? 1;
+  for (const body of bodies) {
+    // Radii in one group differ by under a device px; scale the sprite to fit.
+    const half = (sprite.half * body.circleRadius) / sprite.circle;
+    ctx.drawImage(sprite, body.position.x - half, body.position.y - half, half * 2, half * 2);
+  }
+  ctx.globalAlpha = 1;
+}
+
+/**
+ * Draw visible constraints.  Plain lines (chain threads) are batched by
+ * style; pins (the grab spring), springs and anchored lines go through
+ * Matter's own drawing.
+ */
+function _drawConstraints(ctx, constraints) {
+  const lines  = new Map(); // style key → { style, ends }
+  const others = [];
+  for (const c of constraints) {
+    if (!c.render.visible || !c.render.lineWidth) continue;
+    if (c.render.type !== 'line' || c.render.anchors) {
+      others.push(c);
+      continue;
+    }
+    const key = `${c.render.strokeStyle}|${c.render.lineWidth}`;
+    if (!lines.has(key)) lines.set(key, { style: c.render, ends: [] });
+    lines.get(key).ends.push(c);
+  }
+
+  for (const { style, ends } of lines.values()) {
+    ctx.beginPath();
+    for (const c of ends) {
+      const a = _end(c.bodyA, c.pointA);
+      const b = _end(c.bodyB, c.pointB);
+      ctx.moveTo(a.x, a.y);
+      ctx.lineTo(b.x, b.y);
+    }
+    ctx.lineWidth   = style.lineWidth;
+    ctx.strokeStyle = style.strokeStyle;
+    ctx.stroke();
+  }
+
+  if (others.length > 0) Render.constraints(others, ctx);
+}
+
+/** World position of a constraint end: `point` on `body`, or `point` itself. */
+function _end(body, point) {
+  return body ? { x: body.position.x + point.x, y: body.position.y + point.y } : point;
+}
+
+/** Cache key of the sprite for a circle of `radius` drawn at `scale`. */
+function _spriteKey(style, radius, scale) {
+  const px = Math.max(1, Math.round(radius * scale * SPRITE_STEPS) / SPRITE_STEPS);
+  return `${_styleKey(style)}|${px}`;
+}
+
+function _styleKey(style) {
+  return `${style.fillStyle}|${style.strokeStyle}|${style.lineWidth}|${style.opacity ?? 1}`;
+}
+
+/**
+ * The sprite for `key`, drawing it first if needed: a circle of `radius`
+ * world px at `scale` device px per world px.  `sprite.circle` records that
+ * radius and `sprite.half` the sprite's half-width, both in world px.
+ */
+function _sprite(key, style, radius, scale) {
+  let sprite = _sprites.get(key);
+  if (sprite) return sprite;
+
+  if (_sprites.size >= MAX_SPRITES) _sprites.clear();
+
+  const line   = style.lineWidth || 0;
+  const r      = radius * scale;
+  const half   = Math.ceil(r + (line * scale) / 2 + SPRITE_MARGIN);
+  sprite = typeof document === 'undefined'
+    ? new OffscreenCanvas(half * 2, half * 2)
+    : document.createElement('canvas');
+  sprite.width  = half * 2;
+  sprite.height = half * 2;
+  sprite.circle = radius;
+  sprite.half   = half / scale;
+
+  const ctx = sprite.getContext('2d');
+  ctx.beginPath();
+  ctx.arc(half, half, r, 0, Math.PI * 2);
+  ctx.fillStyle = style.fillStyle;
+  ctx.fill();
+  if (line) {
+    ctx.lineWidth   = line * scale;
+    ctx.strokeStyle = style.strokeStyle;
+    ctx.stroke();
+  }
+
+  _sprites.set(key, sprite);
+  return sprite;
+}
@@ -0,0 +1,437 @@
+/**
+ * replay.js — Session recording and deterministic playback
+ *
+ * Records a sandbox session as its inputs rather than its output: the world
+ * size, arena and level, the gravity vector applied on every physics step, and every
+ * spawn / reset with the seed, shape, material and chain mode it used.
+ * Physics always advances in fixed steps (runner.js), so re-running those
+ * inputs through Engine.update() with the recorded step reproduces the
+ * session exactly — on any screen, since playback pins the world to the
+ * recorded size.
+ *
+ * Playback owns the engine: the Matter.js runner is paused and this module
+ * steps the engine itself from a requestAnimationFrame loop, which is what
+ * makes pause and seek possible.  Seeking backwards re-simulates from the
+ * start with sound and vibration muted.
+ *
+ * Recordings can be exported and imported as JSON:
+ *
+ *   {
+ *     "version": 1,
+ *     "createdAt": "2026-01-01T12:00:00.000Z",
+ *     "step": 8.333…,                            // ms per physics step
+ *     "world": { "width", "height", "level",
+ *                "arena": { "shape", "inset": { "top", "right", "bottom", "left" } } },
+ *     "gravity": [[gx, gy, gz?], …],             // one entry per step
+ *     "events": [{ "step", "kind", … }]          // see simulation.js _notifySpawn
+ *   }
+ *
+ * A recording covers one world size and arena: resizing or rotating the
+ * screen while recording ends it, since every ball is moved to fit.
+ *
+ * `arena` is optional: recordings made before arena shapes existed play back
+ * in the plain full-world rectangle they were made in.  So is `gz`, the part
+ * of gravity through the screen (table.js): it is stored only while not 0,
+ * and a missing one plays back as 0, as it was before there was one.
+ */
+
+'use strict';
+
+import { getWorldSize, getBallCount, getArena } from './physics.js';
+import { ARENA_SHAPES }      from './walls.js';
+import { setSoundMuted }     from './sound.js';
+import { setVibrationMuted } from './vibration.js';
+import { setGrabBlocked }    from './grab.js';
+
+const { Detector, Engine, Events, Pairs } = Matter;
+
+// ── Constants ─────────────────────────────────────────────────────────────────
+
+/** Recording format version; bump when the JSON layout changes. */
+const FORMAT_VERSION = 1;
+
+/** Recordings stop by themselves after this much simulated time (3 minutes). */
+const MAX_DURATION_MS = 3 * 60 * 1000;
+
+/** Gravity is stored to 4 decimal places to keep exported files small. */
+const GRAVITY_PRECISION = 1e4;
+
+/** Longest wall-clock gap (ms) simulated in one frame, e.g. after a tab switch. */
+const MAX_FRAME_MS = 250;
+
+/** Spawn event kinds a recording may contain. */
+const EVENT_KINDS = ['create', 'reset', 'createAt', 'removeAll'];
+
+// ── DOM references ────────────────────────────────────────────────────────────
+const recIndicator = document.getElementById('rec-indicator');
+const bar          = document.getElementById('replay-bar');
+const btnToggle    = document.getElementById('replay-toggle');
+const seekSlider   = document.getElementById('replay-seek');
+const timeLabel    = document.getElementById('replay-time');
+const btnClose     = document.getElementById('replay-close');
+
+// ── Public API ────────────────────────────────────────────────────────────────
+
+/**
+ * Initialise session recording and playback.
+ *
+ * @param {ReturnType<import('./physics.js').initPhysics>} physics
+ * @param {object} modules
+ * @param {{ update: () => void }} modules.walls
+ *   The object returned by initWalls() — rebuilt at the recorded size.
+ * @param {ReturnType<import('./levels.js').initLevels>} modules.levels
+ * @param {{ setEnabled: (on: boolean) => void }} modules.reset
+ *   Shake / double-tap are disabled during playback.
+ * @returns {{
+ *   startRecording: () => void,
+ *   stopRecording:  () => void,
+ *   isRecording:    () => boolean,
+ *   hasRecording:   () => boolean,
+ *   play:           () => Promise<void>,
+ *   exitPlayback:   () => Promise<void>,
+ *   isPlaying:      () => boolean,
+ *   exportRecording: () => void,
+ *   importRecording: (file: File) => Promise<void>,
+ * }}
+ */
+export function initReplay(physics, { walls, levels, reset }) {
+  const { engine, runner } = physics;
+
+  let recording = null; // session being recorded
+  let last      = null; // most recent finished or imported recording
+  let playback  = null; // { rec, index, eventIndex, playing, acc, lastMs, frame, levelId }
+
+  // ── Gravity track ─────────────────────────────────────────────────────────
+  // Registered after reset.js, so this runs last in beforeUpdate and sees
+  // (and, during playback, overrides) the gravity that is actually applied.
+  Events.on(engine, 'beforeUpdate', () => {
+    if (recording) {
+      // Quantise in place so the live run uses exactly what gets stored.
+      const gx = Math.round(engine.gravity.x * GRAVITY_PRECISION) / GRAVITY_PRECISION;
+      const gy = Math.round(engine.gravity.y * GRAVITY_PRECISION) / GRAVITY_PRECISION;
+      const gz = Math.round((engine.gravity.z ?? 0) * GRAVITY_PRECISION) / GRAVITY_PRECISION;
+      engine.gravity.x = gx;
+      engine.gravity.y = gy;
+      engine.gravity.z = gz;
+      recording.gravity.push(gz === 0 ? [gx, gy] : [gx, gy, gz]);
+      if (recording.gravity.length * recording.step >= MAX_DURATION_MS) {
+        console.log('[replay] Maximum recording length reached.');
+        stopRecording();
+      }
+    } else if (playback) {
+      const [gx, gy, gz = 0] = playback.rec.gravity[playback.index];
+      engine.gravity.x = gx;
+      engine.gravity.y = gy;
+      engine.gravity.z = gz;
+    }
+  });
+
+  // Spawns land between steps, so they are stamped with the next step index.
+  physics.setSpawnListener((event) => {
+    if (recording) recording.events.push({ step: recording.gravity.length, ...event });
+  });
+
+  // A resize or rotation carries every ball into the new arena (refit.js),
+  // which a recording has no track for, so the recording ends there rather
+  // than play back differently.  Relayouts that change nothing do not count.
+  Events.on(engine, 'arenaChange', ({ arena }) => {
+    if (!recording || _sameArena(recording.world, getWorldSize(), arena)) return;
+    console.log('[replay] Arena changed — recording stopped.');
+    stopRecording();
+  });
+
+  // ── Recording ─────────────────────────────────────────────────────────────
+
+  /**
+   * Start recording from a fresh scene: the world is rebuilt and respawned so
+   * the first recorded step is reproducible.
+   */
+  function startRecording() {
+    if (recording || playback) return;
+
+    const { width, height } = getWorldSize();
+    const { shape, inset }  = getArena();
+    recording = {
+      version:   FORMAT_VERSION,
+      createdAt: new Date().toISOString(),
+      step:      runner.step,
+      world:     { width, height, level: levels.getLevelId(), arena: { shape, inset } },
+      gravity: [],
+      events:  [],
+    };
+
+    _resetWorld();
+    physics.createBalls(getBallCount());
+
+    // Grabs are not part of the recording, so they would not replay.
+    setGrabBlocked('replay', true);
+    recIndicator.classList.remove('hidden');
+    console.log('[replay] Recording started.');
+  }
+
+  function stopRecording() {
+    if (!recording) return;
+    last      = recording;
+    recording = null;
+    setGrabBlocked('replay', false);
+    recIndicator.classList.add('hidden');
+    console.log(`[replay] Recording stopped (${last.gravity.length} steps).`);
+  }
+
+  // ── Playback ──────────────────────────────────────────────────────────────
+
+  /** Replay the last recording from the start. */
+  async function play() {
+    if (!last) return;
+    stopRecording();
+    if (playback) await exitPlayback();
+
+    const levelId = levels.getLevelId();
+    runner.enabled = false;
+    reset.setEnabled(false);
+    setGrabBlocked('replay', true);
+    physics.setWorldSize(last.world);
+    await levels.loadLevel(last.world.level);
+
+    playback = {
+      rec: last, index: 0, eventIndex: 0, playing: true, acc: 0,
+      lastMs: performance.now(), frame: 0, levelId,
+    };
+    _rewind();
+
+    seekSlider.max = String(last.gravity.length);
+    bar.classList.remove('hidden');
+    playback.frame = requestAnimationFrame(_onFrame);
+    console.log('[replay] Playback started.');
+  }
+
+  /** Leave playback and give the sandbox back, as it was before. */
+  async function exitPlayback() {
+    if (!playback) return;
+    const { levelId, frame } = playback;
+    cancelAnimationFrame(frame);
+    playback = null;
+    bar.classList.add('hidden');
+
+    physics.setWorldSize(null);
+    await levels.loadLevel(levelId);
+    _resetWorld();
+    physics.createBalls(getBallCount());
+
+    setGrabBlocked('replay', false);
+    reset.setEnabled(true);
+    runner.enabled = true;
+    console.log('[replay] Playback ended.');
+  }
+
+  function _onFrame(now) {
+    if (!playback) return;
+    const total = playback.rec.gravity.length;
+
+    if (playback.playing) {
+      playback.acc += Math.min(now - playback.lastMs, MAX_FRAME_MS);
+      while (playback.acc >= playback.rec.step && playback.index < total) {
+        _advance();
+        playback.acc -= playback.rec.step;
+      }
+      if (playback.index >= total) playback.playing = false;
+    }
+    playback.lastMs = now;
+
+    _renderBar();
+    playback.frame = requestAnimationFrame(_onFrame);
+  }
+
+  /** Apply the spawns due before the current step, then run it. */
+  function _advance() {
+    const { rec } = playback;
+    while (playback.eventIndex < rec.events.length &&
+           rec.events[playback.eventIndex].step <= playback.index) {
+      _applyEvent(rec.events[playback.eventIndex++]);
+    }
+    Engine.update(engine, rec.step);
+    playback.index += 1;
+  }
+
+  /** Put the playback world back to its state before step 0. */
+  function _rewind() {
+    _resetWorld();
+    playback.index      = 0;
+    playback.eventIndex = 0;
+    playback.acc        = 0;
+  }
+
+  /**
+   * Jump to `step` by re-simulating from the start (forwards from the
+   * current step when possible).  Collisions along the way are not heard.
+   */
+  function _seek(step) {
+    if (!playback) return;
+    const target = Math.max(0, Math.min(step, playback.rec.gravity.length));
+    if (target < playback.index) _rewind();
+
+    setSoundMuted(true);
+    setVibrationMuted(true);
+    try {
+      while (playback.index < target) _advance();
+    } finally {
+      setSoundMuted(false);
+      setVibrationMuted(false);
+    }
+    playback.acc = 0;
+  }
+
+  function _applyEvent(event) {
+    // Recordings from before chain modes existed only ever had loose balls.
+    const scene = {
+      seed:     event.seed,
+      shape:    event.shape,
+      material: event.material,
+      chain:    event.chain ?? 'free',
+    };
+    switch (event.kind) {
+      case 'create':    physics.createBalls(event.count, scene); break;
+      case 'reset':     physics.resetBalls(event.count, scene); break;
+      case 'createAt':  physics.createBallsAt(event.count, event.x, event.y, scene); break;
+      case 'removeAll': physics.removeAllBalls(); break;
+    }
+  }
+
+  /**
+   * Clear the balls and every trace of earlier contacts, and restart engine
+   * time, so the next step behaves exactly like the first recorded one.
+   */
+  function _resetWorld() {
+    walls.update();
+    levels.update();
+    physics.removeAllBalls();
+    Pairs.clear(engine.pairs);
+    Detector.clear(engine.detector);
+    engine.timing.timestamp = 0;
+  }
+
+  function _renderBar() {
+    const { index, playing, rec } = playback;
+    btnToggle.textContent = playing ? '❚❚' : '▶';
+    btnToggle.setAttribute('aria-label', playing ? 'Pause' : 'Play');
+    seekSlider.value = String(index);
+    timeLabel.textContent =
+      `${_formatTime(index * rec.step)} / ${_formatTime(rec.gravity.length * rec.step)}`;
+  }
+
+  // ── Playback bar ──────────────────────────────────────────────────────────
+  btnToggle.addEventListener('click', () => {
+    if (!playback) return;
+    // Play again from the top once the end has been reached.
+    if (!playback.playing && playback.index >= playback.rec.gravity.length) _seek(0);
+    playback.playing = !playback.playing;
+    playback.lastMs  = performance.now();
+  });
+
+  seekSlider.addEventListener('change', () => {
+    _seek(parseInt(seekSlider.value, 10));
+  });
+
+  btnClose.addEventListener('click', () => {
+    exitPlayback();
+  });
+
+  // ── Export / import ───────────────────────────────────────────────────────
+
+  /** Download the last recording as a JSON file. */
+  function exportRecording() {
+    if (!last) return;
+    const blob = new Blob([JSON.stringify(last)], { type: 'application/json' });
+    const url  = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href     = url;
+    link.download = `gyroballs-${last.createdAt.replace(/[:.]/g, '-')}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Load a recording exported earlier and start playing it.  Files that are
+   * not valid recordings are rejected with a warning.
+   *
+   * @param {File} file
+   */
+  async function importRecording(file) {
+    try {
+      const rec = _validate(JSON.parse(await file.text()));
+      last = rec;
+      console.log(`[replay] Imported "${file.name}" (${rec.gravity.length} steps).`);
+    } catch (err) {
+      console.warn(`[replay] Could not import "${file.name}":`, err);
+      return;
+    }
+    await play();
+  }
+
+  return {
+    startRecording,
+    stopRecording,
+    isRecording:  () => recording !== null,
+    hasRecording: () => last !== null,
+    play,
+    exitPlayback,
+    isPlaying:    () => playback !== null,
+    exportRecording,
+    importRecording,
+  };
+}
+
+// ── Private helpers ───────────────────────────────────────────────────────────
+
+/**
+ * Check that parsed JSON looks like a recording this version can play.
+ *
+ * @param {any} rec
+ * @returns {object}  The same recording.
+ * @throws {Error}    Describing the first problem found.
+ */
+function _validate(rec) {
+  if (!rec || rec.version !== FORMAT_VERSION) {
+    throw new Error(`unsupported recording version ${rec?.version}`);
+  }
+  if (!(rec.step > 0)) throw new Error('missing step size');
+
+  const { world } = rec;
+  if (!world || !(world.width > 0) || !(world.height > 0) || typeof world.level !== 'string') {
+    throw new Error('missing world size or level');
+  }
+  if (world.arena != null && !_isArena(world.arena)) throw new Error('malformed arena');
+  if (!Array.isArray(rec.gravity) || rec.gravity.length === 0 ||
+      !rec.gravity.every(g => Array.isArray(g) && (g.length === 2 || g.length === 3) &&
+                              g.every(Number.isFinite))) {
+    throw new Error('malformed gravity track');
+  }
+  if (!Array.isArray(rec.events) ||
+      !rec.events.every(e => Number.isInteger(e?.step) && EVENT_KINDS.includes(e.kind))) {
+    throw new Error('malformed events');
+  }
+  return rec;
+}
+
+/** Whether `arena` is a known shape with a finite, non-negative inset on every side. */
+function _isArena(arena) {
+  const { shape, inset } = arena;
+  return ARENA_SHAPES.some(a => a.id === shape) && inset != null &&
+    ['top', 'right', 'bottom', 'left'].every(side => inset[side] >= 0 && Number.isFinite(inset[side]));
+}
+
+/**
+ * Whether a recording's `world` still matches the world `size` and laid-out
+ * `arena`.
+ */
+function _sameArena(world, size, arena) {
+  const { shape, inset } = world.arena;
+  return size.width === world.width && size.height === world.height && arena.shape === shape &&
+    ['top', 'right', 'bottom', 'left'].every(side => arena.inset[side] === inset[side]);
+}
+
+/** Format milliseconds as m:ss, e.g. "1:05". */
+function _formatTime(ms) {
+  const s = Math.floor(ms / 1000);
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
+}
@@ -1,32 +1,36 @@
 // js/reset.js — Shake to Reset with 3-2-1 countdown (TASK-010)
 'use strict';
 
+import { accelerationMagnitude, createShakeDetector } from './motion.js';
+import { getBallCount } from './physics.js';
+
 // ── Constants ─────────────────────────────────────────────────────────────────
 
 /**
- * Minimum acceleration magnitude (m/s²) to treat as a deliberate shake.
- * A stationary phone has ~9.8 m/s² from gravity alone.  A firm shake peaks
- * at 20–40 m/s².  22 m/s² is high enough to avoid false positives from
- * normal handling while still triggering reliably on a purposeful shake.
+ * Max milliseconds between two consecutive touchend events to count as a
+ * double-tap (desktop / tablet fallback when shake is unavailable).  Also how
+ * long grab.js waits before turning a single tap into a new ball.
  */
-const SHAKE_THRESHOLD = 22;
-
-/** Milliseconds to suppress further shake triggers after one fires. */
-const SHAKE_COOLDOWN_MS = 4500;
+export const DOUBLE_TAP_MS = 350;
 
 /**
- * Max milliseconds between two consecutive touchend events to count as a
- * double-tap (desktop / tablet fallback when shake is unavailable).
+ * A touch only counts as a tap if it lifts within TAP_MAX_MS and moves less
+ * than TAP_MAX_MOVE px, so grabbing and flinging balls (grab.js) never adds
+ * up to a double-tap reset.  grab.js uses the same test for tap-to-spawn.
  */
-const DOUBLE_TAP_MS = 350;
+export const TAP_MAX_MS   = 250;
+export const TAP_MAX_MOVE = 10;
 
 // ── Module-level state ────────────────────────────────────────────────────────
 
 /** True while the countdown is active — blocks re-triggering. */
 let _isResetting = false;
 
-/** Timestamp of the last shake trigger (performance.now). */
-let _lastShakeMs = -SHAKE_COOLDOWN_MS; // allow first shake immediately
+/**
+ * Shake threshold + cooldown (motion.js).  Any reset, however triggered,
+ * starts the cooldown.
+ */
+const _shake = createShakeDetector();
 
 /**
  * When non-null, the Matter.js beforeUpdate hook forces engine gravity to
@@ -35,6 +39,16 @@ let _lastShakeMs = -SHAKE_COOLDOWN_MS; // allow first shake immediately
  */
 let _gravityOverride = null;
 
+/** False while shake / double-tap are ignored (e.g. during replay playback). */
+let _enabled = true;
+
+/**
+ * Reasons double-click / double-tap are currently ignored while shake still
+ * works — e.g. tools.js while a tool that is used by tapping (blast) or
+ * pressing (magnets) is selected, so quick repeated taps never reset the scene.
+ */
+const _doubleTapBlockedBy = new Set();
+
 // ── Public API ────────────────────────────────────────────────────────────────
 
 /**
@@ -62,6 +76,15 @@ let _gravityOverride = null;
  *   playCountdownBeep: (step: number) => void,
  * }} sound
  *   Object returned by initSound().
+ * @returns {{
+ *   startCountdown: (onDone: () => void) => void,
+ *   setResetAction: (fn: (() => void)|null) => void,
+ *   setEnabled:     (on: boolean) => void,
+ * }}
+ *   startCountdown runs the same frozen-gravity 3-2-1 sequence for other
+ *   modules (e.g. a game level start); setResetAction replaces what a shake or
+ *   double-tap does once the countdown ends (null restores the respawn);
+ *   setEnabled(false) ignores shakes and double-taps until re-enabled.
  */
 export function initReset(physics, sound) {
   const { engine, removeAllBalls, resetBalls } = physics;
@@ -79,11 +102,26 @@ export function initReset(physics, sound) {
     }
   });
 
-  // ── Shared reset trigger ──────────────────────────────────────────────────
-  function _triggerReset() {
+  // ── Reset action ──────────────────────────────────────────────────────────
+  // What happens when the countdown finishes.  Defaults to replacing all
+  // balls with a fresh set near the centre; the tilt-maze game mode swaps in
+  // "restart the current level" via setResetAction().
+  function _defaultResetAction() {
+    removeAllBalls();
+    resetBalls(getBallCount());
+  }
+  let _resetAction = _defaultResetAction;
+
+  // ── Shared countdown ──────────────────────────────────────────────────────
+  /**
+   * Freeze gravity, show the 3-2-1 overlay with a beep per count, then call
+   * `onDone` and release gravity.  Does nothing if a countdown is running.
+   *
+   * @param {() => void} onDone
+   */
+  function startCountdown(onDone) {
     if (_isResetting) return;
     _isResetting  = true;
-    _lastShakeMs  = performance.now();
 
     // Freeze gravity to zero for the duration of the countdown.
     _gravityOverride = { x: 0, y: 0 };
@@ -109,38 +147,37 @@ export function initReset(physics, sound) {
         clearInterval(timer);
         overlay.classList.add('hidden');
 
-        // Replace all balls with a fresh set clustered near the screen centre.
-        removeAllBalls();
-        resetBalls(_storedBallCount());
-
         // Release the gravity freeze — gyroscope / mouse control resumes
-        // on the next physics step.
+        // on the next physics step.  Released before onDone() so the callback
+        // may itself start another countdown.
         _gravityOverride = null;
         _isResetting     = false;
+
+        onDone();
       }
     }, 1000);
   }
 
+  // ── Shared reset trigger ──────────────────────────────────────────────────
+  function _triggerReset() {
+    if (_isResetting || !_enabled) return;
+    _shake.trigger(performance.now());
+    startCountdown(() => _resetAction());
+  }
+
   // ── DeviceMotion shake detection (mobile) ─────────────────────────────────
   // DeviceMotionEvent fires on Android and iOS (when motion permission has been
   // granted alongside orientation permission).  No extra permission call is
-  // needed here because initGyroscope() already obtained motion access on iOS.
+  // needed here because startGyroscope() already obtained motion access on iOS.
   if (typeof DeviceMotionEvent !== 'undefined') {
     window.addEventListener('devicemotion', (e) => {
       if (_isResetting) return;
-      if (performance.now() - _lastShakeMs < SHAKE_COOLDOWN_MS) return;
 
       const a = e.accelerationIncludingGravity;
       if (!a) return;
 
-      // Compute the total acceleration magnitude.
-      const mag = Math.sqrt(
-        (a.x ?? 0) ** 2 +
-        (a.y ?? 0) ** 2 +
-        (a.z ?? 0) ** 2,
-      );
-
-      if (mag > SHAKE_THRESHOLD) {
+      if (_shake.update(a, performance.now())) {
+        const mag = accelerationMagnitude(a);
         console.log(`[reset] Shake detected (mag=${mag.toFixed(1)} m/s²) — triggering reset.`);
         _triggerReset();
       }
@@ -150,7 +187,7 @@ export function initReset(physics, sound) {
   // ── Double-click fallback (desktop) ───────────────────────────────────────
   const canvas = document.getElementById('world');
   canvas.addEventListener('dblclick', () => {
-    if (!_isResetting) {
+    if (!_isResetting && _doubleTapBlockedBy.size === 0) {
       console.log('[reset] Double-click detected — triggering reset.');
       _triggerReset();
     }
@@ -160,9 +197,25 @@ export function initReset(physics, sound) {
   // Handles iPads, tablets, or any touch device where DeviceMotion is
   // unavailable or motion permission was not granted.
   let _lastTapMs = 0;
-  canvas.addEventListener('touchend', () => {
+  let _touchStart = null;
+  canvas.addEventListener('touchstart', (e) => {
+    const t = e.changedTouches[0];
+    _touchStart = { x: t.clientX, y: t.clientY, ms: performance.now() };
+  }, { passive: true });
+
+  canvas.addEventListener('touchend', (e) => {
     const now = performance.now();
-    if (now - _lastTapMs < DOUBLE_TAP_MS && !_isResetting) {
+    const t   = e.changedTouches[0];
+    const isTap = _touchStart !== null &&
+      now - _touchStart.ms <= TAP_MAX_MS &&
+      Math.hypot(t.clientX - _touchStart.x, t.clientY - _touchStart.y) <= TAP_MAX_MOVE;
+    _touchStart = null;
+
+    if (!isTap) {
+      _lastTapMs = 0;
+      return;
+    }
+    if (now - _lastTapMs < DOUBLE_TAP_MS && !_isResetting && _doubleTapBlockedBy.size === 0) {
       console.log('[reset] Double-tap detected — triggering reset.');
       _triggerReset();
     }
@@ -170,17 +223,25 @@ export function initReset(physics, sound) {
   }, { passive: true });
 
   console.log('[reset] Shake-to-reset active (shake on mobile, double-click/tap on desktop).');
-}
 
-// ── Private helpers ───────────────────────────────────────────────────────────
+  return {
+    startCountdown,
+    setResetAction: (fn) => { _resetAction = fn ?? _defaultResetAction; },
+    setEnabled:     (on) => { _enabled = Boolean(on); },
+  };
+}
 
 /**
- * Read the stored ball count from localStorage (key: 'gyroballs_count').
- * Mirrors the logic in physics.js so the same count is used after a reset.
+ * Block or unblock the double-click / double-tap reset gesture for a given
+ * reason ('tool', 'merge', …) without affecting shake-to-reset.
  *
- * @returns {number}  Ball count in [1, 30], defaulting to 10.
+ * @param {string}  reason
+ * @param {boolean} blocked
  */
-function _storedBallCount() {
-  const n = parseInt(localStorage.getItem('gyroballs_count') || '', 10);
-  return isNaN(n) ? 10 : Math.min(30, Math.max(1, n));
+export function setDoubleTapBlocked(reason, blocked) {
+  if (blocked) {
+    _doubleTapBlockedBy.add(reason);
+  } else {
+    _doubleTapBlockedBy.delete(reason);
+  }
 }
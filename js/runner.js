@@ -0,0 +1,171 @@
+// js/runner.js — Fixed-timestep game loop with render interpolation
+'use strict';
+
+import { DEFAULT_STEP_MS } from './simulation.js';
+import { renderWorld } from './renderer.js';
+
+const { Composite, Engine, Vertices } = Matter;
+
+/**
+ * Default cap on physics steps per animation frame.  When a frame takes longer
+ * than this many steps (a throttled tab, a GC pause) the backlog is dropped
+ * instead of simulated, so one slow frame can never snowball into the next.
+ */
+export const DEFAULT_MAX_SUBSTEPS = 8;
+
+/**
+ * Longest wall-clock gap (ms) fed to the accumulator in one frame.  Beyond
+ * this — e.g. returning to a background tab — the simulation simply resumes.
+ */
+const MAX_FRAME_MS = 250;
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Public API
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Drive `engine` and `render` from one requestAnimationFrame loop, replacing
+ * Matter.Runner and Render.run.  Frames are drawn by renderer.js rather than
+ * Render.world, which does not keep up with hundreds of balls.
+ *
+ * Matter.Runner steps the engine once per display frame with a delta taken
+ * from the wall clock, so a 120 Hz display, a 60 Hz phone and a throttled
+ * laptop each simulate slightly differently.  Here the wall-clock time is
+ * added to an accumulator and the engine always advances in whole steps of
+ * `step` ms — zero, one or several per frame — so results depend only on
+ * the step, never on the refresh rate.
+ *
+ * Whatever time is left in the accumulator (less than one step) is used to
+ * draw each body part-way between its previous and current physics state.
+ * Without that, motion would judder whenever the display and physics rates
+ * do not divide evenly.  The physics state is restored exactly after drawing.
+ *
+ * Set `runner.enabled = false` to stop stepping (rendering carries on, e.g.
+ * while replay.js steps the engine itself); `step` and `maxSubsteps` may be
+ * changed at any time.
+ *
+ * @param {Matter.Engine} engine
+ * @param {Matter.Render} render
+ * @param {{ step?: number, maxSubsteps?: number }} [options]
+ *   step in ms (default 1000/120), maxSubsteps per frame (default 8).
+ * @returns {{ enabled: boolean, step: number, maxSubsteps: number }}
+ */
+export function createRunner(engine, render, options = {}) {
+  const runner = {
+    enabled:     true,
+    step:        options.step ?? DEFAULT_STEP_MS,
+    maxSubsteps: options.maxSubsteps ?? DEFAULT_MAX_SUBSTEPS,
+  };
+
+  /** Body id → position and angle before the most recent step. */
+  const previous = new Map();
+
+  let accumulator = 0;
+  let lastMs      = null;
+
+  function frame(now) {
+    requestAnimationFrame(frame);
+
+    const elapsed = lastMs === null ? 0 : Math.min(now - lastMs, MAX_FRAME_MS);
+    lastMs = now;
+
+    let alpha = 1;
+    if (runner.enabled) {
+      accumulator += elapsed;
+
+      let substeps = 0;
+      while (accumulator >= runner.step && substeps < runner.maxSubsteps) {
+        _snapshot(engine, previous);
+        Engine.update(engine, runner.step);
+        accumulator -= runner.step;
+        substeps += 1;
+      }
+      // Too far behind: drop the backlog rather than try to catch up.
+      if (accumulator >= runner.step) accumulator %= runner.step;
+
+      alpha = accumulator / runner.step;
+    } else {
+      accumulator = 0;
+      previous.clear();
+    }
+
+    const saved = _interpolate(engine, previous, alpha);
+    renderWorld(render);
+    _restore(saved);
+  }
+
+  requestAnimationFrame(frame);
+  return runner;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Private helpers
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** Remember where every moving body is before the next step. */
+function _snapshot(engine, previous) {
+  previous.clear();
+  for (const body of Composite.allBodies(engine.world)) {
+    if (body.isStatic) continue;
+    previous.set(body.id, { x: body.position.x, y: body.position.y, angle: body.angle });
+  }
+}
+
+/**
+ * Move each body `1 - alpha` of the way back towards its previous state, for
+ * drawing only.  Bodies spawned since the last step have no previous state
+ * and are drawn where they are.
+ *
+ * @returns {{ part: Matter.Body, x: number, y: number, angle: number, verts: number[] }[]}
+ *   The exact pre-interpolation state of every part that was moved.
+ */
+function _interpolate(engine, previous, alpha) {
+  const saved = [];
+  if (alpha >= 1 || previous.size === 0) return saved;
+
+  for (const body of Composite.allBodies(engine.world)) {
+    const prev = previous.get(body.id);
+    if (!prev) continue;
+
+    const back  = 1 - alpha;
+    const dx    = (prev.x - body.position.x) * back;
+    const dy    = (prev.y - body.position.y) * back;
+    const angle = (prev.angle - body.angle) * back;
+    if (dx === 0 && dy === 0 && angle === 0) continue;
+
+    const pivot = { x: body.position.x, y: body.position.y };
+    const cos   = Math.cos(angle);
+    const sin   = Math.sin(angle);
+
+    // parts[0] is the body itself; compound bodies list their parts after it.
+    for (const part of body.parts) {
+      const verts = [];
+      for (const v of part.vertices) verts.push(v.x, v.y);
+      saved.push({ part, x: part.position.x, y: part.position.y, angle: part.angle, verts });
+
+      if (angle !== 0) Vertices.rotate(part.vertices, angle, pivot);
+      Vertices.translate(part.vertices, { x: dx, y: dy });
+
+      const rx = part.position.x - pivot.x;
+      const ry = part.position.y - pivot.y;
+      part.position.x = pivot.x + rx * cos - ry * sin + dx;
+      part.position.y = pivot.y + rx * sin + ry * cos + dy;
+      part.angle += angle;
+    }
+  }
+
+  return saved;
+}
+
+/** Put back the exact state recorded by _interpolate(). */
+function _restore(saved) {
+  for (const { part, x, y, angle, verts } of saved) {
+    part.position.x = x;
+    part.position.y = y;
+    part.angle      = angle;
+    for (let i = 0; i < part.vertices.length; i++) {
+      part.vertices[i].x = verts[i * 2];
+      part.vertices[i].y = verts[i * 2 + 1];
+    }
+  }
+}
@@ -3,9 +3,33 @@
 
 import { setSoundEnabled }     from './sound.js';
 import { setVibrationEnabled } from './vibration.js';
+import { LEVELS }              from './levels.js';
+import { BALL_SHAPES }         from './shapes.js';
+import { MATERIAL_CHOICES }    from './materials.js';
+import { CHAIN_MODES }         from './chains.js';
+import { ARENA_SHAPES }        from './walls.js';
+import { REFIT_MODES }         from './refit.js';
+import { RESPONSE_CURVES }     from './motion.js';
+import { parseSeed }           from './random.js';
+import { canLockOrientation, setOrientationLock, getOrientationLock } from './fullscreen.js';
+import { INPUT_PROVIDERS, setInputProvider, getInputProvider, getActiveInput } from './input.js';
+import {
+  GRAVITY_SOURCES, setGravitySource, getGravitySource, getActiveGravitySource,
+} from './gyroscope.js';
+import {
+  setSensitivity, getSensitivity, setDeadZone, getDeadZone, setSmoothing, getSmoothing,
+  setResponseCurve, getResponseCurve, calibrate, resetCalibration, isCalibrated,
+} from './tilt.js';
+import { FALLOFFS, setFieldFalloff, getFieldFalloff } from './tools.js';
+import { MIN_BALL_COUNT, MAX_BALL_COUNT } from './simulation.js';
+import {
+  setBallShape, getBallShape, setBallMaterial, getBallMaterial, setSeed, getSeed,
+  getBallCount, setBallCount, setChainMode, getChainMode,
+  setArenaShape, getArenaShape, setSafeAreaFit, getSafeAreaFit,
+  setRefitMode, getRefitMode, setRefitRadii, getRefitRadii,
+} from './physics.js';
 
-// ── localStorage keys (shared with physics.js, sound.js, vibration.js) ────────
-const KEY_COUNT     = 'gyroballs_count';
+// ── localStorage keys (shared with sound.js, vibration.js) ────────────────────
 const KEY_SOUND     = 'gyroballs_sound';
 const KEY_VIBRATION = 'gyroballs_vibration';
 
@@ -16,6 +40,35 @@ const sliderBalls    = document.getElementById('ball-count');
 const displayBalls   = document.getElementById('ball-count-display');
 const checkSound     = document.getElementById('toggle-sound');
 const checkVibration = document.getElementById('toggle-vibration');
+const selectLevel    = document.getElementById('level-select');
+const selectMode     = document.getElementById('mode-select');
+const selectShape    = document.getElementById('shape-select');
+const selectMaterial = document.getElementById('material-select');
+const selectChain    = document.getElementById('chain-select');
+const selectArena    = document.getElementById('arena-select');
+const checkSafeArea  = document.getElementById('toggle-safe-area');
+const selectRefit    = document.getElementById('refit-select');
+const checkRadii     = document.getElementById('toggle-refit-radii');
+const checkLock      = document.getElementById('toggle-orientation-lock');
+const selectInput    = document.getElementById('input-select');
+const selectGravity  = document.getElementById('gravity-source-select');
+const sliderSens     = document.getElementById('tilt-sensitivity');
+const displaySens    = document.getElementById('tilt-sensitivity-display');
+const sliderDeadZone = document.getElementById('tilt-dead-zone');
+const displayDead    = document.getElementById('tilt-dead-zone-display');
+const sliderSmooth   = document.getElementById('tilt-smoothing');
+const displaySmooth  = document.getElementById('tilt-smoothing-display');
+const selectCurve    = document.getElementById('curve-select');
+const btnCalibrate   = document.getElementById('btn-calibrate');
+const btnUncalibrate = document.getElementById('btn-calibrate-reset');
+const selectFalloff  = document.getElementById('falloff-select');
+const inputSeed      = document.getElementById('seed-input');
+const btnNewSeed     = document.getElementById('btn-new-seed');
+const btnRecord      = document.getElementById('btn-record');
+const btnPlay        = document.getElementById('btn-play');
+const btnExport      = document.getElementById('btn-export');
+const btnImport      = document.getElementById('btn-import');
+const inputReplay    = document.getElementById('replay-file');
 
 // ── Public API ────────────────────────────────────────────────────────────────
 
@@ -27,11 +80,34 @@ const checkVibration = document.getElementById('toggle-vibration');
  *
  * @param {{ engine: Matter.Engine, createBalls: (n: number) => void, removeAllBalls: () => void }} physics
  *   The object returned by initPhysics() — used to reset the simulation when
- *   the ball count changes.
+ *   the ball count or level changes.
+ * @param {object} modules
+ * @param {{ loadLevel: (id: string) => Promise<void>, getLevelId: () => string }} modules.levels
+ *   The object returned by initLevels() — drives the level picker.
+ * @param {{ getMode: () => string, setMode: (mode: string) => Promise<void> }} modules.game
+ *   The object returned by initGame() — drives the mode picker.
+ * @param {ReturnType<import('./replay.js').initReplay>} modules.replay
+ *   The object returned by initReplay() — drives the session buttons.
+ *
+ * In worker mode (physics.js) `levels`, `game` and `replay` are null: only
+ * the sandbox runs, and their controls stay disabled.
  */
-export function initSettings(physics) {
+export function initSettings(physics, { levels, game, replay }) {
+  // Maze levels are left out — the tilt-maze mode plays them in order.
+  _populateSelect(selectLevel, LEVELS.filter(l => !l.maze), levels?.getLevelId() ?? 'empty');
+  _populateSelect(selectShape, BALL_SHAPES, getBallShape());
+  _populateSelect(selectMaterial, MATERIAL_CHOICES, getBallMaterial());
+  _populateSelect(selectChain, CHAIN_MODES, getChainMode());
+  _populateSelect(selectArena, ARENA_SHAPES, getArenaShape());
+  _populateSelect(selectRefit, REFIT_MODES, getRefitMode());
+  _populateSelect(selectCurve, RESPONSE_CURVES, getResponseCurve());
+  _populateSelect(selectInput, INPUT_PROVIDERS, getInputProvider());
+  _populateSelect(selectGravity, GRAVITY_SOURCES, getGravitySource());
+  _populateSelect(selectFalloff, FALLOFFS, getFieldFalloff());
   _applyStoredValues();
-  _attachListeners(physics);
+  selectMode.value = game?.getMode() ?? 'sandbox';
+  _syncControls(replay);
+  _attachListeners(physics, levels, game, replay);
 }
 
 // ── Private helpers ───────────────────────────────────────────────────────────
@@ -41,11 +117,10 @@ export function initSettings(physics) {
  * This keeps the UI in sync with whatever was saved from a previous session.
  */
 function _applyStoredValues() {
-  // Ball count
-  const storedCount = parseInt(localStorage.getItem(KEY_COUNT) || '', 10);
-  const count = isNaN(storedCount) ? 10 : Math.min(30, Math.max(1, storedCount));
-  sliderBalls.value     = count;
-  displayBalls.textContent = count;
+  // Ball count — same limits as tap-to-spawn / long-press-to-delete (grab.js)
+  sliderBalls.min = String(MIN_BALL_COUNT);
+  sliderBalls.max = String(MAX_BALL_COUNT);
+  _showBallCount();
 
   // Sound toggle
   const storedSound = localStorage.getItem(KEY_SOUND);
@@ -54,18 +129,54 @@ function _applyStoredValues() {
   // Vibration toggle
   const storedVibration = localStorage.getItem(KEY_VIBRATION);
   checkVibration.checked = storedVibration === null ? true : storedVibration !== '0';
+
+  // Safe-area fit
+  checkSafeArea.checked = getSafeAreaFit();
+
+  // Ball radii following the screen size on resize
+  checkRadii.checked = getRefitRadii();
+
+  // Orientation lock in fullscreen — greyed out where it cannot work
+  checkLock.checked  = getOrientationLock();
+  checkLock.disabled = !canLockOrientation();
+
+  // Tilt response — sliders work in percent and ms
+  sliderSens.value     = String(Math.round(getSensitivity() * 100));
+  sliderDeadZone.value = String(Math.round(getDeadZone() * 100));
+  sliderSmooth.value   = String(getSmoothing());
+  _showTilt();
+}
+
+/**
+ * Fill a picker with one option per choice and select the active one.
+ *
+ * @param {HTMLSelectElement}               select
+ * @param {{ id: string, name: string }[]}  choices
+ * @param {string}                          activeId
+ */
+function _populateSelect(select, choices, activeId) {
+  for (const { id, name } of choices) {
+    const option = document.createElement('option');
+    option.value       = id;
+    option.textContent = name;
+    select.appendChild(option);
+  }
+  select.value = activeId;
 }
 
 /**
  * Attach all event listeners for the settings panel.
  *
  * @param {{ removeAllBalls: () => void, createBalls: (n: number) => void }} physics
+ * @param {{ loadLevel: (id: string) => Promise<void> }} levels
+ * @param {{ getMode: () => string, setMode: (mode: string) => Promise<void> }} game
+ * @param {ReturnType<import('./replay.js').initReplay>} replay
  */
-function _attachListeners(physics) {
+function _attachListeners(physics, levels, game, replay) {
   // ── Gear button: toggle panel open/closed ────────────────────────────────
   btnSettings.addEventListener('click', (e) => {
     e.stopPropagation();
-    _togglePanel();
+    _togglePanel(replay);
   });
 
   // ── Dismiss panel when tapping/clicking outside it ───────────────────────
@@ -80,6 +191,13 @@ function _attachListeners(physics) {
   // On touch devices the 'click' event fires after touchend, so the above
   // listener also handles tap-outside dismissal correctly.
 
+  // ── Mode picker ──────────────────────────────────────────────────────────
+  selectMode.addEventListener('change', () => {
+    replay.stopRecording();
+    _syncControls(replay);
+    game.setMode(selectMode.value);
+  });
+
   // ── Ball count slider ────────────────────────────────────────────────────
   sliderBalls.addEventListener('input', () => {
     const count = parseInt(sliderBalls.value, 10);
@@ -87,14 +205,171 @@ function _attachListeners(physics) {
   });
 
   sliderBalls.addEventListener('change', () => {
-    const count = parseInt(sliderBalls.value, 10);
+    const count = setBallCount(parseInt(sliderBalls.value, 10));
     displayBalls.textContent = count;
-    localStorage.setItem(KEY_COUNT, count);
     // Reset the simulation with the new ball count
     physics.removeAllBalls();
     physics.createBalls(count);
   });
 
+  // ── Level picker ─────────────────────────────────────────────────────────
+  selectLevel.addEventListener('change', async () => {
+    // A recording is tied to one level, so switching ends it.
+    replay.stopRecording();
+    _syncControls(replay);
+    await levels.loadLevel(selectLevel.value);
+    // Respawn so no ball is left embedded inside a new obstacle
+    physics.removeAllBalls();
+    physics.createBalls(getBallCount());
+  });
+
+  // ── Shape picker ─────────────────────────────────────────────────────────
+  selectShape.addEventListener('change', () => {
+    setBallShape(selectShape.value);
+    _respawnSandbox(physics, game);
+  });
+
+  // ── Material picker ──────────────────────────────────────────────────────
+  selectMaterial.addEventListener('change', () => {
+    setBallMaterial(selectMaterial.value);
+    _respawnSandbox(physics, game);
+  });
+
+  // ── Chain mode ───────────────────────────────────────────────────────────
+  selectChain.addEventListener('change', () => {
+    setChainMode(selectChain.value);
+    _respawnSandbox(physics, game);
+  });
+
+  // ── Arena ────────────────────────────────────────────────────────────────
+  // The walls and the level move at once; the balls are respawned to fit.
+  // A recording keeps the arena it started with.
+  selectArena.addEventListener('change', () => {
+    replay?.stopRecording();
+    setArenaShape(selectArena.value);
+    _refitSandbox(physics, replay);
+  });
+
+  checkSafeArea.addEventListener('change', () => {
+    replay?.stopRecording();
+    setSafeAreaFit(checkSafeArea.checked);
+    _refitSandbox(physics, replay);
+  });
+
+  // ── Resize behaviour ─────────────────────────────────────────────────────
+  // Takes effect at the next resize or rotation; nothing moves now.
+  selectRefit.addEventListener('change', () => {
+    setRefitMode(selectRefit.value);
+  });
+
+  checkRadii.addEventListener('change', () => {
+    setRefitRadii(checkRadii.checked);
+  });
+
+  // ── Orientation lock ─────────────────────────────────────────────────────
+  checkLock.addEventListener('change', () => {
+    setOrientationLock(checkLock.checked);
+  });
+
+  // ── Input ────────────────────────────────────────────────────────────────
+  // Switches straight away; one that does not work falls back to the
+  // motion sensor, then dragging or the mouse.
+  selectInput.addEventListener('change', () => {
+    setInputProvider(selectInput.value);
+    _showInput();
+    _showGravitySource();
+  });
+
+  // ── Gravity source ───────────────────────────────────────────────────────
+  // Switches straight away; one that does not work falls back to the others.
+  selectGravity.addEventListener('change', () => {
+    setGravitySource(selectGravity.value);
+    _showGravitySource();
+  });
+
+  // ── Tilt response ────────────────────────────────────────────────────────
+  // Applies to every input alike (tilt.js), straight away.
+  sliderSens.addEventListener('input', () => {
+    setSensitivity(parseInt(sliderSens.value, 10) / 100);
+    _showTilt();
+  });
+
+  sliderDeadZone.addEventListener('input', () => {
+    setDeadZone(parseInt(sliderDeadZone.value, 10) / 100);
+    _showTilt();
+  });
+
+  sliderSmooth.addEventListener('input', () => {
+    setSmoothing(parseInt(sliderSmooth.value, 10));
+    _showTilt();
+  });
+
+  selectCurve.addEventListener('change', () => {
+    setResponseCurve(selectCurve.value);
+  });
+
+  // Whatever pose the device (or other input) is in now becomes level.
+  btnCalibrate.addEventListener('click', () => {
+    calibrate();
+    _showTilt();
+  });
+
+  btnUncalibrate.addEventListener('click', () => {
+    resetCalibration();
+    _showTilt();
+  });
+
+  // ── Magnet falloff ───────────────────────────────────────────────────────
+  selectFalloff.addEventListener('change', () => {
+    setFieldFalloff(selectFalloff.value);
+  });
+
+  // ── Seed ─────────────────────────────────────────────────────────────────
+  // Entering a seed pins it so every respawn reproduces the same scene;
+  // clearing the field or pressing "New" goes back to a fresh seed each time.
+  inputSeed.addEventListener('change', () => {
+    setSeed(parseSeed(inputSeed.value));
+    _respawnSandbox(physics, game);
+    _showSeed();
+  });
+
+  btnNewSeed.addEventListener('click', () => {
+    setSeed(null);
+    _respawnSandbox(physics, game);
+    _showSeed();
+  });
+
+  // ── Session record / replay ──────────────────────────────────────────────
+  btnRecord.addEventListener('click', () => {
+    if (replay.isRecording()) {
+      replay.stopRecording();
+    } else {
+      replay.startRecording();
+    }
+    _syncControls(replay);
+  });
+
+  btnPlay.addEventListener('click', () => {
+    _closePanel();
+    replay.play();
+  });
+
+  btnExport.addEventListener('click', () => {
+    replay.exportRecording();
+  });
+
+  btnImport.addEventListener('click', () => {
+    inputReplay.click();
+  });
+
+  inputReplay.addEventListener('change', () => {
+    const file = inputReplay.files[0];
+    inputReplay.value = ''; // allow importing the same file again
+    if (!file) return;
+    _closePanel();
+    replay.importRecording(file);
+  });
+
   // ── Sound toggle ─────────────────────────────────────────────────────────
   checkSound.addEventListener('change', () => {
     setSoundEnabled(checkSound.checked);
@@ -106,8 +381,114 @@ function _attachListeners(physics) {
   });
 }
 
+/**
+ * After a shape or material change, respawn straight away in sandbox mode so
+ * the change is visible; the maze picks it up when the level next (re)starts.
+ */
+function _respawnSandbox(physics, game) {
+  if (game && game.getMode() !== 'sandbox') return;
+  physics.removeAllBalls();
+  physics.createBalls(getBallCount());
+}
+
+/**
+ * After an arena change, respawn the sandbox inside the new arena (levels.js
+ * has already rebuilt the level to fit).
+ */
+function _refitSandbox(physics, replay) {
+  physics.removeAllBalls();
+  physics.createBalls(getBallCount());
+  _syncControls(replay);
+}
+
+/** Show the saved ball count, which tapping and long-pressing also change. */
+function _showBallCount() {
+  const count = getBallCount();
+  sliderBalls.value        = count;
+  displayBalls.textContent = count;
+}
+
+/** Name the input 'Automatic' settled on, once there is one. */
+function _showInput() {
+  const auto   = selectInput.querySelector('option[value="auto"]');
+  const active = INPUT_PROVIDERS.find(p => p.id === getActiveInput());
+  auto.textContent = active ? `Automatic (${active.name})` : 'Automatic';
+}
+
+/** Name the source 'Automatic' settled on, once there is one. */
+function _showGravitySource() {
+  const auto   = selectGravity.querySelector('option[value="auto"]');
+  const active = GRAVITY_SOURCES.find(s => s.id === getActiveGravitySource());
+  auto.textContent = active ? `Automatic (${active.name})` : 'Automatic';
+}
+
+/** Show the tilt response values next to their sliders. */
+function _showTilt() {
+  const smoothing = getSmoothing();
+  displaySens.textContent   = `${Math.round(getSensitivity() * 100)}%`;
+  displayDead.textContent   = `${Math.round(getDeadZone() * 100)}%`;
+  displaySmooth.textContent = smoothing > 0 ? `${smoothing} ms` : 'Off';
+  btnUncalibrate.disabled   = !isCalibrated();
+}
+
+/** Show the current scene's seed, highlighting it when pinned. */
+function _showSeed() {
+  const { seed, pinned } = getSeed();
+  inputSeed.value = String(seed);
+  inputSeed.classList.toggle('pinned', pinned);
+}
+
+/**
+ * Enable / disable controls for the current mode and session state.
+ *
+ * The game modes pick their own levels and loose balls, so the sandbox level
+ * picker, ball slider and chain mode are disabled while one is active, and
+ * the merge game also has its own ball look and drop sequence; the games
+ * fill the screen, so the arena controls go too; sessions can
+ * only be recorded and replayed in the sandbox.  During playback the replayed world must not
+ * be changed, so everything that would respawn it is disabled.  Worker mode
+ * (no `replay`) has no levels, game modes, tools or sessions at all.
+ */
+function _syncControls(replay) {
+  const worker    = !replay;
+  const game      = selectMode.value !== 'sandbox';
+  const merge     = selectMode.value === 'merge';
+  const playing   = !worker && replay.isPlaying();
+  const recording = !worker && replay.isRecording();
+  const recorded  = !worker && replay.hasRecording();
+
+  selectLevel.disabled    = worker || game || playing;
+  sliderBalls.disabled    = game || playing;
+  selectMode.disabled     = worker || playing;
+  selectShape.disabled    = merge || playing;
+  selectMaterial.disabled = merge || playing;
+  selectChain.disabled    = game || playing;
+  selectArena.disabled    = game || playing;
+  checkSafeArea.disabled  = game || playing;
+  selectFalloff.disabled  = worker;
+  inputSeed.disabled      = merge || playing;
+  btnNewSeed.disabled     = merge || playing;
+
+  btnRecord.disabled = worker || game || playing;
+  btnRecord.textContent = recording ? 'Stop' : 'Record';
+  btnRecord.classList.toggle('recording', recording);
+  btnPlay.disabled   = game || !recorded;
+  btnExport.disabled = !recorded;
+  btnImport.disabled = worker || game;
+}
+
 /** Open the settings panel and update the gear button state. */
-function _openPanel() {
+function _openPanel(replay) {
+  // The seed changes with every unpinned respawn (e.g. shake-to-reset) and
+  // the ball count with every tap-to-spawn, so refresh them each time the
+  // panel opens; a recording may also have hit its length limit while the
+  // panel was closed.
+  _showSeed();
+  _showBallCount();
+  _showInput();
+  _showGravitySource();
+  _showTilt();
+  _syncControls(replay);
   panel.classList.remove('hidden');
   btnSettings.setAttribute('aria-expanded', 'true');
 }
@@ -119,9 +500,9 @@ function _closePanel() {
 }
 
 /** Toggle the settings panel open or closed. */
-function _togglePanel() {
+function _togglePanel(replay) {
   if (panel.classList.contains('hidden')) {
-    _openPanel();
+    _openPanel(replay);
   } else {
     _closePanel();
   }
@@ -0,0 +1,132 @@
+// js/shapes.js — Body shape palette for the ball factory
+'use strict';
+
+import { buildSoftBall } from './softbody.js';
+
+const { Bodies, Body, Vertices } = Matter;
+
+/**
+ * Shapes offered in the settings panel.  'mixed' is not a shape of its own —
+ * the ball factory picks one of the rigid shapes at random for each body.
+ */
+export const BALL_SHAPES = [
+  { id: 'circle',   name: 'Circle' },
+  { id: 'mixed',    name: 'Mixed' },
+  { id: 'square',   name: 'Square' },
+  { id: 'triangle', name: 'Triangle' },
+  { id: 'hexagon',  name: 'Hexagon' },
+  { id: 'capsule',  name: 'Capsule' },
+  { id: 'star',     name: 'Star' },
+  { id: 'jelly',    name: 'Jelly' },
+];
+
+/**
+ * Concrete shape ids that 'mixed' draws from.  Jelly balls are thirteen
+ * bodies each, so they are only spawned when chosen outright.
+ */
+export const MIXABLE_SHAPES = BALL_SHAPES.map(s => s.id).filter(id => id !== 'mixed' && id !== 'jelly');
+
+/**
+ * Build a body of the given shape centred on (x, y).
+ *
+ * `radius` is the size picked by the ball factory.  Every shape is scaled so
+ * its area roughly matches a circle of that radius, which keeps mass (density
+ * × area) and the area-based pitch in sound.js comparable across shapes.
+ *
+ * Stars are concave, which Matter.js can only simulate as a compound body, so
+ * they are assembled from a pentagon core plus five triangular points.  The
+ * parts share the parent's label and render style; collision handlers should
+ * use `body.parent` to reach the moving whole.
+ *
+ * Jelly balls are not a body at all but a composite of particles and springs
+ * (see softbody.js); use ballOf() there to reach the whole from a particle.
+ *
+ * @param {string} shape    One of MIXABLE_SHAPES or 'jelly' (unknown ids build a circle).
+ * @param {number} x
+ * @param {number} y
+ * @param {number} radius   Equivalent circle radius in px.
+ * @param {object} options  Matter.js body options (label, restitution, render…).
+ * @returns {Matter.Body|Matter.Composite}
+ */
+export function buildShape(shape, x, y, radius, options) {
+  switch (shape) {
+    case 'square': {
+      // Side √π·r gives the same area as the circle.
+      const side = Math.sqrt(Math.PI) * radius;
+      return Bodies.rectangle(x, y, side, side, { ...options, chamfer: { radius: side * 0.12 } });
+    }
+
+    case 'triangle':
+      // Equilateral triangle with circumradius 1.56·r ≈ circle area.
+      return Bodies.polygon(x, y, 3, radius * 1.56, options);
+
+    case 'hexagon':
+      return Bodies.polygon(x, y, 6, radius * 1.1, options);
+
+    case 'capsule': {
+      // 2:1 stadium; chamfer of half the height rounds the short ends fully.
+      const height = radius * 1.3;
+      return Bodies.rectangle(x, y, height * 2, height, { ...options, chamfer: { radius: height / 2 } });
+    }
+
+    case 'star':
+      return _buildStar(x, y, radius * 1.46, options);
+
+    case 'jelly':
+      return buildSoftBall(x, y, radius, options);
+
+    default:
+      return Bodies.circle(x, y, radius, options);
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Private helpers
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Assemble a five-pointed star as a compound body.
+ *
+ * @param {number} x
+ * @param {number} y
+ * @param {number} outer    Distance from centre to each point.
+ * @param {object} options
+ * @returns {Matter.Body}
+ */
+function _buildStar(x, y, outer, options) {
+  const inner = outer * 0.5;
+  const outerPts = [];
+  const innerPts = [];
+
+  for (let i = 0; i < 5; i++) {
+    // Start pointing straight up; inner vertices sit halfway between points.
+    const a = -Math.PI / 2 + (i * 2 * Math.PI) / 5;
+    const b = a + Math.PI / 5;
+    outerPts.push({ x: x + Math.cos(a) * outer, y: y + Math.sin(a) * outer });
+    innerPts.push({ x: x + Math.cos(b) * inner, y: y + Math.sin(b) * inner });
+  }
+
+  const partOpts = { label: options.label, render: options.render };
+  const parts = [_convexPart(innerPts, partOpts)];
+  for (let i = 0; i < 5; i++) {
+    const prev = innerPts[(i + 4) % 5];
+    parts.push(_convexPart([prev, outerPts[i], innerPts[i]], partOpts));
+  }
+
+  // Body.create() sums the parts' mass, so apply the requested density after.
+  const { density, ...rest } = options;
+  const star = Body.create({ ...rest, parts });
+  if (density != null) Body.setDensity(star, density);
+  return star;
+}
+
+/**
+ * Build a convex part body from absolute vertices.  The points are copied
+ * because fromVertices() sorts and translates the array it is given, and the
+ * star's inner points are shared between parts.
+ */
+function _convexPart(points, options) {
+  const copy   = points.map(p => ({ x: p.x, y: p.y }));
+  const centre = Vertices.centre(copy);
+  return Bodies.fromVertices(centre.x, centre.y, [copy], options);
+}
@@ -0,0 +1,491 @@
+/**
+ * simulation.js — DOM-free simulation core
+ *
+ * Everything that decides how the balls move, with no reference to
+ * `window`, `document` or `localStorage`: the Matter.js engine, the arena
+ * walls and their anti-tunnelling guard, the flat-table friction, and the
+ * seeded ball factory.  The world size is passed in explicitly, so the same
+ * core runs behind the browser shell (physics.js, which adds the canvas, the
+ * runner and persistence) or headless in Node:
+ *
+ *   import Matter from 'matter-js';
+ *   globalThis.Matter = Matter;   // the modules expect the global, as in the browser
+ *   const { createSimulation } = await import('./js/simulation.js');
+ *
+ *   const sim = createSimulation({ width: 390, height: 844, seed: 42 });
+ *   sim.engine.gravity.x = 1;
+ *   sim.engine.gravity.z = 0.5;  // half flat: balls roll against some friction
+ *   for (let i = 0; i < 600; i++) sim.step();
+ *
+ * The tilt → gravity mapping and shake detection math live in motion.js,
+ * which is DOM-free as well.
+ */
+
+'use strict';
+
+import { buildShape, MIXABLE_SHAPES, BALL_SHAPES } from './shapes.js';
+import { materialOptions, MATERIAL_IDS, MATERIAL_CHOICES } from './materials.js';
+import { createRng, randomSeed } from './random.js';
+import { initWalls, layoutArena, ARENA_SHAPES, NO_INSET } from './walls.js';
+import { initContainment } from './containment.js';
+import { initTable } from './table.js';
+import { refitScene, REFIT_MODES } from './refit.js';
+import {
+  buildChains, chainBalls, removeChainBall, updateAnchors, CHAIN_MODES,
+} from './chains.js';
+
+const { Composite, Engine, Events } = Matter;
+
+// ── Constants ─────────────────────────────────────────────────────────────────
+
+export const DEFAULT_BALL_COUNT = 10;
+
+/** Range of the sandbox ball count — the settings slider and tap-to-spawn share it. */
+export const MIN_BALL_COUNT = 1;
+export const MAX_BALL_COUNT = 500;
+
+/** Default physics step: 120 Hz, in ms (see runner.js). */
+export const DEFAULT_STEP_MS = 1000 / 120;
+
+/**
+ * Half-width of the square around a spawn point that createBallsAt() scatters
+ * balls over, as a fraction of the shorter world side.
+ */
+const SPAWN_SPREAD = 0.04;
+
+/** Ball radius range in px; sound.js pitches collisions over the same range. */
+const MIN_RADIUS = 15;
+const MAX_RADIUS = 40;
+
+/**
+ * Ball count up to which balls keep their full size.  Beyond it radii shrink
+ * with 1/√count, so the balls cover about the same area however many there
+ * are and a few hundred still fit on screen.
+ */
+const CROWD_COUNT = 30;
+
+// ── Public API ────────────────────────────────────────────────────────────────
+
+/**
+ * Create a simulation: engine, walls around an arena in a `width` × `height`
+ * world, and an initial set of balls.
+ *
+ * The arena is the whole world unless an `arena` shape or an `inset` says
+ * otherwise (see walls.js layoutArena()); balls are spawned inside it.
+ * Whenever it is laid out afresh — resize(), setArena() — the balls are
+ * carried over into it as `refit` says (see refit.js), and the engine fires
+ * 'arenaChange' with the new `arena` so levels.js can rebuild to match.
+ * Laying out the same arena again leaves the world untouched, so a replay
+ * stays in step through resizes that end where they began.
+ *
+ * Seeding: every random choice made while spawning (position, size, shape,
+ * material, colour, chain layout) is drawn from a PRNG seeded per scene.  With `seed` given
+ * the seed is pinned and every spawn reuses it; otherwise each new scene
+ * rolls a fresh one.
+ *
+ * @param {object} options
+ * @param {number}  options.width
+ * @param {number}  options.height
+ * @param {number}  [options.ballCount=10]  Balls created straight away (0 for none).
+ * @param {number|null} [options.seed]      Pin the scene seed.
+ * @param {string}  [options.shape='circle']  A BALL_SHAPES id.
+ * @param {string}  [options.material='mixed'] A MATERIAL_CHOICES id.
+ * @param {string}  [options.chain='free']   A CHAIN_MODES id.
+ * @param {string}  [options.arena='rect']   An ARENA_SHAPES id.
+ * @param {{ top: number, right: number, bottom: number, left: number }} [options.inset]
+ *   How far the arena is inset from each world edge, in px.
+ * @param {{ mode?: string, radii?: boolean }} [options.refit]
+ *   A REFIT_MODES id (default 'stretch') and whether ball radii follow the
+ *   arena's size (default false).
+ * @param {number}  [options.step]          Default step for step(), in ms.
+ * @returns {{
+ *   engine:           Matter.Engine,
+ *   walls:            { update: () => void },
+ *   stepMs:           number,
+ *   step:             (ms?: number) => void,
+ *   getSize:          () => { width: number, height: number },
+ *   resize:           (width: number, height: number, shape?: string, inset?: { top: number, right: number, bottom: number, left: number }) => void,
+ *   getArena:         () => Arena,
+ *   setArena:         (shape: string, inset?: { top: number, right: number, bottom: number, left: number }) => void,
+ *   setRefit:         (refit: { mode?: string, radii?: boolean }) => void,
+ *   getRefit:         () => { mode: string, radii: boolean },
+ *   getBalls:         () => Array<Matter.Body|Matter.Composite>,
+ *   createBalls:      (count: number, scene?: SceneOptions) => Array<Matter.Body|Matter.Composite>,
+ *   createBallsAt:    (count: number, x: number, y: number, scene?: SceneOptions) => Matter.Body[],
+ *   resetBalls:       (count: number, scene?: SceneOptions) => Array<Matter.Body|Matter.Composite>,
+ *   removeAllBalls:   () => void,
+ *   addBall:          (x: number, y: number) => Matter.Body,
+ *   removeBall:       (ball: Matter.Body|Matter.Composite) => void,
+ *   setShape:         (shape: string) => void,
+ *   getShape:         () => string,
+ *   setMaterial:      (material: string) => void,
+ *   getMaterial:      () => string,
+ *   setChainMode:     (mode: string) => void,
+ *   getChainMode:     () => string,
+ *   setSeed:          (seed: number|null) => void,
+ *   getSeed:          () => { seed: number, pinned: boolean },
+ *   setSpawnListener: (fn: ((event: SpawnEvent) => void)|null) => void,
+ *   getEscapes:       () => { swept: number, contained: number },
+ * }}
+ *
+ * getEscapes() counts the balls containment.js has had to rescue so far.
+ *
+ * The spawn functions take an optional `scene` of { seed, shape, material,
+ * chain } overriding the pinned/rolled seed and the chosen shape, material
+ * and chain mode for that one spawn — replay.js uses it to rebuild a recorded
+ * scene exactly.
+ */
+export function createSimulation({
+  width,
+  height,
+  ballCount = DEFAULT_BALL_COUNT,
+  seed      = null,
+  shape     = 'circle',
+  material  = 'mixed',
+  chain     = 'free',
+  arena     = 'rect',
+  inset     = NO_INSET,
+  refit     = {},
+  step      = DEFAULT_STEP_MS,
+}) {
+  let size   = { width, height };
+  let layout = layoutArena(arena, size, inset);
+
+  let seedPinned = seed !== null;
+  let sceneSeed  = seedPinned ? seed >>> 0 : randomSeed();
+  let random     = createRng(sceneSeed);
+
+  let spawnListener = null;
+  let refitOptions  = { mode: 'stretch', radii: false };
+
+  // ── Engine ──────────────────────────────────────────────────────────────
+  const engine = Engine.create();
+  // Default downward gravity; input modules (gyroscope.js, mouse.js) override
+  // it in real time.  z is the part through the screen (see table.js).
+  engine.gravity.x = 0;
+  engine.gravity.y = 1;
+  engine.gravity.z = 0;
+
+  // ── Walls ───────────────────────────────────────────────────────────────
+  const walls = initWalls(engine, () => layout);
+
+  // Catches balls that move fast enough to pass through a wall or obstacle
+  // in one step, and puts back any that end up outside the arena.
+  const containment = initContainment(engine, () => layout);
+
+  // Slows the balls down the flatter the device lies.
+  initTable(engine);
+
+  // ── Ball factory ────────────────────────────────────────────────────────
+
+  /**
+   * Create `count` balls near the top-centre of the arena so they have room
+   * to fall and bounce — or, in a chain mode, tied into chains laid out by
+   * chains.js (the chain composites are returned instead).
+   */
+  function createBalls(count, overrides) {
+    const scene = _beginScene(overrides);
+    const { x: bx, y: by, width: w, height: h } = layout.box;
+    if (scene.chain !== 'free') return _addChains(count, 'create', scene);
+    const bodies = [];
+
+    for (let i = 0; i < count; i++) {
+      // Scatter balls across the centre-60 % horizontally and top-40 % vertically
+      // so they drop naturally into the play area without bunching at one edge.
+      const x = _rand(bx + w * 0.20, bx + w * 0.80);
+      const y = _rand(by + h * 0.05, by + h * 0.40);
+      bodies.push(_makeBall(x, y, scene, count));
+    }
+
+    Composite.add(engine.world, bodies);
+    _notifySpawn({ kind: 'create', count, ...scene });
+    return bodies;
+  }
+
+  /**
+   * Create `count` balls clustered near the arena centre.
+   * Used by the shake-to-reset feature so balls reappear at the midpoint
+   * regardless of device orientation, giving the user a clean start.  In a
+   * chain mode the chains are laid out as by createBalls().
+   */
+  function resetBalls(count, overrides) {
+    const scene = _beginScene(overrides);
+    const { x: bx, y: by, width: w, height: h } = layout.box;
+    if (scene.chain !== 'free') return _addChains(count, 'reset', scene);
+    const bodies = [];
+
+    for (let i = 0; i < count; i++) {
+      // Cluster balls within the central 30 % of the arena width/height
+      // so they all appear near the midpoint after a reset.
+      const x = _rand(bx + w * 0.35, bx + w * 0.65);
+      const y = _rand(by + h * 0.35, by + h * 0.65);
+      bodies.push(_makeBall(x, y, scene, count));
+    }
+
+    Composite.add(engine.world, bodies);
+    _notifySpawn({ kind: 'reset', count, ...scene });
+    return bodies;
+  }
+
+  /**
+   * Create `count` balls in a tight cluster around (x, y).
+   * Used by the tilt-maze game mode to place balls on a level's start point;
+   * the balls are always loose, whatever the chain mode.
+   */
+  function createBallsAt(count, x, y, overrides) {
+    const scene  = _beginScene(overrides);
+    const spread = SPAWN_SPREAD * Math.min(size.width, size.height);
+    const bodies = [];
+
+    for (let i = 0; i < count; i++) {
+      bodies.push(_makeBall(_rand(x - spread, x + spread), _rand(y - spread, y + spread), scene, count));
+    }
+
+    Composite.add(engine.world, bodies);
+    _notifySpawn({ kind: 'createAt', count, x, y, ...scene });
+    return bodies;
+  }
+
+  /**
+   * Remove every ball — rigid bodies, jelly composites and whole chains, with
+   * their constraints and rope links — from the world.
+   */
+  function removeAllBalls() {
+    Composite.remove(engine.world, [...getBalls().filter(b => !b.chain), ..._getChains()]);
+    _notifySpawn({ kind: 'removeAll' });
+  }
+
+  /**
+   * Every ball in the world, one entry per ball: bodies labelled 'ball' plus
+   * jelly balls, which are composites labelled 'ball' (see softbody.js), loose
+   * or threaded on a chain (see chains.js).
+   */
+  function getBalls() {
+    return [
+      ...engine.world.bodies.filter(b => b.label === 'ball'),
+      ...engine.world.composites.filter(c => c.label === 'ball'),
+      ..._getChains().flatMap(chainBalls),
+    ];
+  }
+
+  function _getChains() {
+    return engine.world.composites.filter(c => c.label === 'chain');
+  }
+
+  /**
+   * Add a single, loose ball centred on (x, y) in the current shape and material.
+   * Unlike the spawn functions above this does not start a new scene: the
+   * ball's size and look continue the current scene's random stream, and the
+   * rest of the world is left alone.  It is sized for the crowd it joins.
+   * Used by tap-to-spawn (grab.js).
+   */
+  function addBall(x, y) {
+    const ball = _makeBall(x, y, { shape, material }, getBalls().length + 1);
+    Composite.add(engine.world, ball);
+    return ball;
+  }
+
+  /**
+   * Remove one ball (a body or a jelly composite), leaving the others where
+   * they are.  A chained ball is cut out of its chain with its constraints.
+   */
+  function removeBall(ball) {
+    if (ball.chain) removeChainBall(engine.world, ball);
+    else Composite.remove(engine.world, ball);
+  }
+
+  /**
+   * Build `count` balls, tie them into chains of the scene's chain mode and
+   * add the chains to the world.  The balls are built first and then moved
+   * into place, so a chain can be laid out around their sizes.
+   */
+  function _addChains(count, kind, scene) {
+    const balls = [];
+    for (let i = 0; i < count; i++) balls.push(_makeBall(0, 0, scene, count));
+    const chains = buildChains(scene.chain, balls, layout, _rand);
+
+    Composite.add(engine.world, chains);
+    _notifySpawn({ kind, count, ...scene });
+    return chains;
+  }
+
+  /**
+   * Build a single ball at (x, y) in the scene's shape and material.
+   * Every body is labelled 'ball' whatever its shape so removal, sound and
+   * haptics treat them all alike — jelly balls label their particles and
+   * their composite.
+   *
+   * Only the size is random — radius 15–40 px for visual variety and different
+   * rolling dynamics (non-circles are scaled to the same area), shrunk when
+   * `count` balls are more than CROWD_COUNT.  Restitution,
+   * friction, air drag, density and colour palette all come from the material
+   * preset (see materials.js), so a given material always behaves the same.
+   */
+  function _makeBall(x, y, scene, count) {
+    const radius = _rand(MIN_RADIUS, MAX_RADIUS) * Math.min(1, Math.sqrt(CROWD_COUNT / count));
+    const kind   = scene.shape === 'mixed' ? _pick(MIXABLE_SHAPES) : scene.shape;
+    const mat    = scene.material === 'mixed' ? _pick(MATERIAL_IDS) : scene.material;
+
+    return buildShape(kind, x, y, radius, {
+      label: 'ball',
+      ...materialOptions(mat, random),
+    });
+  }
+
+  /**
+   * Start spawning a new scene: roll a fresh seed unless one is pinned (or
+   * given), then reseed the PRNG so the scene depends only on the seed and
+   * ball count.
+   */
+  function _beginScene(overrides = {}) {
+    if (overrides.seed != null) {
+      sceneSeed = overrides.seed >>> 0;
+    } else if (!seedPinned) {
+      sceneSeed = randomSeed();
+    }
+    random = createRng(sceneSeed);
+    return {
+      seed:     sceneSeed,
+      shape:    overrides.shape    ?? shape,
+      material: overrides.material ?? material,
+      chain:    overrides.chain    ?? chain,
+    };
+  }
+
+  /**
+   * Tell the spawn listener (if any) what just happened to the balls:
+   * { kind: 'create'|'reset'|'createAt'|'removeAll', count, x, y, seed,
+   *   shape, material, chain }, fields present as they apply.
+   */
+  function _notifySpawn(event) {
+    if (spawnListener) spawnListener(event);
+  }
+
+  /**
+   * Lay the arena out afresh in a `w` × `h` world, move the walls and chain
+   * anchors to it and carry the balls over.  Does nothing when that is the
+   * arena already laid out: rebuilding the walls and the level would still
+   * change how the balls move.
+   */
+  function _relayout(w, h, id, edges) {
+    if (w === size.width && h === size.height && id === layout.shape &&
+        ['top', 'right', 'bottom', 'left'].every(side => edges[side] === layout.inset[side])) return;
+
+    const previous = layout;
+    size   = { width: w, height: h };
+    layout = layoutArena(id, size, edges);
+    walls.update();
+    updateAnchors(engine.world, layout);
+    refitScene(engine.world, previous, layout, refitOptions);
+    Events.trigger(engine, 'arenaChange', { arena: layout });
+  }
+
+  /** `id` if it is an ARENA_SHAPES id, else 'rect'. */
+  function _arenaId(id) {
+    return ARENA_SHAPES.some(s => s.id === id) ? id : 'rect';
+  }
+
+  /** Return a seeded random float in [min, max). */
+  function _rand(min, max) {
+    return random() * (max - min) + min;
+  }
+
+  /** Return a seeded random element of `list`. */
+  function _pick(list) {
+    return list[Math.floor(random() * list.length)];
+  }
+
+  const sim = {
+    engine,
+    walls,
+    stepMs: step,
+
+    /** Advance the engine by one step (`ms`, default `stepMs`). */
+    step(ms = sim.stepMs) {
+      Engine.update(engine, ms);
+    },
+
+    getSize: () => ({ width: size.width, height: size.height }),
+
+    /**
+     * Change the world size, rebuild the walls around it and refit the balls.
+     * A new arena `shape` and `inset` may come along, for one relayout
+     * rather than two; by default the arena keeps both.
+     */
+    resize(w, h, id = layout.shape, edges = layout.inset) {
+      _relayout(w, h, _arenaId(id), edges);
+    },
+
+    /** The arena as laid out now: outline, inner box and more (see walls.js). */
+    getArena: () => layout,
+
+    /**
+     * Reshape the arena — an ARENA_SHAPES id, unknown ids falling back to
+     * 'rect', and an optional inset from the world edges — and rebuild the
+     * walls around it.  Balls already outside are brought back in by the
+     * arena guard.
+     */
+    setArena(id, edges = NO_INSET) {
+      _relayout(size.width, size.height, _arenaId(id), edges);
+    },
+
+    getBalls,
+    createBalls,
+    createBallsAt,
+    resetBalls,
+    removeAllBalls,
+    addBall,
+    removeBall,
+
+    /** Shape for balls created from now on; unknown ids fall back to 'circle'. */
+    setShape(id) {
+      shape = BALL_SHAPES.some(s => s.id === id) ? id : 'circle';
+    },
+    getShape: () => shape,
+
+    /** Material for balls created from now on; unknown ids fall back to 'mixed'. */
+    setMaterial(id) {
+      material = MATERIAL_CHOICES.some(m => m.id === id) ? id : 'mixed';
+    },
+    getMaterial: () => material,
+
+    /** Chain mode for sandbox spawns from now on; unknown ids fall back to 'free'. */
+    setChainMode(id) {
+      chain = CHAIN_MODES.some(c => c.id === id) ? id : 'free';
+    },
+    getChainMode: () => chain,
+
+    /** Pin the scene seed, or pass null to roll a fresh one per scene. */
+    setSeed(value) {
+      seedPinned = value !== null;
+      if (seedPinned) sceneSeed = value >>> 0;
+    },
+    getSeed: () => ({ seed: sceneSeed, pinned: seedPinned }),
+
+    setSpawnListener(fn) {
+      spawnListener = fn;
+    },
+
+    /**
+     * How balls are carried over when the arena changes: a REFIT_MODES id
+     * (unknown ids fall back to 'stretch') and whether radii follow.
+     */
+    setRefit({ mode = refitOptions.mode, radii = refitOptions.radii } = {}) {
+      refitOptions = {
+        mode:  REFIT_MODES.some(m => m.id === mode) ? mode : 'stretch',
+        radii: Boolean(radii),
+      };
+    },
+    getRefit: () => ({ ...refitOptions }),
+
+    getEscapes: containment.getEscapes,
+  };
+
+  sim.setShape(shape);
+  sim.setMaterial(material);
+  sim.setChainMode(chain);
+  sim.setRefit(refit);
+  if (ballCount > 0) createBalls(ballCount);
+
+  return sim;
+}
@@ -0,0 +1,221 @@
+// js/softbody.js — Soft "jelly" balls: a ring of particles held by springs
+'use strict';
+
+const { Bodies, Body, Composite, Constraint } = Matter;
+
+// ── Constants ─────────────────────────────────────────────────────────────────
+
+/** Particles around the rim of each jelly ball. */
+const RIM_PARTICLES = 12;
+
+/** Centre particle radius as a fraction of the ball radius. */
+const CORE_RADIUS = 0.4;
+
+/** Links between neighbouring rim particles — keep the skin from stretching. */
+const RIM_STIFFNESS = 0.6;
+
+/** Links skipping one rim particle — resist the skin folding in on itself. */
+const BEND_STIFFNESS = 0.2;
+
+/** Spokes from the core to the rim — low, so the ball squashes and wobbles. */
+const SPOKE_STIFFNESS = 0.12;
+const SPOKE_DAMPING   = 0.05;
+
+// ── Public API ────────────────────────────────────────────────────────────────
+
+/**
+ * Build a jelly ball centred on (x, y): RIM_PARTICLES small circles in a ring
+ * around a centre particle, tied together by constraints, as one composite.
+ *
+ * Every particle carries the ball's label ('ball'), so sound.js, vibration.js
+ * and the maze holes treat a jelly ball exactly like a rigid one, and a
+ * `softBody` back-reference to the composite (see ballOf()).  The composite
+ * carries the label too, so removeAllBalls() and removeBall() take the whole
+ * thing, constraints included.  The rim particles share a negative collision
+ * group so the skin slides over itself freely; only the core bumps into its
+ * own rim.  No particle is drawn — drawSoftBalls() fills the outline instead.
+ *
+ * Material options (restitution, friction, density…) apply to each particle;
+ * `render` styles the outline.
+ *
+ * @param {number} x
+ * @param {number} y
+ * @param {number} radius   Outer radius in px.
+ * @param {object} options  Matter.js body options (label, restitution, render…).
+ * @returns {Matter.Composite}
+ */
+export function buildSoftBall(x, y, radius, options) {
+  const { render, ...bodyOptions } = options;
+  const partOptions = {
+    ...bodyOptions,
+    collisionFilter: { group: Body.nextGroup(true) },
+    render:          { visible: false },
+  };
+
+  // Rim particles of radius p sit at R - p from the centre, just touching
+  // their neighbours: p = (R - p)·sin(π/n).
+  const s     = Math.sin(Math.PI / RIM_PARTICLES);
+  const partR = (radius * s) / (1 + s);
+  const ringR = radius - partR;
+
+  // The core is left out of the rim's group so it collides with the rim
+  // particles: squash the ball hard and the rim still cannot fold over it.
+  const core = Bodies.circle(x, y, radius * CORE_RADIUS, { ...partOptions, collisionFilter: {} });
+  const rim  = [];
+  for (let i = 0; i < RIM_PARTICLES; i++) {
+    const a = (i * 2 * Math.PI) / RIM_PARTICLES;
+    rim.push(Bodies.circle(x + Math.cos(a) * ringR, y + Math.sin(a) * ringR, partR, partOptions));
+  }
+
+  const constraints = [];
+  for (let i = 0; i < RIM_PARTICLES; i++) {
+    constraints.push(
+      _link(rim[i], rim[(i + 1) % RIM_PARTICLES], RIM_STIFFNESS, 0),
+      _link(rim[i], rim[(i + 2) % RIM_PARTICLES], BEND_STIFFNESS, 0),
+      _link(core, rim[i], SPOKE_STIFFNESS, SPOKE_DAMPING),
+    );
+  }
+
+  const ball = Composite.create({ label: options.label, bodies: [core, ...rim], constraints });
+  ball.softRadius = radius;
+  ball.softRim    = rim;
+  ball.softRender = render ?? {};
+  ball.softMass   = core.mass + rim.reduce((sum, p) => sum + p.mass, 0);
+  for (const part of ball.bodies) part.softBody = ball;
+  return ball;
+}
+
+/**
+ * The whole ball a body belongs to: the jelly composite for one of its
+ * particles, otherwise the body itself.  Use it before removing, moving or
+ * counting a ball found through a collision or a pointer hit.
+ *
+ * @param {Matter.Body} body
+ * @returns {Matter.Body|Matter.Composite}
+ */
+export function ballOf(body) {
+  return body.softBody ?? body;
+}
+
+/**
+ * Mass of the whole ball a body belongs to — for jelly particles the sum over
+ * the ball, so an impulse moves a jelly ball like a rigid one of its weight.
+ *
+ * @param {Matter.Body} body
+ * @returns {number}
+ */
+export function ballMass(body) {
+  return body.softBody ? body.softBody.softMass : body.mass;
+}
+
+/**
+ * Move a whole ball (rigid or jelly) so its centre is at `point`, at rest.
+ *
+ * @param {Matter.Body|Matter.Composite} ball
+ * @param {{ x: number, y: number }} point
+ */
+export function placeBall(ball, point) {
+  if (ball.type !== 'composite') {
+    Body.setPosition(ball, point);
+    Body.setVelocity(ball, { x: 0, y: 0 });
+    return;
+  }
+  const centre = ball.bodies[0].position;
+  Composite.translate(ball, { x: point.x - centre.x, y: point.y - centre.y });
+  for (const part of ball.bodies) Body.setVelocity(part, { x: 0, y: 0 });
+}
+
+/**
+ * Grow or shrink a whole ball (rigid or jelly) about its centre by `factor`,
+ * keeping its speed.  A jelly ball's particles, springs and mass all follow,
+ * so it keeps its squash and weight for its new size.
+ *
+ * @param {Matter.Body|Matter.Composite} ball
+ * @param {number} factor
+ */
+export function scaleBall(ball, factor) {
+  if (ball.type !== 'composite') {
+    Body.scale(ball, factor, factor);
+    return;
+  }
+  const centre = { ...ball.bodies[0].position };
+  for (const part of ball.bodies) {
+    Body.setPosition(part, {
+      x: centre.x + (part.position.x - centre.x) * factor,
+      y: centre.y + (part.position.y - centre.y) * factor,
+    });
+    Body.scale(part, factor, factor);
+  }
+  for (const c of ball.constraints) c.length *= factor;
+  ball.softRadius *= factor;
+  ball.softMass    = ball.bodies.reduce((sum, p) => sum + p.mass, 0);
+}
+
+/**
+ * Draw every jelly ball in `world` as one smooth filled outline through its
+ * rim.  Call from the renderer's 'afterRender' event, when the context is in
+ * screen pixels; world points go through render.bounds.
+ *
+ * @param {Matter.Render} render
+ * @param {Matter.World} world
+ */
+export function drawSoftBalls(render, world) {
+  const balls = Composite.allComposites(world).filter(c => c.softRim);
+  if (balls.length === 0) return;
+
+  const ctx   = render.context;
+  const scale = render.options.width / (render.bounds.max.x - render.bounds.min.x);
+
+  ctx.save();
+  for (const ball of balls) {
+    const centre = ball.bodies[0].position;
+    // Outline points: each rim particle pushed out to its outer edge.
+    const pts = ball.softRim.map((p) => {
+      const dx = p.position.x - centre.x;
+      const dy = p.position.y - centre.y;
+      const d  = Math.hypot(dx, dy) || 1;
+      const r  = p.circleRadius;
+      return {
+        x: (p.position.x + (dx / d) * r - render.bounds.min.x) * scale,
+        y: (p.position.y + (dy / d) * r - render.bounds.min.y) * scale,
+      };
+    });
+
+    // Quadratic curves through the midpoints, with the points as control
+    // points, give a smooth closed outline.
+    const n = pts.length;
+    const mid = (a, b) => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 });
+    const start = mid(pts[n - 1], pts[0]);
+    ctx.beginPath();
+    ctx.moveTo(start.x, start.y);
+    for (let i = 0; i < n; i++) {
+      const m = mid(pts[i], pts[(i + 1) % n]);
+      ctx.quadraticCurveTo(pts[i].x, pts[i].y, m.x, m.y);
+    }
+    ctx.closePath();
+
+    const style = ball.softRender;
+    ctx.globalAlpha = style.opacity ?? 1;
+    ctx.fillStyle   = style.fillStyle ?? '#4f8ef7';
+    ctx.fill();
+    if (style.lineWidth > 0 && style.strokeStyle) {
+      ctx.strokeStyle = style.strokeStyle;
+      ctx.lineWidth   = style.lineWidth * scale;
+      ctx.stroke();
+    }
+  }
+  ctx.restore();
+}
+
+// ── Private helpers ───────────────────────────────────────────────────────────
+
+/** An invisible spring holding `a` and `b` at their current distance. */
+function _link(a, b, stiffness, damping) {
+  return Constraint.create({
+    bodyA:  a,
+    bodyB:  b,
+    stiffness,
+    damping,
+    render: { visible: false },
+  });
+}
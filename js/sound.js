@@ -1,17 +1,23 @@
 // js/sound.js — Web Audio API collision & countdown sounds (TASK-007)
 'use strict';
 
+import { ballOf } from './softbody.js';
+
 // ── Constants ─────────────────────────────────────────────────────────────────
 
-/** Minimum relative speed (px/tick) below which no sound is emitted. */
+/**
+ * Minimum relative speed below which no sound is emitted, in px per 60 Hz
+ * tick (Body.getVelocity), so thresholds hold at any physics step size.
+ */
 const MIN_SPEED = 1.0;
 
 /** Speed at which volume reaches 1.0 (clamps above this). */
 const MAX_SPEED = 20;
 
 /**
- * Ball radius range (must match the range in physics.js).
+ * Ball radius range (must match the range in simulation.js).
  * Used to derive the frequency scale: smaller balls → higher pitch.
+ * Non-circular bodies are measured by the radius of a circle of equal area.
  */
 const MIN_RADIUS = 15;
 const MAX_RADIUS = 40;
@@ -22,6 +28,51 @@ const MAX_RADIUS = 40;
  */
 const COOLDOWN_MS = 80;
 
+/**
+ * Collision timbre per ball material (ids match materials.js).
+ * Each material has a `wall` sound (ball hitting a wall or obstacle) and a
+ * `ball` sound (ball hitting ball).  Fields:
+ *   type     oscillator waveform
+ *   from/to  pitch sweep in Hz before the radius-based freqScale is applied
+ *   sweep    seconds taken to sweep from → to
+ *   decay    seconds until the envelope has died away
+ *   gain     peak gain at full impact volume
+ *   partial  optional inharmonic overtone ratio, ringing at 40 % gain — gives
+ *            metal and glass their bell-like quality
+ */
+const TIMBRES = {
+  // Soft sine thud off walls, triangle click between balls.
+  rubber: {
+    wall: { type: 'sine',     from: 90,   to: 45,   sweep: 0.12, decay: 0.18, gain: 0.50 },
+    ball: { type: 'triangle', from: 320,  to: 160,  sweep: 0.06, decay: 0.10, gain: 0.35 },
+  },
+  // Bright clang that rings on.
+  steel: {
+    wall: { type: 'square',   from: 420,  to: 380,  sweep: 0.30, decay: 0.35, gain: 0.14, partial: 2.76 },
+    ball: { type: 'square',   from: 900,  to: 850,  sweep: 0.20, decay: 0.25, gain: 0.12, partial: 2.76 },
+  },
+  // Short hollow knock.
+  wood: {
+    wall: { type: 'triangle', from: 220,  to: 140,  sweep: 0.04, decay: 0.08, gain: 0.50 },
+    ball: { type: 'triangle', from: 500,  to: 300,  sweep: 0.03, decay: 0.06, gain: 0.40 },
+  },
+  // Crisp, high tick.
+  ice: {
+    wall: { type: 'triangle', from: 1400, to: 900,  sweep: 0.03, decay: 0.07, gain: 0.25 },
+    ball: { type: 'sine',     from: 2200, to: 1600, sweep: 0.03, decay: 0.06, gain: 0.22 },
+  },
+  // Muffled puff — foam barely makes a sound.
+  foam: {
+    wall: { type: 'sine',     from: 70,   to: 50,   sweep: 0.08, decay: 0.12, gain: 0.25 },
+    ball: { type: 'sine',     from: 160,  to: 110,  sweep: 0.05, decay: 0.08, gain: 0.18 },
+  },
+  // Clear ringing ting.
+  glass: {
+    wall: { type: 'sine',     from: 1800, to: 1760, sweep: 0.40, decay: 0.50, gain: 0.22, partial: 2.32 },
+    ball: { type: 'sine',     from: 2600, to: 2550, sweep: 0.40, decay: 0.45, gain: 0.20, partial: 2.32 },
+  },
+};
+
 // ── Module state ──────────────────────────────────────────────────────────────
 
 /** Lazy-created AudioContext — created on first collision or beep request. */
@@ -34,6 +85,12 @@ let _ctx = null;
  */
 let _enabled = _readEnabled();
 
+/**
+ * Temporary mute that is not persisted — set by replay.js while it fast-
+ * forwards a recording, so skipping ahead does not fire every collision at once.
+ */
+let _muted = false;
+
 /**
  * Per-pair cooldown map.
  * Keys are `${minId}_${maxId}` (body ID pair, sorted), values are
@@ -52,9 +109,20 @@ const _cooldowns = new Map();
  *
  *   sound.setSoundEnabled(false)  — disable all sounds
  *   sound.playCountdownBeep(1)    — play the "1" countdown beep
+ *   sound.playGoalSound()         — play the ball-sunk chime (game.js)
+ *   sound.playBlastSound()        — play the blast-tool boom (tools.js)
+ *   sound.playFieldSound('attract') — play the magnet on/off swell (tools.js)
+ *   sound.playMergeSound(radius)  — play the merge pop (merge.js)
  *
  * @param {Matter.Engine} engine  The active Matter.js engine.
- * @returns {{ playCountdownBeep: (step: number) => void, setSoundEnabled: (on: boolean) => void }}
+ * @returns {{
+ *   playCountdownBeep: (step: number) => void,
+ *   playGoalSound:     () => void,
+ *   playBlastSound:    () => void,
+ *   playFieldSound:    (kind: 'attract'|'repel') => void,
+ *   playMergeSound:    (radius: number) => void,
+ *   setSoundEnabled:   (on: boolean) => void,
+ * }}
  */
 export function initSound(engine) {
   const { Events } = Matter;
@@ -66,6 +134,10 @@ export function initSound(engine) {
 
   return {
     playCountdownBeep,
+    playGoalSound,
+    playBlastSound,
+    playFieldSound,
+    playMergeSound,
     setSoundEnabled,
   };
 }
@@ -81,6 +153,15 @@ export function setSoundEnabled(on) {
   localStorage.setItem('gyroballs_sound', _enabled ? '1' : '0');
 }
 
+/**
+ * Silence collision sounds without touching the saved preference.
+ *
+ * @param {boolean} on  True to mute.
+ */
+export function setSoundMuted(on) {
+  _muted = Boolean(on);
+}
+
 /**
  * Play a short ascending beep for the shake-to-reset countdown (TASK-010).
  *
@@ -120,48 +201,126 @@ export function playCountdownBeep(step) {
   osc.stop(now + 0.28);
 }
 
+/**
+ * Play a bright two-note chime when a ball drops into the goal hole in the
+ * tilt-maze game mode: E5 → A5, a rising fourth that reads as "success".
+ */
+export function playGoalSound() {
+  if (!_enabled) return;
+  const ctx = _getContext();
+  if (!ctx) return;
+
+  const now = ctx.currentTime;
+
+  [[659, 0], [880, 0.09]].forEach(([freq, offset]) => {
+    const osc  = ctx.createOscillator();
+    const gain = ctx.createGain();
+    osc.connect(gain);
+    gain.connect(ctx.destination);
+
+    osc.type = 'sine';
+    osc.frequency.setValueAtTime(freq, now + offset);
+
+    gain.gain.setValueAtTime(0, now + offset);
+    gain.gain.linearRampToValueAtTime(0.4, now + offset + 0.01);     // attack
+    gain.gain.exponentialRampToValueAtTime(0.001, now + offset + 0.3); // release
+
+    osc.start(now + offset);
+    osc.stop(now + offset + 0.3);
+  });
+}
+
+/**
+ * Play a low boom for the blast tool: a sine dropping from 160 Hz to 40 Hz
+ * over a long decay, with a short square-wave crack on top for the attack.
+ */
+export function playBlastSound() {
+  if (!_enabled || _muted) return;
+  _playImpact({ type: 'sine',   from: 160, to: 40,  sweep: 0.30, decay: 0.45, gain: 0.70 }, 1, 1);
+  _playImpact({ type: 'square', from: 600, to: 120, sweep: 0.04, decay: 0.06, gain: 0.12 }, 1, 1);
+}
+
+/**
+ * Play a short swell when an attractor or repulsor is switched on: rising
+ * for 'attract' (things gather in), falling for 'repel' (things fly out).
+ *
+ * @param {'attract'|'repel'} kind
+ */
+export function playFieldSound(kind) {
+  if (!_enabled || _muted) return;
+  const [from, to] = kind === 'repel' ? [520, 260] : [260, 520];
+  _playImpact({ type: 'triangle', from, to, sweep: 0.15, decay: 0.22, gain: 0.30 }, 1, 1);
+}
+
+/**
+ * Play a bubbly upward pop when two balls merge into one of `radius` px
+ * (merge.js).  Pitched with the same radius mapping as collisions, so merging
+ * into a bigger ball sounds deeper.
+ *
+ * @param {number} radius
+ */
+export function playMergeSound(radius) {
+  if (!_enabled || _muted) return;
+  _playImpact(
+    { type: 'sine', from: 520, to: 1040, sweep: 0.08, decay: 0.22, gain: 0.45 },
+    1,
+    _radiusToFreqScale(radius),
+  );
+}
+
 // ── Private helpers ───────────────────────────────────────────────────────────
 
 /**
  * Matter.js 'collisionStart' handler.
  * Classifies each colliding pair as ball-wall or ball-ball, throttles by
- * per-pair cooldown, and dispatches the appropriate synthesised sound.
+ * per-pair cooldown, and plays the timbre of the ball's material.
  *
  * @param {{ pairs: Matter.Collision[] }} event
  */
 function _onCollision(event) {
-  if (!_enabled) return;
+  if (!_enabled || _muted) return;
 
+  const { Body } = Matter;
   const now = performance.now();
 
   for (const pair of event.pairs) {
-    const { bodyA, bodyB } = pair;
+    // Compound bodies (e.g. stars) collide through their parts; the parent
+    // carries the velocity and area.  For simple bodies parent === body.
+    const bodyA = pair.bodyA.parent;
+    const bodyB = pair.bodyB.parent;
 
     // ── Classify the collision pair ───────────────────────────────────────────
     const aIsBall = bodyA.label === 'ball';
     const bIsBall = bodyB.label === 'ball';
-    const aIsWall = bodyA.label.startsWith('wall-');
-    const bIsWall = bodyB.label.startsWith('wall-');
+    const aIsWall = _isSurface(bodyA);
+    const bIsWall = _isSurface(bodyB);
 
     let speed      = 0;
     let isBallBall = false;
+    let material   = 'rubber';
 
     let freqScale = 1;
 
     if (aIsBall && bIsBall) {
+      if (ballOf(bodyA) === ballOf(bodyB)) continue; // a jelly ball's core against its rim
       // Ball-to-ball: relative speed between the two moving bodies
-      const dvx = bodyA.velocity.x - bodyB.velocity.x;
-      const dvy = bodyA.velocity.y - bodyB.velocity.y;
+      const va  = Body.getVelocity(bodyA);
+      const vb  = Body.getVelocity(bodyB);
+      const dvx = va.x - vb.x;
+      const dvy = va.y - vb.y;
       speed      = Math.sqrt(dvx * dvx + dvy * dvy);
       isBallBall = true;
       // Geometric mean radius gives a pitch between the two colliding balls
-      const meanRadius = Math.sqrt(bodyA.circleRadius * bodyB.circleRadius);
+      const meanRadius = Math.sqrt(_sizeOf(bodyA) * _sizeOf(bodyB));
       freqScale = _radiusToFreqScale(meanRadius);
+      // The denser body dominates the sound (steel on foam clangs, not puffs)
+      material = (bodyA.density >= bodyB.density ? bodyA : bodyB).material ?? material;
     } else if ((aIsBall && bIsWall) || (bIsBall && aIsWall)) {
       // Ball-to-wall: the ball's own speed at impact
       const ball = aIsBall ? bodyA : bodyB;
-      speed = Math.sqrt(ball.velocity.x ** 2 + ball.velocity.y ** 2);
-      freqScale = _radiusToFreqScale(ball.circleRadius);
+      speed = Body.getSpeed(ball);
+      freqScale = _radiusToFreqScale(_sizeOf(ball));
+      material  = ball.material ?? material;
     } else {
       continue; // ignore all other collision types
     }
@@ -169,83 +328,61 @@ function _onCollision(event) {
     if (speed < MIN_SPEED) continue;
 
     // ── Per-pair cooldown ─────────────────────────────────────────────────────
-    const key = _pairKey(bodyA.id, bodyB.id);
+    // Keyed by whole ball, so a jelly ball landing on several particles at
+    // once plays one sound.
+    const key = _pairKey(ballOf(bodyA).id, ballOf(bodyB).id);
     const lastPlayed = _cooldowns.get(key) ?? 0;
     if (now - lastPlayed < COOLDOWN_MS) continue;
     _cooldowns.set(key, now);
 
     // ── Emit the appropriate sound ────────────────────────────────────────────
-    const volume = _speedToVolume(speed);
-    if (isBallBall) {
-      _playBallCollision(volume, freqScale);
-    } else {
-      _playWallCollision(volume, freqScale);
-    }
+    const volume  = _speedToVolume(speed);
+    const timbres = TIMBRES[material] ?? TIMBRES.rubber;
+    _playImpact(isBallBall ? timbres.ball : timbres.wall, volume, freqScale);
   }
 }
 
 /**
- * Synthesise a soft low-frequency thud for wall impacts.
+ * Synthesise one collision sound from a TIMBRES entry.
  *
- * A sine wave sweeps from 90 Hz → 45 Hz over a short decay, scaled by
- * `freqScale` so smaller balls produce a higher-pitched knock and larger
- * balls produce a deeper thud.
+ * An oscillator sweeps from `from` → `to` Hz with a fast attack and an
+ * exponential decay.  Frequencies are multiplied by `freqScale` so smaller
+ * balls produce a higher-pitched version of their material's sound and larger
+ * balls a deeper one.  Timbres with a `partial` add a quieter overtone at that
+ * frequency ratio which decays over the same envelope.
  *
+ * @param {{ type: OscillatorType, from: number, to: number, sweep: number,
+ *           decay: number, gain: number, partial?: number }} timbre
  * @param {number} volume     Gain level in [0, 1].
- * @param {number} freqScale  Frequency multiplier derived from ball radius.
+ * @param {number} freqScale  Frequency multiplier derived from ball size.
  */
-function _playWallCollision(volume, freqScale) {
+function _playImpact(timbre, volume, freqScale) {
   const ctx = _getContext();
   if (!ctx) return;
 
-  const now  = ctx.currentTime;
-  const osc  = ctx.createOscillator();
-  const gain = ctx.createGain();
-  osc.connect(gain);
-  gain.connect(ctx.destination);
+  const now = ctx.currentTime;
+  const { type, from, to, sweep, decay, gain: peak, partial } = timbre;
 
-  osc.type = 'sine';
-  osc.frequency.setValueAtTime(90 * freqScale, now);
-  osc.frequency.exponentialRampToValueAtTime(45 * freqScale, now + 0.12);
+  const voices = [{ ratio: 1, level: 1 }];
+  if (partial) voices.push({ ratio: partial, level: 0.4 });
 
-  gain.gain.setValueAtTime(0, now);
-  gain.gain.linearRampToValueAtTime(volume * 0.50, now + 0.008); // fast attack
-  gain.gain.exponentialRampToValueAtTime(0.001,    now + 0.18);  // decay
+  for (const { ratio, level } of voices) {
+    const osc  = ctx.createOscillator();
+    const gain = ctx.createGain();
+    osc.connect(gain);
+    gain.connect(ctx.destination);
 
-  osc.start(now);
-  osc.stop(now + 0.18);
-}
+    osc.type = type;
+    osc.frequency.setValueAtTime(from * ratio * freqScale, now);
+    osc.frequency.exponentialRampToValueAtTime(to * ratio * freqScale, now + sweep);
 
-/**
- * Synthesise a short higher-pitched click for ball-to-ball collisions.
- *
- * A triangle wave sweeps from 320 Hz → 160 Hz over a very short envelope,
- * scaled by `freqScale` so two small balls colliding produce a high-pitched
- * tick while two large balls produce a lower-pitched knock.
- *
- * @param {number} volume     Gain level in [0, 1].
- * @param {number} freqScale  Frequency multiplier derived from ball radius.
- */
-function _playBallCollision(volume, freqScale) {
-  const ctx = _getContext();
-  if (!ctx) return;
+    gain.gain.setValueAtTime(0, now);
+    gain.gain.linearRampToValueAtTime(volume * peak * level, now + 0.005); // fast attack
+    gain.gain.exponentialRampToValueAtTime(0.001, now + decay);           // decay
 
-  const now  = ctx.currentTime;
-  const osc  = ctx.createOscillator();
-  const gain = ctx.createGain();
-  osc.connect(gain);
-  gain.connect(ctx.destination);
-
-  osc.type = 'triangle';
-  osc.frequency.setValueAtTime(320 * freqScale, now);
-  osc.frequency.exponentialRampToValueAtTime(160 * freqScale, now + 0.06);
-
-  gain.gain.setValueAtTime(0, now);
-  gain.gain.linearRampToValueAtTime(volume * 0.35, now + 0.004); // very fast attack
-  gain.gain.exponentialRampToValueAtTime(0.001,    now + 0.10);  // short decay
-
-  osc.start(now);
-  osc.stop(now + 0.10);
+    osc.start(now);
+    osc.stop(now + decay);
+  }
 }
 
 /**
@@ -315,14 +452,39 @@ function _speedToVolume(speed) {
  *   radius = mid-point  (27 px) → scale = 1.0  (base frequency)
  *   radius = MAX_RADIUS (40 px) → scale = 0.5  (one octave down)
  *
- * @param {number} radius  Ball circleRadius in pixels.
+ * @param {number} radius  Ball radius (or equal-area radius) in pixels.
  * @returns {number}       Frequency multiplier in [0.5, 2.0].
  */
 function _radiusToFreqScale(radius) {
-  const t = (radius - MIN_RADIUS) / (MAX_RADIUS - MIN_RADIUS); // 0 = small, 1 = large
+  // Clamped so the bigger merge-mode balls (merge.js) stay audible.
+  const t = Math.min(1, Math.max(0, (radius - MIN_RADIUS) / (MAX_RADIUS - MIN_RADIUS)));
   return Math.pow(2, 1 - 2 * t); // 2^1 = 2.0 at t=0; 2^-1 = 0.5 at t=1
 }
 
+/**
+ * Shape-agnostic size of a body: the radius of a circle with the same area.
+ * Equals circleRadius for circles and stays meaningful for squares, stars…
+ * A jelly particle sounds like its whole ball.
+ *
+ * @param {Matter.Body} body
+ * @returns {number}  Equivalent radius in pixels.
+ */
+function _sizeOf(body) {
+  if (body.softBody) return body.softBody.softRadius;
+  return Math.sqrt(body.area / Math.PI);
+}
+
+/**
+ * True for static surfaces a ball can strike: the boundary walls and any
+ * level obstacles (pegs, ramps, bumpers…).
+ *
+ * @param {Matter.Body} body
+ * @returns {boolean}
+ */
+function _isSurface(body) {
+  return body.label.startsWith('wall-') || body.label.startsWith('obstacle-');
+}
+
 /**
  * Create a stable string key for a body pair, sorted by ID so order doesn't matter.
  *
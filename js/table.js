@@ -0,0 +1,66 @@
+// js/table.js — Flat table: rolling friction from the out-of-screen gravity
+'use strict';
+
+const { Body, Composite, Events } = Matter;
+
+/**
+ * Rolling resistance at full press, as a fraction of gravity.  A ball on a
+ * flat screen stays put until the screen is tipped by about this much
+ * (0.03 ≈ 1.7°), and a rolling one comes to a stop.
+ */
+const ROLLING_RESISTANCE = 0.03;
+
+/** Extra velocity damping at full press, per second. */
+const FLAT_DRAG = 1.0;
+
+/** Matter.js reports velocities per 60 Hz tick (Body.getVelocity()). */
+const TICK_MS = 1000 / 60;
+
+/**
+ * Make balls behave as if rolling on a table, the more so the flatter the
+ * device lies.
+ *
+ * Part of the DOM-free simulation core (simulation.js).  engine.gravity.x/y
+ * is only the part of gravity along the screen; `engine.gravity.z` is the
+ * part through it, set by the inputs (tilt.js): 0 with the device upright,
+ * ±1 flat.  That part presses the balls onto the screen, so after every
+ * step each moving body is slowed in proportion to it:
+ *
+ *   - rolling resistance takes a fixed amount off its speed, never turning
+ *     it round, so a ball on a nearly flat screen settles and stays;
+ *   - drag scales its speed and spin down a little more.
+ *
+ * Upright, or with no z at all (mouse, headless), nothing changes, so balls
+ * roll freely and existing replays play back as recorded.
+ *
+ * @param {Matter.Engine} engine
+ */
+export function initTable(engine) {
+  Events.on(engine, 'afterUpdate', (event) => {
+    const press = Math.min(1, Math.abs(engine.gravity.z ?? 0));
+    if (!(press > 0)) return;
+
+    const delta = event.delta ?? engine.timing.lastDelta;
+    const drag  = Math.exp(-FLAT_DRAG * press * delta / 1000);
+    // Speed lost to rolling resistance this step, in px per tick.
+    const loss  = ROLLING_RESISTANCE * press * engine.gravity.scale * delta * TICK_MS;
+
+    for (const body of Composite.allBodies(engine.world)) {
+      if (body.isStatic || body.isSensor || body.isSleeping) continue;
+      _slow(body, drag, loss);
+    }
+  });
+}
+
+// ── Private helpers ───────────────────────────────────────────────────────────
+
+/** Scale `body`'s speed and spin by `drag`, then take `loss` off its speed. */
+function _slow(body, drag, loss) {
+  const v     = Body.getVelocity(body);
+  const speed = Math.hypot(v.x, v.y);
+  if (speed > 0) {
+    const k = Math.max(0, speed * drag - loss) / speed;
+    Body.setVelocity(body, { x: v.x * k, y: v.y * k });
+  }
+  Body.setAngularVelocity(body, Body.getAngularVelocity(body) * drag);
+}
@@ -0,0 +1,262 @@
+// js/tilt.js — Tilt response: calibration, dead zone, smoothing and curves
+'use strict';
+
+import { RESPONSE_CURVES, shapeTilt, smoothTilt, toScreenFrame } from './motion.js';
+
+const { Events } = Matter;
+
+// ── Limits ────────────────────────────────────────────────────────────────────
+
+/** Sensitivity range, as a multiplier on the raw tilt. */
+export const MIN_SENSITIVITY = 0.5;
+export const MAX_SENSITIVITY = 2;
+
+/** Largest dead zone, as a fraction of upright (see shapeTilt() in motion.js). */
+export const MAX_DEAD_ZONE = 0.3;
+
+/** Longest smoothing time constant in ms; 0 turns smoothing off. */
+export const MAX_SMOOTHING_MS = 300;
+
+/** Gravity this close to its target (per axis) counts as there. */
+const SETTLED = 1e-3;
+
+// ── localStorage keys ─────────────────────────────────────────────────────────
+const KEY_SENSITIVITY = 'gyroballs_tilt_sensitivity';
+const KEY_DEAD_ZONE   = 'gyroballs_tilt_dead_zone';
+const KEY_SMOOTHING   = 'gyroballs_tilt_smoothing';
+const KEY_CURVE       = 'gyroballs_tilt_curve';
+const KEY_NEUTRAL     = 'gyroballs_tilt_neutral';
+
+// ── Module state ──────────────────────────────────────────────────────────────
+
+let _sensitivity = _storedNumber(KEY_SENSITIVITY, 1, MIN_SENSITIVITY, MAX_SENSITIVITY);
+let _deadZone    = _storedNumber(KEY_DEAD_ZONE, 0, 0, MAX_DEAD_ZONE);
+let _smoothingMs = _storedNumber(KEY_SMOOTHING, 0, 0, MAX_SMOOTHING_MS);
+let _curve       = _storedCurve();
+
+/** Source name → raw reading captured as level by calibrate(). */
+let _neutral = _storedNeutral();
+
+/** Latest reading: source, raw vector and screen angle; null until one arrives. */
+let _last = null;
+
+/** Shaped gravity the engine is eased towards; null until a reading arrives. */
+let _target = null;
+
+/** Whether gravity has yet to reach _target. */
+let _easing = false;
+
+// ── Public API ────────────────────────────────────────────────────────────────
+
+/**
+ * Put the tilt response between the inputs and `engine.gravity`.
+ *
+ * The inputs (input.js) hand their raw readings to feedTilt()
+ * instead of writing gravity themselves.  Each reading has the calibrated
+ * neutral pose taken off, is turned to the screen, and is shaped by the dead
+ * zone, response curve and sensitivity (shapeTilt() in motion.js); before
+ * every physics step gravity is eased towards the result (smoothTilt()).
+ * The part of gravity through the screen, when the input has one, is passed
+ * on untouched as `engine.gravity.z` for the flat-table friction (table.js).
+ * Going by step rather than by reading lets the smoothing settle even after
+ * the readings stop, as they do when the mouse comes to rest.
+ *
+ * Once gravity has arrived it is left alone until the next reading, so
+ * others can still set it in between (merge.js starts each game straight
+ * down).  Easing starts from whatever gravity is at the time.
+ *
+ * Must be called before reset.js and replay.js register their own
+ * 'beforeUpdate' hooks, so the countdown freeze and replay playback still
+ * have the last word on gravity and recordings hold what was applied.
+ *
+ * @param {Matter.Engine} engine  Or the worker-mode stand-in (remote.js).
+ */
+export function initTilt(engine) {
+  let lastTimestamp = null;
+
+  Events.on(engine, 'beforeUpdate', (event) => {
+    const dt = lastTimestamp === null ? 0 : event.timestamp - lastTimestamp;
+    lastTimestamp = event.timestamp;
+    if (!_easing) return;
+
+    let g = smoothTilt(engine.gravity, _target, dt, _smoothingMs);
+    if (Math.abs(g.x - _target.x) < SETTLED && Math.abs(g.y - _target.y) < SETTLED &&
+        Math.abs(g.z - _target.z) < SETTLED) {
+      g = _target;
+      _easing = false;
+    }
+    engine.gravity.x = g.x;
+    engine.gravity.y = g.y;
+    engine.gravity.z = g.z;
+  });
+}
+
+/**
+ * Hand over a raw reading from an input.
+ *
+ * @param {string} source  Input name — a gravity source of gyroscope.js
+ *   ('sensor', 'motion', 'orientation') or one of the other inputs of
+ *   input.js ('mouse', 'drag', 'keyboard', 'gamepad', 'joystick'); each has its own
+ *   calibration.
+ * @param {{ x: number, y: number, z?: number }} raw  Unclamped tilt in
+ *   gravity units, in the source's own axes — for the gyroscope sources the
+ *   device's (deviceTilt(), accelerationToTilt() in motion.js), so a
+ *   calibration survives turning the screen.  `z`, the part through the
+ *   screen, is 0 when missing (every input but the motion sensor).
+ * @param {number} [angle=0]  Screen orientation angle in degrees, to turn
+ *   `raw` by (see toScreenFrame()).
+ */
+export function feedTilt(source, raw, angle = 0) {
+  _last = { source, raw: { x: raw.x, y: raw.y, z: raw.z ?? 0 }, angle };
+  _retarget();
+}
+
+/**
+ * Take the pose the active input is in right now as level, and persist it.
+ * Only the tilt along the screen is calibrated; how flat the device really
+ * lies still drives the flat-table friction.
+ *
+ * @returns {boolean}  false when no reading has arrived yet.
+ */
+export function calibrate() {
+  if (!_last) return false;
+  _neutral[_last.source] = { x: _last.raw.x, y: _last.raw.y };
+  _saveNeutral();
+  _retarget();
+  console.log(`[tilt] Calibrated ${_last.source}: level is now`, _neutral[_last.source]);
+  return true;
+}
+
+/** Forget every calibration, so level is level again. */
+export function resetCalibration() {
+  _neutral = {};
+  _saveNeutral();
+  _retarget();
+}
+
+/** @returns {boolean}  Whether the active input (or, before any, any input) is calibrated. */
+export function isCalibrated() {
+  return _last ? _last.source in _neutral : Object.keys(_neutral).length > 0;
+}
+
+/**
+ * Set how strongly tilt turns into gravity and persist it.
+ *
+ * @param {number} sensitivity  Clamped to MIN_SENSITIVITY–MAX_SENSITIVITY.
+ * @returns {number}  The value actually set.
+ */
+export function setSensitivity(sensitivity) {
+  _sensitivity = _clamp(sensitivity, MIN_SENSITIVITY, MAX_SENSITIVITY, 1);
+  localStorage.setItem(KEY_SENSITIVITY, String(_sensitivity));
+  _retarget();
+  return _sensitivity;
+}
+
+/** @returns {number} */
+export function getSensitivity() {
+  return _sensitivity;
+}
+
+/**
+ * Set how much tilt counts as level and persist it.
+ *
+ * @param {number} deadZone  Fraction of upright, clamped to 0–MAX_DEAD_ZONE.
+ * @returns {number}  The value actually set.
+ */
+export function setDeadZone(deadZone) {
+  _deadZone = _clamp(deadZone, 0, MAX_DEAD_ZONE, 0);
+  localStorage.setItem(KEY_DEAD_ZONE, String(_deadZone));
+  _retarget();
+  return _deadZone;
+}
+
+/** @returns {number} */
+export function getDeadZone() {
+  return _deadZone;
+}
+
+/**
+ * Set the smoothing time constant and persist it.  Longer calms sensor
+ * jitter but makes gravity lag behind the tilt.
+ *
+ * @param {number} ms  Clamped to 0–MAX_SMOOTHING_MS; 0 turns smoothing off.
+ * @returns {number}  The value actually set.
+ */
+export function setSmoothing(ms) {
+  _smoothingMs = _clamp(ms, 0, MAX_SMOOTHING_MS, 0);
+  localStorage.setItem(KEY_SMOOTHING, String(_smoothingMs));
+  return _smoothingMs;
+}
+
+/** @returns {number} */
+export function getSmoothing() {
+  return _smoothingMs;
+}
+
+/**
+ * Choose the response curve and persist it.
+ *
+ * @param {string} curve  A RESPONSE_CURVES id (see motion.js).
+ */
+export function setResponseCurve(curve) {
+  if (!RESPONSE_CURVES.some(c => c.id === curve)) return;
+  _curve = curve;
+  localStorage.setItem(KEY_CURVE, curve);
+  _retarget();
+}
+
+/** @returns {string}  The chosen RESPONSE_CURVES id. */
+export function getResponseCurve() {
+  return _curve;
+}
+
+// ── Private helpers ───────────────────────────────────────────────────────────
+
+/** Work out the gravity to ease towards from the latest reading. */
+function _retarget() {
+  if (!_last) return;
+  const n   = _neutral[_last.source] ?? { x: 0, y: 0 };
+  const raw = toScreenFrame({ x: _last.raw.x - n.x, y: _last.raw.y - n.y }, _last.angle);
+  _target = {
+    ...shapeTilt(raw, { deadZone: _deadZone, curve: _curve, sensitivity: _sensitivity }),
+    z: Math.max(-1, Math.min(1, _last.raw.z)),
+  };
+  _easing = true;
+}
+
+/** `value` clamped to min–max, or `fallback` when it is not a number. */
+function _clamp(value, min, max, fallback) {
+  const n = Number(value);
+  return Number.isFinite(n) ? Math.min(max, Math.max(min, n)) : fallback;
+}
+
+/** A number saved in localStorage, clamped, or `fallback` when absent. */
+function _storedNumber(key, fallback, min, max) {
+  const stored = localStorage.getItem(key);
+  return stored === null ? fallback : _clamp(stored, min, max, fallback);
+}
+
+/** Return the response curve saved in localStorage, defaulting to 'linear'. */
+function _storedCurve() {
+  const stored = localStorage.getItem(KEY_CURVE);
+  return RESPONSE_CURVES.some(c => c.id === stored) ? stored : 'linear';
+}
+
+/** Return the saved calibrations, dropping any that are malformed. */
+function _storedNeutral() {
+  let stored;
+  try {
+    stored = JSON.parse(localStorage.getItem(KEY_NEUTRAL) || '{}');
+  } catch {
+    return {};
+  }
+  const neutral = {};
+  for (const [source, v] of Object.entries(stored ?? {})) {
+    if (Number.isFinite(v?.x) && Number.isFinite(v?.y)) neutral[source] = { x: v.x, y: v.y };
+  }
+  return neutral;
+}
+
+function _saveNeutral() {
+  localStorage.setItem(KEY_NEUTRAL, JSON.stringify(_neutral));
+}
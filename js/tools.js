@@ -0,0 +1,329 @@
+/**
+ * tools.js — Pointer tools: blast, attractor and repulsor
+ *
+ * A small tool bar picks what a touch or click on the canvas does:
+ *
+ *   grab     pick up, drag and fling balls; tap to spawn, long-press to
+ *            delete (grab.js) — the default
+ *   blast    tap to set off a radial impulse: balls near the tap are thrown
+ *            outwards, harder the closer they are and the lighter they are
+ *   attract  hold to pull nearby balls towards the finger
+ *   repel    hold to push nearby balls away from the finger
+ *
+ * Each finger on the screen is its own attractor / repulsor.  How quickly
+ * their pull fades with distance is the "Magnet falloff" setting (FALLOFFS).
+ *
+ * Forces are applied in a Matter.js 'beforeUpdate' hook, like the gravity
+ * override in reset.js, so they act once per fixed physics step however fast
+ * the display runs.  Each tool has a matching sound (sound.js) and a haptic
+ * pulse (vibration.js).
+ *
+ * The tools share grab.js's block: while recording, replaying or playing the
+ * tilt maze they do nothing and the tool bar is hidden.  Double-tap reset
+ * (reset.js) only works with the grab tool, so blasting away never resets.
+ */
+
+'use strict';
+
+import {
+  isGrabBlocked, setGrabActive, setGrabBlockedListener, toWorldPoint,
+} from './grab.js';
+import { playBlastSound, playFieldSound } from './sound.js';
+import { pulseVibration } from './vibration.js';
+import { setDoubleTapBlocked } from './reset.js';
+import { ballMass } from './softbody.js';
+
+const { Body, Composite, Events } = Matter;
+
+// ── Constants ─────────────────────────────────────────────────────────────────
+
+/** Tool ids in tool-bar order. */
+export const TOOLS = ['grab', 'blast', 'attract', 'repel'];
+
+/** Reach of the blast, in px. */
+const BLAST_RADIUS = 220;
+
+/**
+ * Impulse delivered at the centre of a blast, in mass × px-per-60 Hz-tick.
+ * A ball's speed change is this divided by its mass, so a foam ball flies
+ * and a steel one barely rolls (see materials.js densities).
+ */
+const BLAST_IMPULSE = 55;
+
+/** Cap on the speed a blast adds, in px per 60 Hz tick (as grab.js flings). */
+const MAX_BLAST_SPEED = 40;
+
+/** Reach of an attractor / repulsor, in px. */
+const FIELD_RADIUS = 260;
+
+/** Radius inside which the inverse-square falloff stops growing, in px. */
+const FIELD_CORE = 40;
+
+/**
+ * Peak attractor / repulsor acceleration as a multiple of normal gravity.
+ * Forces are proportional to mass, like gravity, so every ball answers alike.
+ */
+const FIELD_STRENGTH = 3;
+
+/**
+ * How an attractor / repulsor's strength fades with distance `d` out to
+ * FIELD_RADIUS.  `fn` maps d / FIELD_RADIUS (0 at the finger, 1 at the edge)
+ * to a strength multiplier in [0, 1].
+ */
+export const FALLOFFS = [
+  { id: 'linear',  name: 'Linear',         fn: (u) => 1 - u },
+  { id: 'smooth',  name: 'Smooth',         fn: (u) => (1 - u) * (1 - u) },
+  // Like a real magnet: very strong up close, weak further out.  Capped
+  // inside FIELD_CORE so a ball sitting on the finger is not flung away.
+  { id: 'inverse', name: 'Inverse square', fn: (u) => Math.min(1, (FIELD_CORE / FIELD_RADIUS / u) ** 2) },
+  { id: 'flat',    name: 'Constant',       fn: () => 1 },
+];
+
+/** Haptic pulse lengths in ms. */
+const BLAST_PULSE_MS = 60;
+const FIELD_PULSE_MS = 20;
+
+/** How long the blast ring stays on screen, in ms. */
+const BLAST_RING_MS = 250;
+
+// ── localStorage keys ─────────────────────────────────────────────────────────
+const KEY_TOOL    = 'gyroballs_tool';
+const KEY_FALLOFF = 'gyroballs_falloff';
+
+// ── DOM references ────────────────────────────────────────────────────────────
+const toolBar = document.getElementById('tool-bar');
+
+// ── Module state ──────────────────────────────────────────────────────────────
+
+let _tool    = _storedTool();
+let _falloff = _storedFalloff();
+
+/** Active attractors / repulsors keyed by pointerId: { x, y } in world px. */
+const _fields = new Map();
+
+/** Blasts waiting for the next physics step: [{ x, y }]. */
+let _pendingBlasts = [];
+
+/** Blasts still being drawn: [{ x, y, startMs }]. */
+let _rings = [];
+
+// ── Public API ────────────────────────────────────────────────────────────────
+
+/**
+ * Initialise the tool bar and the force tools.
+ *
+ * @param {{ engine: Matter.Engine, render: Matter.Render }} physics
+ *   Object returned by initPhysics().
+ */
+export function initTools(physics) {
+  const { engine, render } = physics;
+  const canvas = document.getElementById('world');
+
+  // ── Tool bar ──────────────────────────────────────────────────────────────
+  for (const button of toolBar.querySelectorAll('[data-tool]')) {
+    button.addEventListener('click', () => setTool(button.dataset.tool));
+  }
+  setTool(_tool);
+
+  setGrabBlockedListener((blocked) => {
+    toolBar.classList.toggle('hidden', blocked);
+    if (blocked) _fields.clear();
+    // The game modes use double-tap themselves; the hidden tool must not stop it.
+    setDoubleTapBlocked('tool', !blocked && _tool !== 'grab');
+  });
+  toolBar.classList.toggle('hidden', isGrabBlocked());
+
+  // ── Pointer input ─────────────────────────────────────────────────────────
+  canvas.addEventListener('pointerdown', (e) => {
+    if (_tool === 'grab' || isGrabBlocked()) return;
+    if (e.pointerType === 'mouse' && e.button !== 0) return;
+
+    const point = toWorldPoint(render, canvas, e);
+    if (_tool === 'blast') {
+      _pendingBlasts.push(point);
+      _rings.push({ ...point, startMs: performance.now() });
+      playBlastSound();
+      pulseVibration(BLAST_PULSE_MS);
+      return;
+    }
+
+    _fields.set(e.pointerId, point);
+    canvas.setPointerCapture(e.pointerId);
+    playFieldSound(_tool);
+    pulseVibration(FIELD_PULSE_MS);
+  });
+
+  canvas.addEventListener('pointermove', (e) => {
+    const field = _fields.get(e.pointerId);
+    if (!field) return;
+    Object.assign(field, toWorldPoint(render, canvas, e));
+  });
+
+  const endField = (e) => _fields.delete(e.pointerId);
+  canvas.addEventListener('pointerup', endField);
+  canvas.addEventListener('pointercancel', endField);
+
+  // ── Forces ────────────────────────────────────────────────────────────────
+  Events.on(engine, 'beforeUpdate', () => {
+    if (_pendingBlasts.length === 0 && _fields.size === 0) return;
+
+    // Every particle of a jelly ball is pushed, so it squashes as it goes.
+    const balls = Composite.allBodies(engine.world).filter(b => b.label === 'ball');
+    for (const blast of _pendingBlasts) _applyBlast(balls, blast);
+    _pendingBlasts = [];
+
+    if (_fields.size === 0) return;
+    // Scaled like gravity (engine.gravity.scale), so FIELD_STRENGTH reads
+    // as a multiple of it.
+    const sign     = _tool === 'repel' ? -1 : 1;
+    const strength = sign * FIELD_STRENGTH * engine.gravity.scale;
+    const falloff  = FALLOFFS.find(f => f.id === _falloff).fn;
+    for (const field of _fields.values()) _applyField(balls, field, strength, falloff);
+  });
+
+  // ── Feedback rings ────────────────────────────────────────────────────────
+  Events.on(render, 'afterRender', () => _drawRings(render));
+
+  console.log(`[tools] Tool bar active (tool: ${_tool}).`);
+}
+
+/**
+ * Select the pointer tool and persist the choice.  'grab' hands the pointer
+ * back to grab.js.
+ *
+ * @param {string} tool  One of TOOLS; anything else selects 'grab'.
+ */
+export function setTool(tool) {
+  _tool = TOOLS.includes(tool) ? tool : 'grab';
+  localStorage.setItem(KEY_TOOL, _tool);
+  _fields.clear();
+  setGrabActive(_tool === 'grab');
+  setDoubleTapBlocked('tool', _tool !== 'grab');
+
+  for (const button of toolBar.querySelectorAll('[data-tool]')) {
+    button.setAttribute('aria-pressed', String(button.dataset.tool === _tool));
+  }
+}
+
+/** @returns {string}  The selected tool id. */
+export function getTool() {
+  return _tool;
+}
+
+/**
+ * True while an attractor or repulsor is held down.  mouse.js checks this so
+ * the cursor does not also steer gravity while it drags a magnet around.
+ *
+ * @returns {boolean}
+ */
+export function isToolActive() {
+  return _fields.size > 0;
+}
+
+/**
+ * Choose how attractor / repulsor strength fades with distance and persist
+ * it.  Called by the settings module.
+ *
+ * @param {string} id  A FALLOFFS id; anything else selects 'linear'.
+ */
+export function setFieldFalloff(id) {
+  _falloff = FALLOFFS.some(f => f.id === id) ? id : 'linear';
+  localStorage.setItem(KEY_FALLOFF, _falloff);
+}
+
+/** @returns {string}  The current FALLOFFS id. */
+export function getFieldFalloff() {
+  return _falloff;
+}
+
+// ── Private helpers ───────────────────────────────────────────────────────────
+
+/**
+ * Throw every ball within BLAST_RADIUS of `blast` outwards.  The impulse
+ * falls off linearly to nothing at the edge and is shared out by mass, so
+ * the speed change is BLAST_IMPULSE × (1 − d / R) / mass, capped.  Jelly
+ * particles use the mass of their whole ball so it flies as one.
+ */
+function _applyBlast(balls, blast) {
+  for (const ball of balls) {
+    const dx = ball.position.x - blast.x;
+    const dy = ball.position.y - blast.y;
+    const d  = Math.hypot(dx, dy);
+    if (d >= BLAST_RADIUS) continue;
+
+    const speed = Math.min(MAX_BLAST_SPEED, (BLAST_IMPULSE * (1 - d / BLAST_RADIUS)) / ballMass(ball));
+    // Dead centre: no direction to push in, so send it straight up.
+    const nx = d > 0 ? dx / d : 0;
+    const ny = d > 0 ? dy / d : -1;
+
+    const v = Body.getVelocity(ball);
+    Body.setVelocity(ball, { x: v.x + nx * speed, y: v.y + ny * speed });
+  }
+}
+
+/**
+ * Pull (strength > 0) or push (strength < 0) every ball within FIELD_RADIUS
+ * of `field`.  The force is mass × strength × falloff, the same form as
+ * Matter.js gravity, so every ball accelerates alike whatever its material.
+ */
+function _applyField(balls, field, strength, falloff) {
+  for (const ball of balls) {
+    const dx = field.x - ball.position.x;
+    const dy = field.y - ball.position.y;
+    const d  = Math.hypot(dx, dy);
+    if (d >= FIELD_RADIUS || d === 0) continue;
+
+    const f = ball.mass * strength * falloff(d / FIELD_RADIUS);
+    Body.applyForce(ball, ball.position, { x: (dx / d) * f, y: (dy / d) * f });
+  }
+}
+
+/**
+ * Draw an expanding ring for each recent blast and a faint disc under each
+ * held attractor / repulsor.  Runs after Matter.js has drawn the world, when
+ * the context is in screen pixels, so world points go through render.bounds.
+ */
+function _drawRings(render) {
+  const ctx = render.context;
+  const now = performance.now();
+  _rings = _rings.filter(r => now - r.startMs < BLAST_RING_MS);
+
+  const scale = render.options.width / (render.bounds.max.x - render.bounds.min.x);
+  const toScreen = (p) => ({
+    x: (p.x - render.bounds.min.x) * scale,
+    y: (p.y - render.bounds.min.y) * scale,
+  });
+
+  ctx.save();
+  for (const ring of _rings) {
+    const t = (now - ring.startMs) / BLAST_RING_MS;
+    const c = toScreen(ring);
+    ctx.beginPath();
+    ctx.arc(c.x, c.y, BLAST_RADIUS * scale * t, 0, Math.PI * 2);
+    ctx.strokeStyle = `rgba(255, 211, 42, ${0.6 * (1 - t)})`;
+    ctx.lineWidth   = 3;
+    ctx.stroke();
+  }
+
+  const color = _tool === 'repel' ? '255, 94, 87' : '79, 142, 247';
+  for (const field of _fields.values()) {
+    const c = toScreen(field);
+    ctx.beginPath();
+    ctx.arc(c.x, c.y, FIELD_RADIUS * scale, 0, Math.PI * 2);
+    ctx.fillStyle = `rgba(${color}, 0.08)`;
+    ctx.fill();
+  }
+  ctx.restore();
+}
+
+/** Return the tool saved in localStorage, defaulting to 'grab'. */
+function _storedTool() {
+  const stored = localStorage.getItem(KEY_TOOL);
+  return TOOLS.includes(stored) ? stored : 'grab';
+}
+
+/** Return the falloff saved in localStorage, defaulting to 'linear'. */
+function _storedFalloff() {
+  const stored = localStorage.getItem(KEY_FALLOFF);
+  return FALLOFFS.some(f => f.id === stored) ? stored : 'linear';
+}
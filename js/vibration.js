@@ -1,9 +1,14 @@
 // js/vibration.js — Vibration API haptic feedback (TASK-008)
 'use strict';
 
+import { ballOf } from './softbody.js';
+
 // ── Constants ─────────────────────────────────────────────────────────────────
 
-/** Minimum relative speed (px/tick) below which no vibration is emitted. */
+/**
+ * Minimum relative speed below which no vibration is emitted, in px per 60 Hz
+ * tick (Body.getVelocity), so thresholds hold at any physics step size.
+ */
 const MIN_SPEED = 1.0;
 
 /** Speed at which pulse duration reaches MAX_DURATION_MS. */
@@ -30,6 +35,9 @@ const COOLDOWN_MS = 80;
  */
 let _enabled = _readEnabled();
 
+/** Temporary, non-persisted mute used by replay.js while seeking. */
+let _muted = false;
+
 /**
  * Whether the current browser supports navigator.vibrate.
  * Checked once at module load time to avoid repeated property lookups.
@@ -37,6 +45,14 @@ let _enabled = _readEnabled();
 const _supported = typeof navigator !== 'undefined' &&
                    typeof navigator.vibrate === 'function';
 
+/**
+ * Extra haptic output pulsed alongside navigator.vibrate — a gamepad's
+ * rumble motors while the gamepad drives gravity (gamepad.js); null if none.
+ *
+ * @type {((durationMs: number, strength: number) => void)|null}
+ */
+let _rumble = null;
+
 /**
  * Per-pair cooldown map.
  * Keys are `${minId}_${maxId}` (body ID pair, sorted), values are
@@ -50,8 +66,8 @@ const _cooldowns = new Map();
  * Initialise the vibration module.  Attaches a Matter.js 'collisionStart'
  * listener to the provided engine to trigger haptic pulses on impact.
  *
- * If the browser does not support navigator.vibrate the listener is not
- * attached and all calls are silently skipped — no errors are thrown.
+ * If the browser does not support navigator.vibrate, and no rumble output is
+ * set (setRumble()), impacts are silently skipped — no errors are thrown.
  *
  * Returns an object the settings module (TASK-009) can use to toggle haptics:
  *   vibration.setVibrationEnabled(false)  — disable haptic feedback
@@ -60,10 +76,8 @@ const _cooldowns = new Map();
  * @returns {{ setVibrationEnabled: (on: boolean) => void }}
  */
 export function initVibration(engine) {
-  if (_supported) {
-    const { Events } = Matter;
-    Events.on(engine, 'collisionStart', _onCollision);
-  }
+  const { Events } = Matter;
+  Events.on(engine, 'collisionStart', _onCollision);
 
   return {
     setVibrationEnabled,
@@ -81,6 +95,37 @@ export function setVibrationEnabled(on) {
   localStorage.setItem('gyroballs_vibration', _enabled ? '1' : '0');
 }
 
+/**
+ * Suppress haptic pulses without touching the saved preference.
+ *
+ * @param {boolean} on  True to mute.
+ */
+export function setVibrationMuted(on) {
+  _muted = Boolean(on);
+}
+
+/**
+ * Fire a single haptic pulse of `durationMs`, e.g. when the blast or magnet
+ * tool goes off (tools.js).  Respects the enabled setting and the mute.
+ *
+ * @param {number} durationMs
+ */
+export function pulseVibration(durationMs) {
+  if (!_enabled || _muted) return;
+  _buzz(durationMs, 1);
+}
+
+/**
+ * Pulse `rumble` too whenever the device vibrates, or stop with null.  The
+ * vibration setting and the mute apply to it alike.
+ *
+ * @param {((durationMs: number, strength: number) => void)|null} rumble
+ *   Called with the pulse length and its strength, 0 (gentle) to 1 (hard).
+ */
+export function setRumble(rumble) {
+  _rumble = rumble;
+}
+
 // ── Private helpers ───────────────────────────────────────────────────────────
 
 /**
@@ -91,30 +136,37 @@ export function setVibrationEnabled(on) {
  * @param {{ pairs: Matter.Collision[] }} event
  */
 function _onCollision(event) {
-  if (!_enabled) return;
+  if (!_enabled || _muted || (!_supported && !_rumble)) return;
 
+  const { Body } = Matter;
   const now = performance.now();
 
   for (const pair of event.pairs) {
-    const { bodyA, bodyB } = pair;
+    // Compound bodies (e.g. stars) collide through their parts; the parent
+    // carries the velocity.  For simple bodies parent === body.
+    const bodyA = pair.bodyA.parent;
+    const bodyB = pair.bodyB.parent;
 
     // ── Classify the collision pair ───────────────────────────────────────────
     const aIsBall = bodyA.label === 'ball';
     const bIsBall = bodyB.label === 'ball';
-    const aIsWall = bodyA.label.startsWith('wall-');
-    const bIsWall = bodyB.label.startsWith('wall-');
+    const aIsWall = _isSurface(bodyA);
+    const bIsWall = _isSurface(bodyB);
 
     let speed = 0;
 
     if (aIsBall && bIsBall) {
+      if (ballOf(bodyA) === ballOf(bodyB)) continue; // a jelly ball's core against its rim
       // Ball-to-ball: relative speed between the two moving bodies
-      const dvx = bodyA.velocity.x - bodyB.velocity.x;
-      const dvy = bodyA.velocity.y - bodyB.velocity.y;
+      const va  = Body.getVelocity(bodyA);
+      const vb  = Body.getVelocity(bodyB);
+      const dvx = va.x - vb.x;
+      const dvy = va.y - vb.y;
       speed = Math.sqrt(dvx * dvx + dvy * dvy);
     } else if ((aIsBall && bIsWall) || (bIsBall && aIsWall)) {
       // Ball-to-wall: the ball's own speed at impact
       const ball = aIsBall ? bodyA : bodyB;
-      speed = Math.sqrt(ball.velocity.x ** 2 + ball.velocity.y ** 2);
+      speed = Body.getSpeed(ball);
     } else {
       continue; // ignore all other collision types
     }
@@ -122,19 +174,37 @@ function _onCollision(event) {
     if (speed < MIN_SPEED) continue;
 
     // ── Per-pair cooldown ─────────────────────────────────────────────────────
-    const key = _pairKey(bodyA.id, bodyB.id);
+    // Keyed by whole ball, so a jelly ball's particles share one cooldown.
+    const key = _pairKey(ballOf(bodyA).id, ballOf(bodyB).id);
     const lastVibrated = _cooldowns.get(key) ?? 0;
     if (now - lastVibrated < COOLDOWN_MS) continue;
     _cooldowns.set(key, now);
 
     // ── Trigger haptic pulse ──────────────────────────────────────────────────
-    const duration = _speedToDuration(speed);
+    _buzz(_speedToDuration(speed), _impact(speed));
+  }
+}
+
+/** Pulse the vibration motor, and any rumble output, for `durationMs`. */
+function _buzz(durationMs, strength) {
+  if (_supported) {
     try {
-      navigator.vibrate(duration);
+      navigator.vibrate(Math.round(durationMs));
     } catch {
       // Silently ignore — e.g. sandboxed iframes may throw on vibrate()
     }
   }
+  _rumble?.(durationMs, strength);
+}
+
+/**
+ * How hard an impact at `speed` is, from 0 at MIN_SPEED to 1 at MAX_SPEED.
+ *
+ * @param {number} speed
+ * @returns {number}
+ */
+function _impact(speed) {
+  return Math.min(1, Math.max(0, (speed - MIN_SPEED) / (MAX_SPEED - MIN_SPEED)));
 }
 
 /**
@@ -145,10 +215,21 @@ function _onCollision(event) {
  * @returns {number}  Duration in [MIN_DURATION_MS, MAX_DURATION_MS].
  */
 function _speedToDuration(speed) {
-  const t = Math.min(1, Math.max(0, (speed - MIN_SPEED) / (MAX_SPEED - MIN_SPEED)));
+  const t = _impact(speed);
   return Math.round(MIN_DURATION_MS + t * (MAX_DURATION_MS - MIN_DURATION_MS));
 }
 
+/**
+ * True for static surfaces a ball can strike: the boundary walls and any
+ * level obstacles (pegs, ramps, bumpers…).
+ *
+ * @param {Matter.Body} body
+ * @returns {boolean}
+ */
+function _isSurface(body) {
+  return body.label.startsWith('wall-') || body.label.startsWith('obstacle-');
+}
+
 /**
  * Create a stable string key for a body pair, sorted by ID so order doesn't matter.
  *
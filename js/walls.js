@@ -1,85 +1,364 @@
-// js/walls.js — Screen-boundary static bodies (TASK-003)
+// js/walls.js — Arena boundary: static wall bodies and the arena outline (TASK-003)
 'use strict';
 
-const { Bodies, Composite } = Matter;
+const { Bodies, Body, Composite } = Matter;
 
 /**
- * Thickness of each wall in pixels.  Large enough to prevent fast balls from
- * tunnelling through at high velocities (a known Matter.js issue at thin sizes).
+ * Arena shapes offered in the settings panel.  'rect' is the classic box
+ * around the whole world; the others are convex outlines fitted inside it.
+ */
+export const ARENA_SHAPES = [
+  { id: 'rect',    name: 'Rectangle' },
+  { id: 'rounded', name: 'Rounded rectangle' },
+  { id: 'circle',  name: 'Circle' },
+  { id: 'ellipse', name: 'Ellipse' },
+  { id: 'hexagon', name: 'Hexagon' },
+];
+
+/** No inset on any side: the arena reaches the world edges. */
+export const NO_INSET = Object.freeze({ top: 0, right: 0, bottom: 0, left: 0 });
+
+// ── Constants ─────────────────────────────────────────────────────────────────
+
+/**
+ * Thickness of each wall in pixels.  Large enough to stop most fast balls
+ * tunnelling through at high velocities (a known Matter.js issue at thin
+ * sizes); containment.js catches the rest.
  */
 const WALL_THICKNESS = 60;
 
+/** Straight segments approximating a full circle or ellipse. */
+const CURVE_SEGMENTS = 48;
+
+/** Segments per rounded corner, and its radius as a fraction of the shorter side. */
+const CORNER_SEGMENTS = 8;
+const CORNER_RADIUS   = 0.12;
+
+/** How the area outside a shaped arena is dimmed, and its edge drawn. */
+const OUTSIDE_FILL = 'rgba(0, 0, 0, 0.45)';
+const OUTLINE_RENDER = { strokeStyle: 'rgba(255, 255, 255, 0.3)', lineWidth: 2 };
+
+// ── Public API ────────────────────────────────────────────────────────────────
+
+/**
+ * Lay out an arena of `shape` in a `width` × `height` world, first inset from
+ * the world edges by `inset` (e.g. a phone's safe-area insets).  Pure
+ * geometry: initWalls() builds the walls along `outline`.
+ *
+ *   rect    — the inset rectangle itself;
+ *   rounded — the same with rounded corners;
+ *   circle  — the largest circle that fits, centred;
+ *   ellipse — the ellipse touching all four sides;
+ *   hexagon — the largest regular hexagon that fits, pointing along the
+ *             longer side.
+ *
+ * `box` is an axis-aligned rectangle wholly inside the outline — the whole
+ * inset rectangle unless the shape cuts its corners — for things laid out
+ * by fractions of the world (spawning, levels, chains) to use instead.
+ * `full` is true for the plain rectangle with no inset, which covers the
+ * whole world and is not outlined.
+ *
+ * @param {string} shape  An ARENA_SHAPES id; unknown ids give 'rect'.
+ * @param {{ width: number, height: number }} size
+ * @param {{ top: number, right: number, bottom: number, left: number }} [inset]
+ * @returns {Arena}  { shape, inset, outline: {x, y}[], box: {x, y, width, height}, full }
+ */
+export function layoutArena(shape, { width, height }, inset = NO_INSET) {
+  const id = ARENA_SHAPES.some(s => s.id === shape) ? shape : 'rect';
+  const x  = inset.left;
+  const y  = inset.top;
+  const w  = Math.max(0, width - inset.left - inset.right);
+  const h  = Math.max(0, height - inset.top - inset.bottom);
+  const cx = x + w / 2;
+  const cy = y + h / 2;
+
+  let outline;
+  let box = { x, y, width: w, height: h };
+
+  switch (id) {
+    case 'rounded': {
+      const r = CORNER_RADIUS * Math.min(w, h);
+      outline = [
+        ..._arc(x + w - r, y + r, r, r, -Math.PI / 2, 0, CORNER_SEGMENTS),
+        ..._arc(x + w - r, y + h - r, r, r, 0, Math.PI / 2, CORNER_SEGMENTS),
+        ..._arc(x + r, y + h - r, r, r, Math.PI / 2, Math.PI, CORNER_SEGMENTS),
+        ..._arc(x + r, y + r, r, r, Math.PI, Math.PI * 1.5, CORNER_SEGMENTS),
+      ];
+      // Pull the box in just far enough to clear the corner arcs.
+      box = _centredBox(cx, cy, w - 2 * r * (1 - Math.SQRT1_2), h - 2 * r * (1 - Math.SQRT1_2));
+      break;
+    }
+    case 'circle': {
+      const r = Math.min(w, h) / 2;
+      outline = _arc(cx, cy, r, r, 0, 2 * Math.PI, CURVE_SEGMENTS).slice(1);
+      box = _centredBox(cx, cy, r * Math.SQRT2, r * Math.SQRT2);
+      break;
+    }
+    case 'ellipse':
+      outline = _arc(cx, cy, w / 2, h / 2, 0, 2 * Math.PI, CURVE_SEGMENTS).slice(1);
+      box = _centredBox(cx, cy, (w / 2) * Math.SQRT2, (h / 2) * Math.SQRT2);
+      break;
+    case 'hexagon': {
+      // Pointy ends along the longer side; the box spans the two flat sides.
+      const tall = h >= w;
+      const r    = tall ? Math.min(h / 2, w / Math.sqrt(3)) : Math.min(w / 2, h / Math.sqrt(3));
+      const turn = tall ? -Math.PI / 2 : 0;
+      outline = _arc(cx, cy, r, r, turn, turn + 2 * Math.PI, 6).slice(1);
+      box = tall
+        ? _centredBox(cx, cy, r * Math.sqrt(3), r)
+        : _centredBox(cx, cy, r, r * Math.sqrt(3));
+      break;
+    }
+    default:
+      outline = [
+        { x, y }, { x: x + w, y }, { x: x + w, y: y + h }, { x, y: y + h },
+      ];
+  }
+
+  const full = id === 'rect' && inset.top === 0 && inset.right === 0 &&
+    inset.bottom === 0 && inset.left === 0;
+  return { shape: id, inset: { ...inset }, outline, box, full };
+}
+
+/**
+ * Height of the arena's upper edge above `x` — where something hung from the
+ * top wall is anchored.  Falls back to the top of the box when `x` lies
+ * outside the arena.
+ *
+ * @param {Arena} arena
+ * @param {number} x
+ * @returns {number}
+ */
+export function arenaTop(arena, x) {
+  const { outline } = arena;
+  let top = Infinity;
+  for (let i = 0; i < outline.length; i++) {
+    const a = outline[i];
+    const b = outline[(i + 1) % outline.length];
+    if (a.x === b.x || x < Math.min(a.x, b.x) || x > Math.max(a.x, b.x)) continue;
+    top = Math.min(top, a.y + ((x - a.x) * (b.y - a.y)) / (b.x - a.x));
+  }
+  return Number.isFinite(top) ? top : arena.box.y;
+}
+
+/**
+ * Whether `point` is inside the arena (or on its edge).
+ *
+ * @param {Arena} arena
+ * @param {{ x: number, y: number }} point
+ * @returns {boolean}
+ */
+export function insideArena({ outline, box }, point) {
+  // The outline is convex: inside means on the same side of every edge as
+  // the centre of the box, which is always inside.
+  const cx = box.x + box.width / 2;
+  const cy = box.y + box.height / 2;
+  for (let i = 0; i < outline.length; i++) {
+    const a  = outline[i];
+    const b  = outline[(i + 1) % outline.length];
+    const ex = b.x - a.x;
+    const ey = b.y - a.y;
+    const side = ex * (point.y - a.y) - ey * (point.x - a.x);
+    const ref  = ex * (cy - a.y) - ey * (cx - a.x);
+    if (side * ref < 0) return false;
+  }
+  return true;
+}
+
+/**
+ * `point` if it is inside the arena; otherwise the nearest point of the
+ * arena's edge, moved `radius` further in towards the centre so a ball of
+ * that radius centred there clears the wall.
+ *
+ * @param {Arena} arena
+ * @param {{ x: number, y: number }} point
+ * @param {number} radius
+ * @returns {{ x: number, y: number }}
+ */
+export function clampToArena(arena, point, radius) {
+  if (insideArena(arena, point)) return { x: point.x, y: point.y };
+
+  const { outline, box } = arena;
+  let edge  = null;
+  let edgeD = Infinity;
+  for (let i = 0; i < outline.length; i++) {
+    const a  = outline[i];
+    const b  = outline[(i + 1) % outline.length];
+    const ex = b.x - a.x;
+    const ey = b.y - a.y;
+    const l2 = ex * ex + ey * ey;
+    const t  = l2 > 0 ? Math.min(1, Math.max(0, ((point.x - a.x) * ex + (point.y - a.y) * ey) / l2)) : 0;
+    const q  = { x: a.x + ex * t, y: a.y + ey * t };
+    const d  = Math.hypot(point.x - q.x, point.y - q.y);
+    if (d < edgeD) { edgeD = d; edge = q; }
+  }
+
+  // Never past the centre, however large the radius.
+  const dx   = box.x + box.width / 2 - edge.x;
+  const dy   = box.y + box.height / 2 - edge.y;
+  const dist = Math.hypot(dx, dy);
+  const step = dist > 0 ? Math.min(1, radius / dist) : 0;
+  return { x: edge.x + dx * step, y: edge.y + dy * step };
+}
+
 /**
- * Add four invisible static wall bodies around the viewport edges so balls
- * stay contained within the screen.
+ * Add invisible static wall bodies around the arena so balls stay contained
+ * within it.
+ *
+ * Part of the DOM-free simulation core (simulation.js): the arena comes from
+ * `getArena`, and the owner calls `update()` whenever it changes — the
+ * browser shell does so on window resize and orientation change, and when a
+ * new arena shape is picked, so the walls always align with the current
+ * canvas dimensions.
  *
- * The walls are automatically rebuilt and repositioned whenever the viewport
- * size changes (window resize or device orientation change), ensuring they
- * always align with the current canvas dimensions.
+ * A rectangle is walled by four long bodies, as it always has been; the
+ * shaped arenas by one thick segment per edge of their outline.
  *
  * @param {Matter.Engine} engine  The active Matter.js engine.
- * @returns {{ update: () => void }}  Object with a manual `update()` method
- *   that can be called to force a wall rebuild (e.g. after an orientation
- *   change fires before the browser emits a 'resize' event).
+ * @param {() => Arena} getArena  Current arena (see layoutArena()).
+ * @returns {{ update: () => void }}  Object with an `update()` method that
+ *   rebuilds the walls around the current arena.
  */
-export function initWalls(engine) {
+export function initWalls(engine, getArena) {
   // Keep a local mutable reference to the current set of wall bodies so they
   // can be removed and replaced when the viewport dimensions change.
-  let currentWalls = _buildWalls();
+  let currentWalls = _buildArena(getArena());
   Composite.add(engine.world, currentWalls);
 
-  /**
-   * Remove the existing walls and create new ones sized to the current
-   * viewport.  Called automatically on 'resize' and exposed as `update()`.
-   */
+  /** Remove the existing walls and create new ones around the arena. */
   function _refresh() {
     Composite.remove(engine.world, currentWalls);
-    currentWalls = _buildWalls();
+    currentWalls = _buildArena(getArena());
     Composite.add(engine.world, currentWalls);
   }
 
-  // Rebuild walls on every viewport resize (covers both window resize and
-  // device orientation changes, which emit a 'resize' event after layout).
-  window.addEventListener('resize', _refresh);
-
   return { update: _refresh };
 }
 
+/**
+ * Dim everything outside a shaped arena and trace its edge, so the walls can
+ * be seen.  A full-world rectangle draws nothing.  Call from the renderer's
+ * 'afterRender' event, when the context is in screen pixels; world points go
+ * through render.bounds.
+ *
+ * @param {Matter.Render} render
+ * @param {Arena} arena
+ */
+export function drawArena(render, arena) {
+  if (arena.full) return;
+
+  const ctx   = render.context;
+  const scale = render.options.width / (render.bounds.max.x - render.bounds.min.x);
+  const sx = (x) => (x - render.bounds.min.x) * scale;
+  const sy = (y) => (y - render.bounds.min.y) * scale;
+
+  ctx.save();
+  ctx.beginPath();
+  for (let i = 0; i < arena.outline.length; i++) {
+    const p = arena.outline[i];
+    if (i === 0) ctx.moveTo(sx(p.x), sy(p.y));
+    else ctx.lineTo(sx(p.x), sy(p.y));
+  }
+  ctx.closePath();
+
+  ctx.strokeStyle = OUTLINE_RENDER.strokeStyle;
+  ctx.lineWidth   = OUTLINE_RENDER.lineWidth;
+  ctx.stroke();
+
+  // The view rectangle around the outline, filled even-odd, leaves the arena clear.
+  ctx.rect(0, 0, render.options.width, render.options.height);
+  ctx.fillStyle = OUTSIDE_FILL;
+  ctx.fill('evenodd');
+  ctx.restore();
+}
+
 // ─────────────────────────────────────────────────────────────────────────────
 // Private helpers
 // ─────────────────────────────────────────────────────────────────────────────
 
+/** Walls for `arena`: the classic four for a rectangle, else one per edge. */
+function _buildArena(arena) {
+  return arena.shape === 'rect' ? _buildWalls(arena.box) : _buildSegments(arena);
+}
+
 /**
- * Build four static rectangle bodies sized to the current viewport.
+ * Build four static rectangle bodies around a `width` × `height` box at
+ * (x, y) — the viewport, the recorded size while a session is replayed, or
+ * either inset by the safe area.
  *
- * Each wall is placed so its inner face aligns with the corresponding canvas
+ * Each wall is placed so its inner face aligns with the corresponding box
  * edge, producing a perfect containment box:
  *
- *   Top    — bottom face at y = 0
- *   Bottom — top face    at y = innerHeight
- *   Left   — right face  at x = 0
- *   Right  — left face   at x = innerWidth
+ *   Top    — bottom face at y
+ *   Bottom — top face    at y + height
+ *   Left   — right face  at x
+ *   Right  — left face   at x + width
  *
  * The extra `t * 2` added to the width/height of opposing walls ensures the
  * corner gaps are fully plugged so balls cannot escape through them.
  */
-function _buildWalls() {
-  const w = window.innerWidth;
-  const h = window.innerHeight;
+function _buildWalls({ x, y, width: w, height: h }) {
   const t = WALL_THICKNESS;
 
   return [
-    // Top — centred above the canvas; bottom face sits at y = 0
-    Bodies.rectangle(w / 2, -t / 2, w + t * 2, t, _opts('wall-top')),
-    // Bottom — centred below the canvas; top face sits at y = h
-    Bodies.rectangle(w / 2, h + t / 2, w + t * 2, t, _opts('wall-bottom')),
-    // Left — centred left of the canvas; right face sits at x = 0
-    Bodies.rectangle(-t / 2, h / 2, t, h + t * 2, _opts('wall-left')),
-    // Right — centred right of the canvas; left face sits at x = w
-    Bodies.rectangle(w + t / 2, h / 2, t, h + t * 2, _opts('wall-right')),
+    // Top — centred above the box; bottom face sits at y
+    Bodies.rectangle(x + w / 2, y - t / 2, w + t * 2, t, _opts('wall-top')),
+    // Bottom — centred below the box; top face sits at y + h
+    Bodies.rectangle(x + w / 2, y + h + t / 2, w + t * 2, t, _opts('wall-bottom')),
+    // Left — centred left of the box; right face sits at x
+    Bodies.rectangle(x - t / 2, y + h / 2, t, h + t * 2, _opts('wall-left')),
+    // Right — centred right of the box; left face sits at x + w
+    Bodies.rectangle(x + w + t / 2, y + h / 2, t, h + t * 2, _opts('wall-right')),
   ];
 }
 
+/**
+ * Build one static slab per edge of a shaped arena's outline, its inner face
+ * on the edge.  Each slab runs on by `t` past both ends, as the rectangle's
+ * walls do: the outline is convex, so the overhang stays outside the arena
+ * and closes the gap where neighbouring slabs meet at a corner.
+ */
+function _buildSegments({ outline, box }) {
+  const t  = WALL_THICKNESS;
+  const cx = box.x + box.width / 2;
+  const cy = box.y + box.height / 2;
+
+  return outline.flatMap((a, i) => {
+    const b   = outline[(i + 1) % outline.length];
+    const len = Math.hypot(b.x - a.x, b.y - a.y);
+    if (len === 0) return []; // an arena squashed to nothing
+    const mx  = (a.x + b.x) / 2;
+    const my  = (a.y + b.y) / 2;
+
+    // Unit normal of the edge, turned to face away from the centre.
+    let nx = (a.y - b.y) / len;
+    let ny = (b.x - a.x) / len;
+    if (nx * (mx - cx) + ny * (my - cy) < 0) { nx = -nx; ny = -ny; }
+
+    const slab = Bodies.rectangle(mx + nx * t / 2, my + ny * t / 2, len + t * 2, t, _opts('wall-arena'));
+    Body.setAngle(slab, Math.atan2(b.y - a.y, b.x - a.x));
+    return [slab];
+  });
+}
+
+/**
+ * Points along an elliptical arc around (cx, cy) from angle `from` to `to`,
+ * in `segments` steps — `segments + 1` points, both ends included.
+ */
+function _arc(cx, cy, rx, ry, from, to, segments) {
+  const points = [];
+  for (let i = 0; i <= segments; i++) {
+    const a = from + ((to - from) * i) / segments;
+    points.push({ x: cx + Math.cos(a) * rx, y: cy + Math.sin(a) * ry });
+  }
+  return points;
+}
+
+/** A `width` × `height` rectangle centred on (cx, cy). */
+function _centredBox(cx, cy, width, height) {
+  return { x: cx - width / 2, y: cy - height / 2, width, height };
+}
+
 /** Shared options applied to every wall body. */
 function _opts(label) {
   return {
@@ -0,0 +1,145 @@
+// js/worker.js — Worker mode: simulation, runner and renderer off the main thread
+'use strict';
+
+import { createSimulation } from './simulation.js';
+import { createRunner } from './runner.js';
+import { ballOf, drawSoftBalls } from './softbody.js';
+import { drawArena } from './walls.js';
+
+const { Events } = Matter;
+
+/** Simulation functions the page may call by name (see remote.js). */
+const CALLS = ['createBalls', 'resetBalls', 'removeAllBalls', 'setArena', 'setRefit'];
+
+// ── Module state ──────────────────────────────────────────────────────────────
+
+/** The simulation core (simulation.js), created by the 'init' message. */
+let _sim = null;
+
+/**
+ * Stand-in for Matter.Render around the transferred OffscreenCanvas, with
+ * just what renderer.js, drawSoftBalls() and drawArena() read.  Render.create() cannot be
+ * used here: it reads the window's pixel ratio and styles the canvas.
+ */
+let _render = null;
+
+/** Escape totals last sent to the page (see containment.js). */
+let _escapes = { swept: 0, contained: 0 };
+
+// ── Messages ──────────────────────────────────────────────────────────────────
+
+/*
+ * Loaded by remote.js into a Web Worker once Matter.js is in place.  The page
+ * talks to it only through these messages:
+ *
+ *   in   { type: 'init', canvas, options }  — OffscreenCanvas + createSimulation() options
+ *        { type: 'gravity', x, y, z }
+ *        { type: 'resize', width, height, pixelRatio, shape, inset }
+ *        { type: 'call', name, args }       — one of CALLS
+ *   out  { type: 'ready' }                  — listening; sent once
+ *        { type: 'collisions', pairs }      — see _onCollision()
+ *        { type: 'escapes', escapes }       — new getEscapes() totals
+ */
+self.addEventListener('message', ({ data }) => {
+  switch (data.type) {
+    case 'init':
+      _init(data.canvas, data.options);
+      break;
+    case 'gravity':
+      _sim.engine.gravity.x = data.x;
+      _sim.engine.gravity.y = data.y;
+      _sim.engine.gravity.z = data.z ?? 0;
+      break;
+    case 'resize':
+      _resize(data.width, data.height, data.pixelRatio, data.shape, data.inset);
+      break;
+    case 'call':
+      if (CALLS.includes(data.name)) _sim[data.name](...data.args);
+      break;
+  }
+});
+
+self.postMessage({ type: 'ready' });
+
+// ── Private helpers ───────────────────────────────────────────────────────────
+
+/** Build the simulation and start drawing it onto `canvas`. */
+function _init(canvas, options) {
+  _sim = createSimulation({ ...options, ballCount: 0 });
+  const { engine } = _sim;
+
+  _render = {
+    engine,
+    canvas,
+    context: canvas.getContext('2d'),
+    options: { background: options.background, hasBounds: true },
+    bounds:  { min: { x: 0, y: 0 }, max: { x: 0, y: 0 } },
+  };
+  _resize(options.width, options.height, options.pixelRatio);
+
+  // Dedicated workers have requestAnimationFrame wherever they have
+  // OffscreenCanvas, bar a few early releases; tick at 60 Hz on those.
+  self.requestAnimationFrame ??= (fn) => setTimeout(() => fn(performance.now()), 1000 / 60);
+  createRunner(engine, _render, { step: _sim.stepMs });
+
+  Events.on(_render, 'afterRender', () => {
+    drawSoftBalls(_render, engine.world);
+    drawArena(_render, _sim.getArena());
+  });
+  Events.on(engine, 'collisionStart', _onCollision);
+  Events.on(engine, 'afterUpdate', _onUpdate);
+}
+
+/**
+ * Size the world and the canvas backing store; the world fills the view.
+ * The arena takes `shape` and `inset` in the same relayout, where given.
+ */
+function _resize(width, height, pixelRatio, shape, inset) {
+  _sim.resize(width, height, shape, inset);
+
+  Object.assign(_render.options, { width, height, pixelRatio });
+  _render.canvas.width  = width * pixelRatio;
+  _render.canvas.height = height * pixelRatio;
+  _render.bounds.max    = { x: width, y: height };
+}
+
+/**
+ * Pass the collisions sound.js and vibration.js care about — any involving
+ * a ball, bar a jelly ball against itself — to the page.  Each body goes as
+ * a plain snapshot of the fields they read (see remote.js).
+ */
+function _onCollision(event) {
+  const pairs = [];
+  for (const pair of event.pairs) {
+    const a = pair.bodyA.parent;
+    const b = pair.bodyB.parent;
+    if (a.label !== 'ball' && b.label !== 'ball') continue;
+    if (ballOf(a) === ballOf(b)) continue;
+    pairs.push([_snapshot(a), _snapshot(b)]);
+  }
+  if (pairs.length > 0) self.postMessage({ type: 'collisions', pairs });
+}
+
+/** Tell the page whenever containment.js has had to rescue a body. */
+function _onUpdate() {
+  const escapes = _sim.getEscapes();
+  if (escapes.swept === _escapes.swept && escapes.contained === _escapes.contained) return;
+  _escapes = escapes;
+  self.postMessage({ type: 'escapes', escapes });
+}
+
+/** The parts of a body needed to classify a collision and judge its speed. */
+function _snapshot(body) {
+  const soft = body.softBody;
+  return {
+    id:           body.id,
+    label:        body.label,
+    position:     { x: body.position.x, y: body.position.y },
+    positionPrev: { x: body.positionPrev.x, y: body.positionPrev.y },
+    deltaTime:    body.deltaTime,
+    density:      body.density,
+    area:         body.area,
+    material:     body.material,
+    soft:         soft ? { id: soft.id, softRadius: soft.softRadius } : null,
+  };
+}